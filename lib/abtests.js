@@ -0,0 +1,256 @@
+const { run, get, all, parseJSON } = require('./db');
+const template = require('./template');
+const analytics = require('./analytics');
+
+// A/B tests of campaign messages.
+//
+// A campaign with variants (two to five messages, each with optional media) first sends to a
+// test group: test_percent of its recipients, picked at random and split evenly across the
+// variants. The other recipients wait (status 'waiting', no message yet) until a winner is
+// picked by its delivery, read or reply rate, by hand or automatically winner_after hours after
+// the last test message went out. The waiting recipients then get the winning variant; they are
+// marked ab_holdout so the test results are not mixed with the rollout.
+
+const MAX_VARIANTS = 5;
+const LABELS = ['A', 'B', 'C', 'D', 'E'];
+const METRICS = { delivery: 'deliveryRate', read: 'readRate', reply: 'replyRate' };
+const DEFAULT_TEST_PERCENT = 20;
+const MAX_WINNER_AFTER_HOURS = 24 * 30;
+
+// Upload fields for the media of each variant (variant_media_0 is variant A)
+const MEDIA_FIELDS = LABELS.map((label, index) => ({ name: `variant_media_${index}`, maxCount: 1 }));
+
+class ABTestError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// The A/B test of a new campaign from the request, or null when it has no variants. For
+// variant A the campaign's media upload is used when it has none of its own.
+function parse(body, files = {}) {
+    if (body.variants === undefined || body.variants === null || body.variants === '') return null;
+
+    const list = typeof body.variants === 'string' ? parseJSON(body.variants, null) : body.variants;
+    if (!Array.isArray(list)) throw new ABTestError('variants must be a list of { message }');
+    if (list.length < 2 || list.length > MAX_VARIANTS) {
+        throw new ABTestError(`An A/B test needs 2 to ${MAX_VARIANTS} variants`);
+    }
+
+    const variants = list.map((variant, index) => {
+        const label = LABELS[index];
+        const message = typeof variant === 'string' ? variant : variant && variant.message;
+        if (!message || !String(message).trim()) throw new ABTestError(`Variant ${label} needs a message`);
+        try {
+            template.validate(message);
+        } catch (error) {
+            throw new ABTestError(`Variant ${label} template: ${error.message}`);
+        }
+
+        const upload = (files[`variant_media_${index}`] || (index === 0 && files.media) || [])[0];
+        return {
+            label,
+            message,
+            media_url: upload ? `/uploads/${upload.filename}` : null,
+            media_type: upload ? upload.mimetype : null
+        };
+    });
+
+    const percentValue = body.ab_test_percent;
+    const testPercent = percentValue === undefined || percentValue === '' ? DEFAULT_TEST_PERCENT : Number(percentValue);
+    if (!Number.isInteger(testPercent) || testPercent < 1 || testPercent > 100) {
+        throw new ABTestError('ab_test_percent must be a whole number from 1 to 100');
+    }
+
+    const metric = body.ab_metric || 'read';
+    if (!METRICS[metric]) throw new ABTestError(`ab_metric must be one of: ${Object.keys(METRICS).join(', ')}`);
+
+    const afterValue = body.ab_winner_after;
+    const winnerAfter = afterValue === undefined || afterValue === null || afterValue === '' ? null : Number(afterValue);
+    if (winnerAfter !== null && !(winnerAfter > 0 && winnerAfter <= MAX_WINNER_AFTER_HOURS)) {
+        throw new ABTestError(`ab_winner_after must be a number of hours up to ${MAX_WINNER_AFTER_HOURS}, or empty to pick the winner by hand`);
+    }
+
+    return { variants, test_percent: testPercent, metric, winner_after: winnerAfter };
+}
+
+// Store the test of a campaign created with parse()
+async function create(db, campaignId, test) {
+    for (const variant of test.variants) {
+        await run(db,
+            `INSERT INTO campaign_variants (campaign_id, label, message, media_url, media_type) VALUES (?, ?, ?, ?, ?)`,
+            [campaignId, variant.label, variant.message, variant.media_url, variant.media_type]
+        );
+    }
+    await run(db,
+        `UPDATE campaigns SET ab_test_percent = ?, ab_metric = ?, ab_winner_after = ? WHERE id = ?`,
+        [test.test_percent, test.metric, test.winner_after, campaignId]
+    );
+}
+
+function listVariants(db, campaignId) {
+    return all(db, 'SELECT * FROM campaign_variants WHERE campaign_id = ? ORDER BY id', [campaignId]);
+}
+
+function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// [{ contact, variant, holdout }] for new recipients of a campaign. Holdout recipients are not
+// in the test group and have no variant until the winner is picked; when the campaign is not
+// a test every recipient gets { variant: null, holdout: false }.
+async function assign(db, campaignId, contacts) {
+    const campaign = await get(db, 'SELECT ab_test_percent, ab_winner_variant_id FROM campaigns WHERE id = ?', [campaignId]);
+    const list = campaign && campaign.ab_test_percent ? await listVariants(db, campaignId) : [];
+    if (!list.length) return contacts.map(contact => ({ contact, variant: null, holdout: false }));
+
+    // Recipients added after the winner was picked get the winner
+    const winner = list.find(variant => variant.id === campaign.ab_winner_variant_id);
+    if (winner) return contacts.map(contact => ({ contact, variant: winner, holdout: true }));
+
+    // At least one recipient per variant, when there are that many
+    const shuffled = shuffle(contacts);
+    const testSize = Math.min(shuffled.length, Math.max(list.length, Math.round(shuffled.length * campaign.ab_test_percent / 100)));
+    return shuffled.map((contact, index) => index < testSize
+        ? { contact, variant: list[index % list.length], holdout: false }
+        : { contact, variant: null, holdout: true });
+}
+
+// Test results per variant, with the one ahead on the campaign's metric
+async function results(db, campaign) {
+    const list = await listVariants(db, campaign.id);
+    if (!list.length) return null;
+
+    const counts = await all(db,
+        `SELECT variant_id, COUNT(*) AS recipients, COALESCE(SUM(status IN ('pending', 'sending')), 0) AS pending
+         FROM messages WHERE campaign_id = ? AND variant_id IS NOT NULL AND COALESCE(ab_holdout, 0) = 0
+         GROUP BY variant_id`,
+        [campaign.id]
+    );
+    const holdout = await get(db,
+        `SELECT COALESCE(SUM(status = 'waiting'), 0) AS waiting, COUNT(*) AS total
+         FROM messages WHERE campaign_id = ? AND ab_holdout = 1`,
+        [campaign.id]
+    );
+
+    const metric = campaign.ab_metric || 'read';
+    const stats = await Promise.all(list.map(async variant => {
+        const count = counts.find(row => row.variant_id === variant.id) || { recipients: 0, pending: 0 };
+        return {
+            id: variant.id,
+            label: variant.label,
+            message: variant.message,
+            media_url: variant.media_url,
+            media_type: variant.media_type,
+            recipients: count.recipients,
+            pending: count.pending,
+            ...(await analytics.totals(db, { where: 'AND m.variant_id = ? AND COALESCE(m.ab_holdout, 0) = 0', params: [variant.id] }))
+        };
+    }));
+
+    return {
+        test_percent: campaign.ab_test_percent,
+        metric,
+        winner_after: campaign.ab_winner_after,
+        winner_variant_id: campaign.ab_winner_variant_id,
+        decided_at: campaign.ab_decided_at,
+        leader_variant_id: leader(stats, metric).id,
+        holdout: holdout.total,
+        waiting: holdout.waiting,
+        variants: stats
+    };
+}
+
+// Best rate on the metric; ties go to more reads, then to the earlier variant
+function leader(stats, metric) {
+    const key = METRICS[metric] || METRICS.read;
+    return stats.reduce((best, variant) =>
+        variant[key] > best[key] || (variant[key] === best[key] && variant.read > best.read) ? variant : best);
+}
+
+// Pick the winner and give the waiting recipients its message
+async function pickWinner(db, campaignId, variantId) {
+    const campaign = await get(db, 'SELECT * FROM campaigns WHERE id = ?', [campaignId]);
+    if (!campaign) throw new ABTestError('Campaign not found', 404);
+
+    const list = await listVariants(db, campaignId);
+    if (!list.length) throw new ABTestError('This campaign is not an A/B test');
+    const winner = list.find(variant => variant.id === Number(variantId));
+    if (!winner) throw new ABTestError(`variant_id must be one of: ${list.map(variant => variant.id).join(', ')}`);
+    if (!['running', 'paused', 'completed'].includes(campaign.status)) {
+        throw new ABTestError('The winner can only be picked for running, paused or completed campaigns', 409);
+    }
+
+    const { changes } = await run(db,
+        `UPDATE campaigns SET ab_winner_variant_id = ?, ab_decided_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND ab_winner_variant_id IS NULL`,
+        [winner.id, campaignId]
+    );
+    if (!changes) throw new ABTestError('A winner was already picked', 409);
+
+    const waiting = await all(db,
+        `SELECT m.id AS message_id, m.phone AS message_phone, ct.* FROM messages m
+         LEFT JOIN contacts ct ON ct.id = m.contact_id
+         WHERE m.campaign_id = ? AND m.status = 'waiting'`,
+        [campaignId]
+    );
+
+    let released = 0;
+    for (const row of waiting) {
+        const message = template.render(winner.message, template.contactContext({ ...row, phone: row.phone || row.message_phone }));
+        const result = await run(db,
+            `UPDATE messages SET message = ?, variant_id = ?, status = 'pending' WHERE id = ? AND status = 'waiting'`,
+            [message, winner.id, row.message_id]
+        );
+        released += result.changes;
+    }
+
+    return { winner: { id: winner.id, label: winner.label }, released };
+}
+
+// Pick the winners of automatic tests whose test group finished sending winner_after hours ago
+async function decideDue(db) {
+    const due = await all(db,
+        `SELECT c.* FROM campaigns c
+         WHERE c.status = 'running' AND c.ab_winner_variant_id IS NULL AND c.ab_winner_after IS NOT NULL
+         AND NOT EXISTS (
+             SELECT 1 FROM messages WHERE campaign_id = c.id AND variant_id IS NOT NULL AND status IN ('pending', 'sending')
+         )
+         AND COALESCE(
+             (SELECT MAX(COALESCE(sent_at, send_started_at)) FROM messages WHERE campaign_id = c.id AND variant_id IS NOT NULL),
+             c.started_at
+         ) <= datetime('now', '-' || CAST(c.ab_winner_after * 3600 AS INTEGER) || ' seconds')`
+    );
+
+    const decided = [];
+    for (const campaign of due) {
+        const test = await results(db, campaign);
+        if (!test) continue;
+        try {
+            decided.push({ campaignId: campaign.id, ...(await pickWinner(db, campaign.id, test.leader_variant_id)) });
+        } catch (error) {
+            // Picked by hand in the meantime
+            if (error.status !== 409) throw error;
+        }
+    }
+    return decided;
+}
+
+module.exports = {
+    MAX_VARIANTS,
+    METRICS,
+    MEDIA_FIELDS,
+    ABTestError,
+    parse,
+    create,
+    assign,
+    results,
+    pickWinner,
+    decideDue
+};
@@ -0,0 +1,255 @@
+const { get, all } = require('./db');
+const { SENT_STATUSES } = require('./receipts');
+
+// Sending analytics over a date range, for all campaigns or one.
+//
+// A message is counted in the bucket of its send attempt (sent_at, or send_started_at for
+// messages that failed before WhatsApp accepted them); deliveries and reads are counted when
+// they happened. Buckets and dates are UTC.
+
+const INTERVALS = { hour: 3600 * 1000, day: 24 * 3600 * 1000 };
+const MAX_BUCKETS = 24 * 31;
+const DEFAULT_DAYS = 7;
+
+// A reply counts toward the reply rate when it arrives this long after the message at most
+const REPLY_WINDOW_HOURS = 72;
+
+class AnalyticsError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// "YYYY-MM-DD HH:MM:SS", as CURRENT_TIMESTAMP stores it
+function toSql(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSql(value) {
+    return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+function parseDate(value, name, endOfDay = false) {
+    const text = String(value).trim();
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(text);
+    const date = new Date(dateOnly ? `${text}T00:00:00Z` : text);
+    if (isNaN(date)) throw new AnalyticsError(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    // A date-only "to" includes that whole day
+    return dateOnly && endOfDay ? new Date(date.getTime() + INTERVALS.day) : date;
+}
+
+// { from, to, interval } from the query; without dates the range is the last week, or for
+// a campaign the time since it was created
+function resolveRange(query = {}, defaultFrom = null) {
+    const to = query.to ? parseDate(query.to, 'to', true) : new Date();
+    const from = query.from
+        ? parseDate(query.from, 'from')
+        : (defaultFrom || new Date(to.getTime() - DEFAULT_DAYS * INTERVALS.day));
+    if (from >= to) throw new AnalyticsError('from must be before to');
+
+    const span = to - from;
+    const interval = query.interval || (span <= 2 * INTERVALS.day ? 'hour' : 'day');
+    if (!INTERVALS[interval]) throw new AnalyticsError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+    if (span / INTERVALS[interval] > MAX_BUCKETS) {
+        throw new AnalyticsError(interval === 'hour'
+            ? 'Use interval=day for ranges longer than 31 days'
+            : `The range can span at most ${MAX_BUCKETS} days`);
+    }
+
+    return { from, to, interval };
+}
+
+function bucketExpression(column, interval) {
+    return interval === 'hour'
+        ? `strftime('%Y-%m-%d %H:00:00', ${column})`
+        : `strftime('%Y-%m-%d 00:00:00', ${column})`;
+}
+
+// Counts per bucket for one timestamp column
+async function countByBucket(db, column, { from, to, interval }, scope, extra = '') {
+    const rows = await all(db,
+        `SELECT ${bucketExpression(column, interval)} AS bucket, COUNT(*) AS total
+         FROM messages m
+         WHERE ${column} >= ? AND ${column} < ? ${scope.where} ${extra}
+         GROUP BY bucket`,
+        [toSql(from), toSql(to), ...scope.params]
+    );
+    return new Map(rows.map(row => [row.bucket, row.total]));
+}
+
+async function timeSeries(db, range, scope) {
+    const attempted = 'COALESCE(m.sent_at, m.send_started_at)';
+    const [sent, delivered, read, failed] = await Promise.all([
+        countByBucket(db, 'm.sent_at', range, scope),
+        countByBucket(db, 'm.delivered_at', range, scope),
+        countByBucket(db, 'm.read_at', range, scope),
+        countByBucket(db, attempted, range, scope, `AND m.status = 'failed'`)
+    ]);
+
+    // Every bucket in the range, including empty ones
+    const step = INTERVALS[range.interval];
+    const start = new Date(range.from);
+    start.setUTCMinutes(0, 0, 0);
+    if (range.interval === 'day') start.setUTCHours(0);
+
+    const series = [];
+    for (let time = start.getTime(); time < range.to.getTime(); time += step) {
+        const key = toSql(new Date(time));
+        series.push({
+            time: new Date(time).toISOString(),
+            sent: sent.get(key) || 0,
+            delivered: delivered.get(key) || 0,
+            read: read.get(key) || 0,
+            failed: failed.get(key) || 0
+        });
+    }
+    return series;
+}
+
+function rate(part, whole) {
+    return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Delivery, read and reply rates of the messages sent in the range
+async function rates(db, { from, to }, scope) {
+    const row = await get(db,
+        `SELECT
+            COUNT(*) AS sent,
+            SUM(m.status IN ('delivered', 'read', 'played')) AS delivered,
+            SUM(m.status IN ('read', 'played')) AS read,
+            SUM(EXISTS (
+                SELECT 1 FROM conversation_messages cm
+                JOIN conversations cv ON cv.id = cm.conversation_id
+                WHERE cv.contact_id = m.contact_id AND cm.direction = 'in'
+                AND cm.created_at >= m.sent_at
+                AND cm.created_at < datetime(m.sent_at, '+${REPLY_WINDOW_HOURS} hours')
+            )) AS replied
+         FROM messages m
+         WHERE m.sent_at >= ? AND m.sent_at < ? AND m.status IN (${SENT_STATUSES.map(() => '?').join(',')}) ${scope.where}`,
+        [toSql(from), toSql(to), ...SENT_STATUSES, ...scope.params]
+    );
+
+    const failed = await get(db,
+        `SELECT COUNT(*) AS total FROM messages m
+         WHERE m.status = 'failed' AND COALESCE(m.sent_at, m.send_started_at) >= ?
+         AND COALESCE(m.sent_at, m.send_started_at) < ? ${scope.where}`,
+        [toSql(from), toSql(to), ...scope.params]
+    );
+
+    return {
+        sent: row.sent,
+        delivered: row.delivered || 0,
+        read: row.read || 0,
+        replied: row.replied || 0,
+        failed: failed.total,
+        deliveryRate: rate(row.delivered || 0, row.sent),
+        readRate: rate(row.read || 0, row.sent),
+        replyRate: rate(row.replied || 0, row.sent),
+        failureRate: rate(failed.total, row.sent + failed.total)
+    };
+}
+
+// Error texts with the numbers and quoted values taken out, so the same failure for
+// different recipients lands in one group
+function failureReason(error) {
+    if (!error) return 'Unknown error';
+    return String(error)
+        .replace(/"[^"]*"/g, '"…"')
+        .replace(/\+?\d[\d\s-]{4,}\d/g, '…')
+        .trim();
+}
+
+async function failures(db, { from, to }, scope, limit = 10) {
+    const rows = await all(db,
+        `SELECT m.error, COUNT(*) AS total FROM messages m
+         WHERE m.status = 'failed' AND COALESCE(m.sent_at, m.send_started_at) >= ?
+         AND COALESCE(m.sent_at, m.send_started_at) < ? ${scope.where}
+         GROUP BY m.error`,
+        [toSql(from), toSql(to), ...scope.params]
+    );
+
+    const groups = new Map();
+    for (const row of rows) {
+        const reason = failureReason(row.error);
+        const group = groups.get(reason) || { reason, count: 0, example: row.error };
+        group.count += row.total;
+        groups.set(reason, group);
+    }
+    return [...groups.values()].sort((a, b) => b.count - a.count).slice(0, limit);
+}
+
+// Average seconds from claiming a message to WhatsApp accepting it, and messages sent per
+// minute while sending (from the first claim to the last send in the range)
+async function performance(db, { from, to }, scope) {
+    const row = await get(db,
+        `SELECT
+            AVG((julianday(m.sent_at) - julianday(m.send_started_at)) * 86400) AS latency,
+            MIN(m.send_started_at) AS first_started,
+            MAX(m.sent_at) AS last_sent,
+            COUNT(*) AS total
+         FROM messages m
+         WHERE m.sent_at >= ? AND m.sent_at < ? AND m.send_started_at IS NOT NULL ${scope.where}`,
+        [toSql(from), toSql(to), ...scope.params]
+    );
+
+    if (!row.total) return { avgLatencySeconds: null, throughputPerMinute: null };
+
+    // At least a minute, so a handful of messages sent in one second is not "300 per minute"
+    const minutes = Math.max(1, (fromSql(row.last_sent) - fromSql(row.first_started)) / 60000);
+    return {
+        avgLatencySeconds: Math.round(row.latency * 100) / 100,
+        throughputPerMinute: Math.round((row.total / minutes) * 10) / 10
+    };
+}
+
+// Analytics for the range in the query; campaignId limits them to one campaign
+async function report(db, query = {}, campaignId = null) {
+    let defaultFrom = null;
+    if (campaignId) {
+        const campaign = await get(db, 'SELECT id, created_at FROM campaigns WHERE id = ?', [campaignId]);
+        if (!campaign) throw new AnalyticsError('Campaign not found', 404);
+        defaultFrom = fromSql(campaign.created_at);
+    }
+
+    const range = resolveRange(query, defaultFrom);
+    const scope = campaignId ? { where: 'AND m.campaign_id = ?', params: [campaignId] } : { where: '', params: [] };
+
+    const [series, totals, failureList, timing] = await Promise.all([
+        timeSeries(db, range, scope),
+        rates(db, range, scope),
+        failures(db, range, scope),
+        performance(db, range, scope)
+    ]);
+
+    return {
+        campaign_id: campaignId ? Number(campaignId) : null,
+        from: range.from.toISOString(),
+        to: range.to.toISOString(),
+        interval: range.interval,
+        totals,
+        ...timing,
+        failures: failureList,
+        series
+    };
+}
+
+// Rates, failures and timing of everything a campaign has sent, without the time series
+async function campaignTotals(db, campaignId) {
+    const range = { from: new Date(0), to: new Date(Date.now() + 1000) };
+    const scope = { where: 'AND m.campaign_id = ?', params: [campaignId] };
+
+    const [totals, failureList, timing] = await Promise.all([
+        rates(db, range, scope),
+        failures(db, range, scope),
+        performance(db, range, scope)
+    ]);
+    return { totals, ...timing, failures: failureList };
+}
+
+// Delivery, read and reply rates of any set of messages; scope is { where: 'AND m.…', params }
+function totals(db, scope) {
+    return rates(db, { from: new Date(0), to: new Date(Date.now() + 1000) }, scope);
+}
+
+module.exports = { INTERVALS, REPLY_WINDOW_HOURS, AnalyticsError, resolveRange, failureReason, report, campaignTotals, totals };
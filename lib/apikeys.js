@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const { run, get, all, parseJSON } = require('./db');
+
+// Route groups of the Evolution-compatible API a key can be allowed to call
+const SCOPES = ['instance', 'message'];
+const DEFAULT_RATE_LIMIT = 60; // requests per minute
+
+class ApiKeyError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Only the hash is stored; the key itself is shown once, when it is created
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+function publicKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.prefix,
+        instances: parseJSON(row.instances, []),
+        scopes: parseJSON(row.scopes, []),
+        rate_limit: row.rate_limit,
+        daily_quota: row.daily_quota,
+        used_today: row.usage_date === today() ? row.usage_count : 0,
+        last_used_at: row.last_used_at,
+        last_used_ip: row.last_used_ip,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+// Normalize the editable fields; only the ones present in `input` are returned
+function parseFields(input) {
+    const fields = {};
+
+    if (input.name !== undefined) {
+        if (!String(input.name).trim()) throw new ApiKeyError('A name is required', 400);
+        fields.name = String(input.name).trim();
+    }
+    if (input.instances !== undefined) {
+        const list = typeof input.instances === 'string' ? parseJSON(input.instances, []) : input.instances;
+        if (!Array.isArray(list)) throw new ApiKeyError('instances must be a list of instance names', 400);
+        fields.instances = JSON.stringify(list);
+    }
+    if (input.scopes !== undefined) {
+        const list = typeof input.scopes === 'string' ? parseJSON(input.scopes, []) : input.scopes;
+        if (!Array.isArray(list) || !list.length || list.some(scope => !SCOPES.includes(scope))) {
+            throw new ApiKeyError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`, 400);
+        }
+        fields.scopes = JSON.stringify(list);
+    }
+    if (input.rate_limit !== undefined) {
+        const limit = parseInt(input.rate_limit, 10);
+        if (!(limit > 0)) throw new ApiKeyError('rate_limit must be a positive number of requests per minute', 400);
+        fields.rate_limit = limit;
+    }
+    if (input.daily_quota !== undefined) {
+        const quota = input.daily_quota === null || input.daily_quota === '' ? null : parseInt(input.daily_quota, 10);
+        if (quota !== null && !(quota > 0)) throw new ApiKeyError('daily_quota must be a positive number or empty', 400);
+        fields.daily_quota = quota;
+    }
+
+    return fields;
+}
+
+// Issue a key. Resolves the stored key plus the plain `key`, which cannot be retrieved later.
+async function createKey(db, input, createdBy = null) {
+    const fields = {
+        instances: '[]',
+        scopes: JSON.stringify(SCOPES),
+        rate_limit: DEFAULT_RATE_LIMIT,
+        daily_quota: null,
+        ...parseFields({ ...input, name: input.name || '' })
+    };
+
+    const key = 'wbs_' + crypto.randomBytes(24).toString('hex');
+    const { lastID } = await run(db,
+        `INSERT INTO api_keys (name, prefix, key_hash, instances, scopes, rate_limit, daily_quota, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [fields.name, key.slice(0, 12), hashKey(key), fields.instances, fields.scopes,
+            fields.rate_limit, fields.daily_quota, createdBy]
+    );
+
+    return { ...publicKey(await get(db, 'SELECT * FROM api_keys WHERE id = ?', [lastID])), key };
+}
+
+async function updateKey(db, id, input) {
+    const fields = parseFields(input);
+    const columns = Object.keys(fields);
+
+    if (columns.length) {
+        await run(db,
+            `UPDATE api_keys SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+            [...columns.map(column => fields[column]), id]
+        );
+    }
+
+    const row = await get(db, 'SELECT * FROM api_keys WHERE id = ?', [id]);
+    if (!row) throw new ApiKeyError('API key not found', 404);
+    return publicKey(row);
+}
+
+async function revokeKey(db, id) {
+    const { changes } = await run(db,
+        'UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = ?',
+        [id]
+    );
+    if (!changes) throw new ApiKeyError('API key not found', 404);
+}
+
+async function listKeys(db) {
+    const rows = await all(db, 'SELECT * FROM api_keys ORDER BY created_at DESC');
+    return rows.map(publicKey);
+}
+
+// True when the request may use this instance (always true for dashboard users)
+function allowsInstance(apiKey, name) {
+    return !apiKey || !apiKey.instances.length || apiKey.instances.includes(name);
+}
+
+// Express middleware for the Evolution routes: resolve the `apikey` header and check the
+// route group. Requests without the header fall through to user authentication.
+function authenticate(db) {
+    return async (req, res, next) => {
+        const header = req.headers.apikey;
+        if (!header) {
+            next();
+            return;
+        }
+
+        try {
+            const row = await get(db, 'SELECT * FROM api_keys WHERE key_hash = ?', [hashKey(header)]);
+            if (!row || row.revoked_at) throw new ApiKeyError('Invalid API key');
+
+            const apiKey = publicKey(row);
+            const group = req.path.split('/')[1];
+            if (!apiKey.scopes.includes(group)) {
+                throw new ApiKeyError(`This API key may not call the ${group} endpoints`, 403);
+            }
+
+            req.apiKey = apiKey;
+            next();
+        } catch (error) {
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    };
+}
+
+// Express middleware: count the request against the key's daily quota and record its use
+function trackUsage(db) {
+    return async (req, res, next) => {
+        if (!req.apiKey) {
+            next();
+            return;
+        }
+
+        try {
+            const date = today();
+            const { changes } = await run(db,
+                `UPDATE api_keys SET
+                     usage_count = CASE WHEN usage_date = ? THEN usage_count + 1 ELSE 1 END,
+                     usage_date = ?, last_used_at = CURRENT_TIMESTAMP, last_used_ip = ?
+                 WHERE id = ?
+                 AND (daily_quota IS NULL OR usage_date IS NOT ? OR usage_count < daily_quota)`,
+                [date, date, req.ip, req.apiKey.id, date]
+            );
+
+            if (!changes) {
+                res.status(429).json({ error: 'Daily quota of this API key exceeded' });
+                return;
+            }
+            next();
+        } catch (error) {
+            res.status(500).json({ error: error.message });
+        }
+    };
+}
+
+module.exports = {
+    SCOPES,
+    ApiKeyError,
+    createKey,
+    updateKey,
+    revokeKey,
+    listKeys,
+    allowsInstance,
+    authenticate,
+    trackUsage
+};
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { run, get, all } = require('./db');
+const { getSetting, setSetting } = require('./settings');
+
+const ROLES = ['admin', 'manager', 'viewer'];
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.status = status;
+    }
+}
+
+let secret = null;
+
+// JWT_SECRET from .env, otherwise a generated secret kept in settings so tokens survive restarts
+async function loadSecret(db) {
+    secret = process.env.JWT_SECRET || await getSetting(db, 'jwt_secret', null);
+    if (!secret) {
+        secret = crypto.randomBytes(48).toString('hex');
+        await setSetting(db, 'jwt_secret', secret);
+    }
+}
+
+// Create the first admin when the users table is empty
+async function bootstrapAdmin(db) {
+    const { count } = await get(db, 'SELECT COUNT(*) as count FROM users');
+    if (count > 0) return;
+
+    const email = process.env.ADMIN_EMAIL || 'admin@localhost';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+    await createUser(db, { email, password, name: 'Administrator', role: 'admin' });
+
+    console.log(`👤 Created admin user ${email}` + (process.env.ADMIN_PASSWORD ? '' : ` with password: ${password}`));
+}
+
+function publicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        active: Boolean(user.active),
+        created_at: user.created_at,
+        last_login_at: user.last_login_at
+    };
+}
+
+function validateUser({ email, password, role }, { partial = false } = {}) {
+    if (!partial || email !== undefined) {
+        if (!/^[^\s@]+@[^\s@]+$/.test(email || '')) throw new AuthError('A valid email is required', 400);
+    }
+    if (!partial || password !== undefined) {
+        if (!password || password.length < 8) throw new AuthError('Password must be at least 8 characters', 400);
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+        throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+}
+
+async function createUser(db, { email, password, name, role = 'viewer' }) {
+    validateUser({ email, password, role });
+
+    const hash = await bcrypt.hash(password, 10);
+    try {
+        const { lastID } = await run(db,
+            `INSERT INTO users (email, name, password_hash, role) VALUES (?, ?, ?, ?)`,
+            [email.toLowerCase(), name || null, hash, role]
+        );
+        return publicUser(await get(db, 'SELECT * FROM users WHERE id = ?', [lastID]));
+    } catch (error) {
+        if (/UNIQUE/.test(error.message)) throw new AuthError('A user with this email already exists', 409);
+        throw error;
+    }
+}
+
+async function updateUser(db, id, { email, password, name, role, active }) {
+    validateUser({ email, password, role }, { partial: true });
+
+    const user = await get(db, 'SELECT * FROM users WHERE id = ?', [id]);
+    if (!user) throw new AuthError('User not found', 404);
+
+    const hash = password ? await bcrypt.hash(password, 10) : user.password_hash;
+    // Changing the password or disabling the account revokes outstanding refresh tokens
+    const revoke = Boolean(password) || active === false;
+
+    await run(db,
+        `UPDATE users SET email = ?, name = ?, password_hash = ?, role = ?, active = ?,
+             token_version = token_version + ?
+         WHERE id = ?`,
+        [
+            email ? email.toLowerCase() : user.email,
+            name !== undefined ? name : user.name,
+            hash,
+            role || user.role,
+            active !== undefined ? (active ? 1 : 0) : user.active,
+            revoke ? 1 : 0,
+            id
+        ]
+    );
+    return publicUser(await get(db, 'SELECT * FROM users WHERE id = ?', [id]));
+}
+
+async function deleteUser(db, id) {
+    const { changes } = await run(db, 'DELETE FROM users WHERE id = ?', [id]);
+    if (!changes) throw new AuthError('User not found', 404);
+}
+
+async function listUsers(db) {
+    const rows = await all(db, 'SELECT * FROM users ORDER BY created_at');
+    return rows.map(publicUser);
+}
+
+function issueTokens(user) {
+    return {
+        accessToken: jwt.sign({ sub: user.id, role: user.role, type: 'access' }, secret, { expiresIn: ACCESS_TOKEN_TTL }),
+        refreshToken: jwt.sign({ sub: user.id, ver: user.token_version, type: 'refresh' }, secret, { expiresIn: REFRESH_TOKEN_TTL }),
+        user: publicUser(user)
+    };
+}
+
+async function login(db, email, password) {
+    const user = await get(db, 'SELECT * FROM users WHERE email = ?', [String(email || '').toLowerCase()]);
+    if (!user || !user.active || !(await bcrypt.compare(password || '', user.password_hash))) {
+        throw new AuthError('Invalid email or password');
+    }
+
+    await run(db, 'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    return issueTokens(user);
+}
+
+async function refresh(db, refreshToken) {
+    const payload = verify(refreshToken, 'refresh');
+    const user = await get(db, 'SELECT * FROM users WHERE id = ?', [payload.sub]);
+    if (!user || !user.active || user.token_version !== payload.ver) {
+        throw new AuthError('Refresh token has been revoked');
+    }
+    return issueTokens(user);
+}
+
+// Invalidate every refresh token of the user
+function logout(db, userId) {
+    return run(db, 'UPDATE users SET token_version = token_version + 1 WHERE id = ?', [userId]);
+}
+
+function verify(token, type) {
+    try {
+        const payload = jwt.verify(token || '', secret);
+        if (payload.type !== type) throw new Error('wrong token type');
+        return payload;
+    } catch (error) {
+        throw new AuthError(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+}
+
+// Resolve the user behind an access token (role is re-read so changes apply immediately)
+async function userFromToken(db, token) {
+    const payload = verify(token, 'access');
+    const user = await get(db, 'SELECT * FROM users WHERE id = ?', [payload.sub]);
+    if (!user || !user.active) throw new AuthError('User is disabled');
+    return publicUser(user);
+}
+
+// Express middleware: require a valid "Authorization: Bearer <access token>"
+function authenticate(db) {
+    return async (req, res, next) => {
+        // Already authenticated by an API key (see lib/apikeys)
+        if (req.apiKey) {
+            next();
+            return;
+        }
+
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+        try {
+            if (!token) throw new AuthError('Authentication required');
+            req.user = await userFromToken(db, token);
+            next();
+        } catch (error) {
+            res.status(error.status || 401).json({ error: error.message });
+        }
+    };
+}
+
+// Express middleware: allow only the given roles. API keys are limited by their scopes instead.
+function authorize(...roles) {
+    return (req, res, next) => {
+        if (req.apiKey) {
+            next();
+            return;
+        }
+        if (!req.user || !roles.includes(req.user.role)) {
+            res.status(403).json({ error: 'You do not have permission to do this' });
+            return;
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    AuthError,
+    loadSecret,
+    bootstrapAdmin,
+    createUser,
+    updateUser,
+    deleteUser,
+    listUsers,
+    login,
+    refresh,
+    logout,
+    userFromToken,
+    authenticate,
+    authorize
+};
@@ -0,0 +1,354 @@
+const { run, get, all, parseJSON } = require('./db');
+const template = require('./template');
+const timezones = require('./timezones');
+const sequences = require('./sequences');
+
+// Keyword auto-replies.
+//
+// Every inbound message (that is not an opt-out) is checked against the active rules in
+// priority order; the first rule that matches answers it. A rule matches on
+//
+//   exact          the whole message is one of the keywords ("Price", " price! ")
+//   contains       the message contains one of the keywords
+//   regex          the message matches the pattern
+//   first_message  the contact has never written before
+//
+// and only inside (or outside) its business hours, and not again for the same contact within
+// its cooldown. It responds with text, media (with an optional caption) or a saved template
+// rendered for the sender, and/or runs actions: add a tag, enroll in a drip sequence, notify
+// the operators.
+
+const MATCH_TYPES = ['exact', 'contains', 'regex', 'first_message'];
+const RESPONSE_TYPES = ['none', 'text', 'media', 'template'];
+const ACTION_TYPES = ['add_tag', 'enroll', 'notify'];
+const HOURS_MODES = ['inside', 'outside'];
+const MAX_PATTERN_LENGTH = 500;
+
+class AutoReplyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toSql(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function flag(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    return !(value === false || value === 0 || value === 'false' || value === '0' || value === 'off');
+}
+
+// Trim, drop surrounding punctuation/emoji and collapse spaces, so "Price?" matches "price"
+function normalizeText(text, caseSensitive) {
+    const normalized = String(text || '')
+        .trim()
+        .replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, '')
+        .replace(/\s+/g, ' ');
+    return caseSensitive ? normalized : normalized.toLowerCase();
+}
+
+function keywords(pattern) {
+    return String(pattern || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+}
+
+function validateActions(value) {
+    const list = typeof value === 'string' ? parseJSON(value, null) : value;
+    if (list === undefined || list === null || list === '') return [];
+    if (!Array.isArray(list)) throw new AutoReplyError('actions must be a list of { type, ... }');
+
+    return list.map((action, index) => {
+        const name = `Action ${index + 1}`;
+        if (!action || !ACTION_TYPES.includes(action.type)) {
+            throw new AutoReplyError(`${name}: type must be one of: ${ACTION_TYPES.join(', ')}`);
+        }
+        if (action.type === 'add_tag') {
+            const tag = String(action.tag || '').trim();
+            if (!tag) throw new AutoReplyError(`${name}: a tag is required`);
+            return { type: 'add_tag', tag };
+        }
+        if (action.type === 'enroll') {
+            const sequenceId = Number(action.sequence_id);
+            if (!sequenceId) throw new AutoReplyError(`${name}: a sequence_id is required`);
+            return { type: 'enroll', sequence_id: sequenceId };
+        }
+        return { type: 'notify', message: action.message ? String(action.message) : null };
+    });
+}
+
+function publicRule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        match_type: row.match_type,
+        pattern: row.pattern,
+        case_sensitive: Boolean(row.case_sensitive),
+        response_type: row.response_type,
+        response_text: row.response_text,
+        template_id: row.template_id,
+        media_url: row.media_url,
+        media_type: row.media_type,
+        actions: parseJSON(row.actions, []),
+        business_hours: parseJSON(row.business_hours, null),
+        hours_mode: row.hours_mode,
+        timezone: row.timezone,
+        cooldown_minutes: row.cooldown_minutes,
+        priority: row.priority,
+        active: Boolean(row.active),
+        fire_count: row.fire_count || 0,
+        last_fired_at: row.last_fired_at || null,
+        created_by: row.created_by,
+        created_at: row.created_at
+    };
+}
+
+// Validated columns from the request, on top of the current rule when updating
+async function definition(db, input, current = {}, media = {}) {
+    const value = (key) => (input[key] !== undefined ? input[key] : current[key]);
+
+    const name = String(value('name') || '').trim();
+    if (!name) throw new AutoReplyError('A name is required');
+
+    const matchType = value('match_type') || 'contains';
+    if (!MATCH_TYPES.includes(matchType)) throw new AutoReplyError(`match_type must be one of: ${MATCH_TYPES.join(', ')}`);
+
+    const caseSensitive = flag(value('case_sensitive'), false);
+    let pattern = value('pattern');
+    pattern = pattern === undefined || pattern === null ? '' : String(pattern);
+    if (pattern.length > MAX_PATTERN_LENGTH) throw new AutoReplyError(`pattern can be at most ${MAX_PATTERN_LENGTH} characters`);
+    if (matchType === 'regex') {
+        if (!pattern) throw new AutoReplyError('A regex pattern is required');
+        try {
+            new RegExp(pattern, caseSensitive ? '' : 'i');
+        } catch (error) {
+            throw new AutoReplyError(`Invalid regex: ${error.message}`);
+        }
+    } else if (matchType !== 'first_message' && !keywords(pattern).length) {
+        throw new AutoReplyError('pattern must list at least one keyword (comma-separated)');
+    }
+
+    const responseType = value('response_type') || 'text';
+    if (!RESPONSE_TYPES.includes(responseType)) throw new AutoReplyError(`response_type must be one of: ${RESPONSE_TYPES.join(', ')}`);
+    const responseText = value('response_text') || null;
+    const templateId = responseType === 'template' ? Number(value('template_id')) || null : null;
+    const mediaUrl = media.media_url || (responseType === 'media' ? current.media_url : null) || null;
+    const mediaType = media.media_type || (responseType === 'media' ? current.media_type : null) || null;
+
+    if (responseType === 'text' && !(responseText && responseText.trim())) throw new AutoReplyError('response_text is required for a text response');
+    if (responseType === 'media' && !mediaUrl) throw new AutoReplyError('Upload the media to send');
+    if (responseType === 'template') {
+        if (!templateId) throw new AutoReplyError('template_id is required for a template response');
+        if (!(await get(db, 'SELECT id FROM templates WHERE id = ?', [templateId]))) throw new AutoReplyError('Template not found');
+    }
+
+    const actions = validateActions(input.actions !== undefined ? input.actions : current.actions);
+    for (const action of actions.filter(action => action.type === 'enroll')) {
+        if (!(await get(db, 'SELECT id FROM sequences WHERE id = ?', [action.sequence_id]))) {
+            throw new AutoReplyError(`Sequence ${action.sequence_id} not found`);
+        }
+    }
+    if (responseType === 'none' && !actions.length) throw new AutoReplyError('A rule needs a response or an action');
+
+    const hoursMode = value('hours_mode') || 'inside';
+    if (!HOURS_MODES.includes(hoursMode)) throw new AutoReplyError(`hours_mode must be one of: ${HOURS_MODES.join(', ')}`);
+    const businessHours = timezones.parseWindow(value('business_hours'));
+
+    const cooldownValue = value('cooldown_minutes');
+    const cooldown = cooldownValue === undefined || cooldownValue === null || cooldownValue === '' ? 0 : Number(cooldownValue);
+    if (!Number.isInteger(cooldown) || cooldown < 0) throw new AutoReplyError('cooldown_minutes must be a whole number of minutes');
+
+    const priorityValue = value('priority');
+    const priority = priorityValue === undefined || priorityValue === null || priorityValue === '' ? 100 : Number(priorityValue);
+    if (!Number.isInteger(priority)) throw new AutoReplyError('priority must be a whole number (lower runs first)');
+
+    return {
+        name,
+        match_type: matchType,
+        pattern: matchType === 'first_message' ? null : pattern,
+        case_sensitive: caseSensitive ? 1 : 0,
+        response_type: responseType,
+        response_text: responseText,
+        template_id: templateId,
+        media_url: mediaUrl,
+        media_type: mediaType,
+        actions: JSON.stringify(actions),
+        business_hours: businessHours ? JSON.stringify(businessHours) : null,
+        hours_mode: hoursMode,
+        timezone: timezones.validateZone(value('timezone')),
+        cooldown_minutes: cooldown,
+        priority,
+        active: flag(value('active'), true) ? 1 : 0
+    };
+}
+
+const RULE_QUERY = `SELECT r.*,
+        (SELECT COUNT(*) FROM autoreply_events e WHERE e.rule_id = r.id) AS fire_count,
+        (SELECT MAX(created_at) FROM autoreply_events e WHERE e.rule_id = r.id) AS last_fired_at
+     FROM autoreply_rules r`;
+
+async function find(db, id) {
+    const row = await get(db, `${RULE_QUERY} WHERE r.id = ?`, [id]);
+    if (!row) throw new AutoReplyError('Rule not found', 404);
+    return publicRule(row);
+}
+
+async function list(db, { activeOnly = false } = {}) {
+    const rows = await all(db, `${RULE_QUERY} ${activeOnly ? 'WHERE r.active = 1' : ''} ORDER BY r.priority, r.id`);
+    return rows.map(publicRule);
+}
+
+async function create(db, input, { media, createdBy = null } = {}) {
+    const fields = await definition(db, input, {}, media);
+    const columns = Object.keys(fields);
+    const { lastID } = await run(db,
+        `INSERT INTO autoreply_rules (${columns.join(', ')}, created_by) VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+        [...Object.values(fields), createdBy]
+    );
+    return find(db, lastID);
+}
+
+async function update(db, id, input, { media } = {}) {
+    const current = await get(db, 'SELECT * FROM autoreply_rules WHERE id = ?', [id]);
+    if (!current) throw new AutoReplyError('Rule not found', 404);
+
+    const fields = await definition(db, input, current, media);
+    await run(db,
+        `UPDATE autoreply_rules SET ${Object.keys(fields).map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...Object.values(fields), id]
+    );
+    return find(db, id);
+}
+
+async function remove(db, id) {
+    await find(db, id);
+    await run(db, 'DELETE FROM autoreply_events WHERE rule_id = ?', [id]);
+    await run(db, 'DELETE FROM autoreply_rules WHERE id = ?', [id]);
+}
+
+function matches(rule, body, firstMessage) {
+    if (rule.match_type === 'first_message') return firstMessage;
+    if (rule.match_type === 'regex') {
+        return new RegExp(rule.pattern, rule.case_sensitive ? '' : 'i').test(String(body || ''));
+    }
+
+    const text = normalizeText(body, rule.case_sensitive);
+    if (!text) return false;
+    const list = keywords(rule.pattern).map(keyword => normalizeText(keyword, rule.case_sensitive));
+    return rule.match_type === 'exact'
+        ? list.includes(text)
+        : list.some(keyword => text.includes(keyword));
+}
+
+// Why a matching rule may not answer now, or null when it may
+async function blocked(db, rule, contact, now) {
+    if (rule.business_hours) {
+        const open = !timezones.nextOpening(rule.business_hours, timezones.resolveZone(rule.timezone), now);
+        if (open !== (rule.hours_mode === 'inside')) {
+            return rule.hours_mode === 'inside' ? 'outside business hours' : 'inside business hours';
+        }
+    }
+
+    if (rule.cooldown_minutes && contact && contact.id) {
+        const last = await get(db,
+            `SELECT created_at FROM autoreply_events WHERE rule_id = ? AND contact_id = ? AND created_at > ?
+             ORDER BY created_at DESC LIMIT 1`,
+            [rule.id, contact.id, toSql(new Date(now.getTime() - rule.cooldown_minutes * 60000))]
+        );
+        if (last) return `cooldown (answered this contact at ${last.created_at} UTC)`;
+    }
+    return null;
+}
+
+// What the rule sends to the contact: { type, text, media_url, media_type }, or null
+async function response(db, rule, contact) {
+    if (rule.response_type === 'none') return null;
+    if (rule.response_type === 'template') {
+        const row = await get(db, 'SELECT content FROM templates WHERE id = ?', [rule.template_id]);
+        if (!row) throw new AutoReplyError(`The template of rule "${rule.name}" was deleted`, 409);
+        return { type: 'template', text: template.render(row.content, template.contactContext(contact || {})) };
+    }
+    if (rule.response_type === 'media') {
+        return { type: 'media', text: rule.response_text || '', media_url: rule.media_url, media_type: rule.media_type };
+    }
+    return { type: 'text', text: rule.response_text };
+}
+
+// True when this inbound message is the first the contact ever sent us
+async function isFirstMessage(db, contactId, messageId) {
+    const row = await get(db,
+        `SELECT COUNT(*) AS total FROM conversation_messages cm
+         JOIN conversations cv ON cv.id = cm.conversation_id
+         WHERE cv.contact_id = ? AND cm.direction = 'in' AND cm.id != ?`,
+        [contactId, messageId || 0]
+    );
+    return row.total === 0;
+}
+
+// The rule that answers a message, without sending or recording anything:
+// { rule, response, actions, checks: [{ rule_id, name, result }] }. checks lists every rule
+// looked at and why it did or did not answer.
+async function evaluate(db, { body, contact = null, firstMessage = false, now = new Date() }) {
+    const checks = [];
+    for (const rule of await list(db, { activeOnly: true })) {
+        if (!matches(rule, body, firstMessage)) {
+            checks.push({ rule_id: rule.id, name: rule.name, result: 'no match' });
+            continue;
+        }
+        const reason = await blocked(db, rule, contact, now);
+        if (reason) {
+            checks.push({ rule_id: rule.id, name: rule.name, result: reason });
+            continue;
+        }
+        checks.push({ rule_id: rule.id, name: rule.name, result: 'answers' });
+        return { rule, response: await response(db, rule, contact), actions: rule.actions, checks };
+    }
+    return { rule: null, response: null, actions: [], checks };
+}
+
+// Count the rule as having answered the contact (for its cooldown and stats)
+function recordFire(db, ruleId, contactId) {
+    return run(db, 'INSERT INTO autoreply_events (rule_id, contact_id) VALUES (?, ?)', [ruleId, contactId]);
+}
+
+// Run a rule's actions for the contact; [{ type, ..., error? }]. Notify actions are only
+// returned, for the caller to deliver.
+async function runActions(db, rule, contact) {
+    const results = [];
+    for (const action of rule.actions) {
+        try {
+            if (action.type === 'add_tag') {
+                const current = await get(db, 'SELECT tags FROM contacts WHERE id = ?', [contact.id]);
+                const tags = parseJSON(current && current.tags, []);
+                const list = Array.isArray(tags) ? tags : [];
+                if (!list.some(tag => String(tag).toLowerCase() === action.tag.toLowerCase())) {
+                    await run(db, 'UPDATE contacts SET tags = ? WHERE id = ?', [JSON.stringify([...list, action.tag]), contact.id]);
+                }
+                results.push(action);
+            } else if (action.type === 'enroll') {
+                results.push({ ...action, ...(await sequences.enroll(db, action.sequence_id, { contact_ids: [contact.id] })) });
+            } else {
+                results.push(action);
+            }
+        } catch (error) {
+            results.push({ ...action, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    MATCH_TYPES,
+    RESPONSE_TYPES,
+    ACTION_TYPES,
+    AutoReplyError,
+    find,
+    list,
+    create,
+    update,
+    remove,
+    isFirstMessage,
+    evaluate,
+    recordFire,
+    runActions
+};
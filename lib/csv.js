@@ -0,0 +1,66 @@
+const fs = require('fs');
+const csvParser = require('csv-parser');
+
+// Excel writes ';' (or tabs) in locales where ',' is the decimal separator; pick whichever
+// appears most often in the header line
+function detectSeparator(line) {
+    const counts = [',', ';', '\t'].map(separator => [separator, line.split(separator).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+function firstLine(path) {
+    const fd = fs.openSync(path, 'r');
+    try {
+        const buffer = Buffer.alloc(64 * 1024);
+        const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+        return buffer.toString('utf8', 0, bytes).split(/\r?\n/)[0];
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Parse a whole file. Resolves { headers, rows } with rows as objects keyed by header.
+function readFile(path) {
+    return new Promise((resolve, reject) => {
+        let headers = [];
+        const rows = [];
+
+        fs.createReadStream(path)
+            .pipe(csvParser({
+                separator: detectSeparator(firstLine(path)),
+                mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+            }))
+            .on('headers', list => { headers = list; })
+            .on('data', row => rows.push(row))
+            .on('end', () => resolve({ headers, rows }))
+            .on('error', reject);
+    });
+}
+
+// Text that spreadsheets would run as a formula (starting with =, +, -, @, tab or CR) gets a
+// leading ' so it stays text. Plain numbers such as +5511912345678 are left as they are.
+function escapeFormula(value) {
+    if (typeof value !== 'string' || !/^[=+\-@\t\r]/.test(value) || /^[+-]?\d+(\.\d+)?$/.test(value)) return value;
+    return `'${value}`;
+}
+
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    const escaped = escapeFormula(value);
+    const text = String(escaped);
+    return escaped !== value || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV line (with the trailing newline)
+function formatRow(values) {
+    return values.map(formatValue).join(',') + '\r\n';
+}
+
+// A complete CSV document from objects; columns are [key, header] pairs
+function format(columns, rows) {
+    return formatRow(columns.map(([, header]) => header)) +
+        rows.map(row => formatRow(columns.map(([key]) => row[key]))).join('');
+}
+
+module.exports = { detectSeparator, readFile, escapeFormula, formatRow, format };
@@ -0,0 +1,48 @@
+// Promise helpers around the callback-style sqlite3 API
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) reject(err);
+            else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+    });
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) reject(err);
+            else resolve(row);
+        });
+    });
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) reject(err);
+            else resolve(rows);
+        });
+    });
+}
+
+// ALTER TABLE ... ADD COLUMN that is safe to run on every boot
+function addColumn(db, table, column, definition) {
+    db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+        if (err && !/duplicate column name/i.test(err.message)) {
+            console.error(`Migration error (${table}.${column}):`, err.message);
+        }
+    });
+}
+
+function parseJSON(value, fallback) {
+    if (value === null || value === undefined || value === '') return fallback;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return fallback;
+    }
+}
+
+module.exports = { run, get, all, addColumn, parseJSON };
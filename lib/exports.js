@@ -0,0 +1,144 @@
+const { all, parseJSON } = require('./db');
+const segments = require('./segments');
+const csv = require('./csv');
+const vcard = require('./vcard');
+
+// Contact export.
+//
+// Contacts are read a page at a time (by id) and written as they are read, waiting for the
+// client when the response buffer is full, so an export never holds the address book in memory.
+
+const FORMATS = {
+    csv: { type: 'text/csv', extension: 'csv' },
+    vcf: { type: 'text/vcard', extension: 'vcf' },
+    json: { type: 'application/json', extension: 'json' }
+};
+
+const PAGE_SIZE = 500;
+
+class ExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Which contacts to export: ids (comma separated), tag, search (name, phone or email) or a segment
+async function selection(db, { ids, tag, search, segment_id: segmentId } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (ids) {
+        const list = String(ids).split(',').map(Number).filter(Boolean);
+        if (!list.length) throw new ExportError('ids must be a comma separated list of contact ids');
+        conditions.push(`c.id IN (${list.map(() => '?').join(',')})`);
+        params.push(...list);
+    }
+    if (tag) {
+        conditions.push(`c.tags LIKE ? ESCAPE '\\'`);
+        params.push(`%"${String(tag).replace(/[\\%_]/g, '\\$&')}"%`);
+    }
+    if (search) {
+        conditions.push(`(c.name LIKE ? OR c.phone LIKE ? OR c.email LIKE ?)`);
+        params.push(...Array(3).fill(`%${search}%`));
+    }
+
+    const segment = segmentId ? (await segments.find(db, segmentId)).rules : null;
+    return { where: conditions.join(' AND '), params, segment: segment && segments.validate(segment) };
+}
+
+async function* contactPages(db, { where, params, segment }) {
+    let afterId = 0;
+    while (true) {
+        const rows = await segments.loadContacts(db, { where, params, afterId, limit: PAGE_SIZE });
+        if (!rows.length) return;
+        afterId = rows[rows.length - 1].id;
+
+        const now = new Date();
+        yield rows
+            .filter(row => !segment || segments.matches(row, segment, now))
+            .map(row => {
+                const tags = parseJSON(row.tags, null);
+                return {
+                    id: row.id,
+                    name: row.name,
+                    phone: row.phone,
+                    email: row.email,
+                    tags: Array.isArray(tags) ? tags : String(row.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+                    custom_fields: parseJSON(row.custom_fields, {}) || {},
+                    timezone: row.timezone,
+                    created_at: row.created_at
+                };
+            });
+    }
+}
+
+// Custom field names used by the selected contacts, for the CSV columns
+async function customKeys(db, { where, params }) {
+    const rows = await all(db,
+        `SELECT DISTINCT j.key FROM contacts c, json_each(c.custom_fields) j
+         WHERE json_valid(c.custom_fields) AND json_type(c.custom_fields) = 'object' ${where ? `AND (${where})` : ''}
+         ORDER BY j.key`,
+        params
+    );
+    return rows.map(row => row.key);
+}
+
+// Resolves when the response can take more data, or the client went away
+function drained(res) {
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// Write the selected contacts to an HTTP response
+async function write(db, res, query = {}) {
+    const format = query.format || 'csv';
+    if (!FORMATS[format]) throw new ExportError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    const version = query.version || '3.0';
+    if (format === 'vcf' && !vcard.VERSIONS.includes(version)) {
+        throw new ExportError(`version must be one of: ${vcard.VERSIONS.join(', ')}`);
+    }
+
+    const selected = await selection(db, query);
+    const keys = format === 'csv' ? await customKeys(db, selected) : [];
+
+    const send = async (chunk) => {
+        if (!res.write(chunk)) await drained(res);
+    };
+
+    res.attachment(`contacts-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`);
+    res.type(FORMATS[format].type);
+
+    if (format === 'csv') await send(csv.formatRow(['name', 'phone', 'email', 'tags', 'timezone', 'created_at', ...keys]));
+    if (format === 'json') await send('[');
+
+    let first = true;
+    for await (const page of contactPages(db, selected)) {
+        if (res.destroyed) return;
+        let chunk = '';
+        for (const contact of page) {
+            if (format === 'csv') {
+                chunk += csv.formatRow([contact.name, contact.phone, contact.email, contact.tags.join(', '),
+                    contact.timezone, contact.created_at, ...keys.map(key => contact.custom_fields[key])]);
+            } else if (format === 'vcf') {
+                chunk += vcard.format(contact, version);
+            } else {
+                chunk += (first ? '\n' : ',\n') + JSON.stringify(contact);
+            }
+            first = false;
+        }
+        if (chunk) await send(chunk);
+    }
+
+    if (format === 'json') await send(first ? ']' : '\n]');
+    res.end();
+}
+
+module.exports = { FORMATS, ExportError, drained, write };
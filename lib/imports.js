@@ -0,0 +1,304 @@
+const fs = require('fs');
+const { run, get, all, parseJSON } = require('./db');
+const phones = require('./phones');
+const csv = require('./csv');
+const vcard = require('./vcard');
+const timezones = require('./timezones');
+
+// Guided contact import.
+//
+// 1. upload: the CSV (or vCard) file is parsed and kept with its headers, a preview and a
+//    suggested mapping
+// 2. commit: with the mapping the user confirmed ({ header: 'name' | 'phone' | 'email' | 'tags' |
+//    'timezone' | 'custom.<key>' }), every row becomes a contact. Rows whose number already belongs to a
+//    contact are skipped, update it (mapped values overwrite) or merge into it (only empty
+//    fields are filled; tags and custom fields are combined). Each row's outcome is kept as
+//    the import report.
+
+const MODES = ['skip', 'update', 'merge'];
+const FIELDS = ['name', 'phone', 'email', 'tags', 'timezone'];
+const PREVIEW_ROWS = 5;
+
+// Header names recognized for each field when suggesting a mapping
+const SYNONYMS = {
+    name: ['name', 'full name', 'fullname', 'contact', 'contact name', 'nome', 'nombre'],
+    phone: ['phone', 'phone number', 'mobile', 'cell', 'whatsapp', 'number', 'telephone', 'tel', 'telefone', 'celular', 'telefono'],
+    email: ['email', 'e-mail', 'mail', 'email address'],
+    tags: ['tags', 'tag', 'labels', 'groups'],
+    timezone: ['timezone', 'time zone', 'tz', 'fuso horario', 'zona horaria']
+};
+
+const EMAIL = /^[^\s@]+@[^\s@]+$/;
+
+class ImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function suggestMapping(headers) {
+    const used = new Set();
+    const mapping = {};
+
+    headers.forEach(header => {
+        const key = header.toLowerCase();
+        const field = FIELDS.find(name => !used.has(name) && SYNONYMS[name].includes(key));
+        if (field) used.add(field);
+        mapping[header] = field || (header ? `custom.${header}` : '');
+    });
+    return mapping;
+}
+
+// Mapped columns only; throws an ImportError for unknown columns, targets or a missing phone
+function validateMapping(headers, input) {
+    const mapping = typeof input === 'string' ? parseJSON(input, null) : input;
+    if (!mapping || typeof mapping !== 'object') throw new ImportError('A column mapping is required');
+
+    const columns = {};
+    const sources = {};
+    for (const [header, target] of Object.entries(mapping)) {
+        if (!headers.includes(header)) throw new ImportError(`Unknown column "${header}"`);
+        if (!target) continue;
+        if (!FIELDS.includes(target) && !/^custom\.\S/.test(target)) {
+            throw new ImportError(`Column "${header}" cannot be mapped to "${target}"`);
+        }
+        // Several columns may feed the tags; every other field takes one column
+        if (sources[target] && target !== 'tags') {
+            throw new ImportError(`${target} is mapped from both "${sources[target]}" and "${header}"`);
+        }
+        sources[target] = header;
+        columns[header] = target;
+    }
+
+    if (!sources.phone) throw new ImportError('Map one column to phone');
+    return columns;
+}
+
+function splitTags(text) {
+    return String(text).split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+// Mapped, non-empty values of a row
+function mapRow(row, columns) {
+    const contact = { tags: [], custom: {} };
+
+    for (const [header, target] of Object.entries(columns)) {
+        const value = String(row[header] === undefined ? '' : row[header]).trim();
+        if (!value) continue;
+
+        if (target === 'tags') contact.tags.push(...splitTags(value));
+        else if (target.startsWith('custom.')) contact.custom[target.slice(7)] = value;
+        else contact[target] = value;
+    }
+    return contact;
+}
+
+function combineTags(...lists) {
+    const seen = new Set();
+    return lists.flat().filter(tag => {
+        const key = String(tag).toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+// The existing contact with the row applied according to the mode
+function applyRow(existing, row, mode) {
+    const tags = parseJSON(existing.tags, []);
+    const custom = parseJSON(existing.custom_fields, {}) || {};
+    const currentTags = Array.isArray(tags) ? tags : splitTags(existing.tags || '');
+
+    if (mode === 'update') {
+        return {
+            name: row.name || existing.name,
+            email: row.email || existing.email,
+            timezone: row.timezone || existing.timezone,
+            tags: row.tags.length ? combineTags(row.tags) : currentTags,
+            custom: { ...custom, ...row.custom }
+        };
+    }
+
+    const filled = { ...custom };
+    for (const [key, value] of Object.entries(row.custom)) {
+        if (filled[key] === undefined || filled[key] === null || filled[key] === '') filled[key] = value;
+    }
+    return {
+        name: existing.name || row.name,
+        email: existing.email || row.email,
+        timezone: existing.timezone || row.timezone,
+        tags: combineTags(currentTags, row.tags),
+        custom: filled
+    };
+}
+
+async function importRow(db, row, mode) {
+    const result = { phone: row.phone || '', name: row.name || '' };
+
+    try {
+        result.phone = phones.normalize(row.phone);
+    } catch (error) {
+        return { ...result, status: 'invalid', error: error.message };
+    }
+    if (row.email && !EMAIL.test(row.email)) {
+        return { ...result, status: 'invalid', error: `"${row.email}" is not a valid email` };
+    }
+    if (row.timezone && !timezones.isValidZone(row.timezone)) {
+        return { ...result, status: 'invalid', error: `"${row.timezone}" is not a known time zone` };
+    }
+
+    const existing = await get(db, 'SELECT * FROM contacts WHERE phone = ?', [result.phone]);
+    if (!existing) {
+        const { lastID } = await run(db,
+            `INSERT INTO contacts (name, phone, email, tags, custom_fields, timezone) VALUES (?, ?, ?, ?, ?, ?)`,
+            [row.name || '', result.phone, row.email || null, JSON.stringify(combineTags(row.tags)), JSON.stringify(row.custom),
+                row.timezone || null]
+        );
+        return { ...result, status: 'inserted', contact_id: lastID };
+    }
+
+    if (mode === 'skip') {
+        return { ...result, status: 'duplicate', contact_id: existing.id, error: 'A contact with this phone number already exists' };
+    }
+
+    const contact = applyRow(existing, row, mode);
+    await run(db,
+        `UPDATE contacts SET name = ?, email = ?, tags = ?, custom_fields = ?, timezone = ? WHERE id = ?`,
+        [contact.name, contact.email, JSON.stringify(contact.tags), JSON.stringify(contact.custom), contact.timezone || null, existing.id]
+    );
+    return { ...result, status: 'updated', contact_id: existing.id };
+}
+
+function publicImport(row) {
+    return {
+        id: row.id,
+        filename: row.filename,
+        headers: parseJSON(row.headers, []),
+        total: row.total,
+        status: row.status,
+        mapping: parseJSON(row.mapping, null),
+        mode: row.mode,
+        inserted: row.inserted,
+        updated: row.updated,
+        invalid: row.invalid,
+        duplicate: row.duplicate,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        completed_at: row.completed_at
+    };
+}
+
+// vCards become rows with name, phone, email, tags and one column per custom field
+function vcardRows(text) {
+    const cards = vcard.parse(text);
+    const customKeys = [...new Set(cards.flatMap(card => Object.keys(card.custom)))];
+
+    return {
+        headers: ['name', 'phone', 'email', 'tags', ...customKeys],
+        rows: cards.map(card => ({
+            name: card.name,
+            phone: card.phone,
+            email: card.email,
+            tags: card.tags.join(', '),
+            ...Object.fromEntries(customKeys.map(key => [key, card.custom[key] || '']))
+        }))
+    };
+}
+
+async function readUpload(path, filename) {
+    const start = fs.readFileSync(path).subarray(0, 1024).toString('utf8');
+    if (/\.(vcf|vcard)$/i.test(filename || '') || vcard.isVCard(start)) {
+        return vcardRows(fs.readFileSync(path, 'utf8'));
+    }
+    return csv.readFile(path);
+}
+
+// Step 1: parse an uploaded file and keep it for the commit
+async function upload(db, { path, filename }, createdBy = null) {
+    const { headers, rows } = await readUpload(path, filename);
+    if (!headers.length || !rows.length) throw new ImportError('The file has no data rows');
+
+    const { lastID } = await run(db,
+        `INSERT INTO contact_imports (filename, headers, data, total, created_by) VALUES (?, ?, ?, ?, ?)`,
+        [filename, JSON.stringify(headers), JSON.stringify(rows), rows.length, createdBy]
+    );
+
+    return {
+        ...(await find(db, lastID)),
+        preview: rows.slice(0, PREVIEW_ROWS),
+        mapping: suggestMapping(headers),
+        modes: MODES
+    };
+}
+
+// Step 2: import every row with the confirmed mapping
+async function commit(db, id, { mapping, mode = 'skip' }) {
+    const job = await get(db, 'SELECT * FROM contact_imports WHERE id = ?', [id]);
+    if (!job) throw new ImportError('Import not found', 404);
+
+    const columns = validateMapping(parseJSON(job.headers, []), mapping);
+    if (!MODES.includes(mode)) throw new ImportError(`mode must be one of: ${MODES.join(', ')}`);
+
+    const { changes } = await run(db,
+        `UPDATE contact_imports SET status = 'processing' WHERE id = ? AND status = 'pending'`,
+        [id]
+    );
+    if (!changes) throw new ImportError('This import has already been run', 409);
+
+    const report = [];
+    try {
+        for (const [index, row] of parseJSON(job.data, []).entries()) {
+            // Line numbers as seen in a spreadsheet, counting the header line
+            report.push({ line: index + 2, ...(await importRow(db, mapRow(row, columns), mode)) });
+        }
+    } catch (error) {
+        await run(db, `UPDATE contact_imports SET status = 'failed', report = ? WHERE id = ?`, [JSON.stringify(report), id]);
+        throw error;
+    }
+
+    const count = (status) => report.filter(row => row.status === status).length;
+    await run(db,
+        `UPDATE contact_imports SET status = 'completed', mapping = ?, mode = ?, report = ?, data = NULL,
+             inserted = ?, updated = ?, invalid = ?, duplicate = ?, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [JSON.stringify(columns), mode, JSON.stringify(report),
+            count('inserted'), count('updated'), count('invalid'), count('duplicate'), id]
+    );
+
+    return { ...(await find(db, id)), report };
+}
+
+async function find(db, id) {
+    const row = await get(db, 'SELECT * FROM contact_imports WHERE id = ?', [id]);
+    if (!row) throw new ImportError('Import not found', 404);
+    return publicImport(row);
+}
+
+async function list(db, limit = 20) {
+    const rows = await all(db, 'SELECT * FROM contact_imports ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(publicImport);
+}
+
+// Per-row results as CSV
+async function reportCsv(db, id) {
+    const row = await get(db, 'SELECT report FROM contact_imports WHERE id = ?', [id]);
+    if (!row) throw new ImportError('Import not found', 404);
+
+    return csv.format(
+        [['line', 'line'], ['status', 'status'], ['phone', 'phone'], ['name', 'name'], ['contact_id', 'contact_id'], ['error', 'error']],
+        parseJSON(row.report, [])
+    );
+}
+
+module.exports = {
+    MODES,
+    ImportError,
+    suggestMapping,
+    validateMapping,
+    upload,
+    commit,
+    find,
+    list,
+    reportCsv
+};
@@ -0,0 +1,172 @@
+const { run, get, all } = require('./db');
+const phones = require('./phones');
+
+// Only one-to-one chats land in the inbox (no groups, broadcasts or status updates)
+function isDirectChat(chatId) {
+    return /@c\.us$/.test(chatId || '');
+}
+
+function phoneFromChatId(chatId) {
+    return phones.fromChatId(chatId);
+}
+
+// Match the stored E.164 number, falling back to the digits for numbers the phone
+// migration could not normalize
+function findContactByPhone(db, phone) {
+    const e164 = phones.tryNormalize(phone) || String(phone || '');
+    return get(db,
+        `SELECT * FROM contacts
+         WHERE phone = ? OR REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(phone, '+', ''), ' ', ''), '-', ''), '.', ''), '(', ''), ')', '') = ?
+         ORDER BY phone = ? DESC LIMIT 1`,
+        [e164, phones.digits(e164), e164]
+    );
+}
+
+// Persist an inbound message: find or create the contact and conversation, then store it.
+// Returns null for chats we do not track and for messages already stored (replays).
+async function recordInbound(db, instance, msg) {
+    if (!isDirectChat(msg.from)) return null;
+
+    if (msg.id && await get(db, 'SELECT id FROM conversation_messages WHERE wa_message_id = ?', [msg.id])) {
+        return null;
+    }
+
+    const phone = phoneFromChatId(msg.from);
+    let contact = await findContactByPhone(db, phone);
+    let contactCreated = false;
+
+    if (!contact) {
+        const { lastID } = await run(db,
+            `INSERT INTO contacts (name, phone, tags, custom_fields) VALUES (?, ?, ?, ?)`,
+            [msg.senderName || phone, phone, JSON.stringify(['inbound']), JSON.stringify({})]
+        );
+        contact = await get(db, 'SELECT * FROM contacts WHERE id = ?', [lastID]);
+        contactCreated = true;
+    }
+
+    await run(db,
+        `INSERT OR IGNORE INTO conversations (contact_id, instance, chat_id) VALUES (?, ?, ?)`,
+        [contact.id, instance, msg.from]
+    );
+    const conversation = await get(db,
+        'SELECT * FROM conversations WHERE instance = ? AND chat_id = ?',
+        [instance, msg.from]
+    );
+
+    const receivedAt = msg.timestamp ? new Date(msg.timestamp * 1000) : new Date();
+    const { lastID } = await run(db,
+        `INSERT INTO conversation_messages (conversation_id, direction, wa_message_id, body, type, status, created_at)
+         VALUES (?, 'in', ?, ?, ?, 'received', ?)`,
+        [conversation.id, msg.id || null, msg.body || '', msg.type || 'chat', toSqlTimestamp(receivedAt)]
+    );
+
+    await run(db,
+        `UPDATE conversations
+         SET unread_count = unread_count + 1, last_message_at = ?, last_message_preview = ?
+         WHERE id = ?`,
+        [toSqlTimestamp(receivedAt), preview(msg.body), conversation.id]
+    );
+
+    return {
+        contact,
+        contactCreated,
+        conversation: await get(db, 'SELECT * FROM conversations WHERE id = ?', [conversation.id]),
+        message: await get(db, 'SELECT * FROM conversation_messages WHERE id = ?', [lastID])
+    };
+}
+
+// Store a reply we sent from the inbox
+async function recordOutbound(db, conversationId, { id, body }) {
+    const { lastID } = await run(db,
+        `INSERT INTO conversation_messages (conversation_id, direction, wa_message_id, body, type, status)
+         VALUES (?, 'out', ?, ?, 'chat', 'sent')`,
+        [conversationId, id || null, body]
+    );
+
+    await run(db,
+        `UPDATE conversations SET last_message_at = CURRENT_TIMESTAMP, last_message_preview = ? WHERE id = ?`,
+        [preview(body), conversationId]
+    );
+
+    return get(db, 'SELECT * FROM conversation_messages WHERE id = ?', [lastID]);
+}
+
+// Ack for an inbox reply (campaign messages are handled by receipts.recordAck)
+async function recordReplyAck(db, waMessageId, status) {
+    const { changes } = await run(db,
+        `UPDATE conversation_messages SET status = ? WHERE wa_message_id = ? AND direction = 'out'`,
+        [status, waMessageId]
+    );
+    return changes ? get(db, 'SELECT * FROM conversation_messages WHERE wa_message_id = ?', [waMessageId]) : null;
+}
+
+function listConversations(db, { instance, unread } = {}) {
+    const where = [];
+    const params = [];
+
+    if (instance) {
+        where.push('cv.instance = ?');
+        params.push(instance);
+    }
+    if (unread) {
+        where.push('cv.unread_count > 0');
+    }
+
+    return all(db,
+        `SELECT cv.*, c.name as contact_name, c.phone as contact_phone
+         FROM conversations cv
+         LEFT JOIN contacts c ON c.id = cv.contact_id
+         ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+         ORDER BY cv.last_message_at DESC`,
+        params
+    );
+}
+
+// One page of a thread, newest page first; messages within the page are oldest -> newest
+async function getThread(db, conversationId, { before, limit = 50 } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const rows = await all(db,
+        `SELECT * FROM conversation_messages
+         WHERE conversation_id = ? ${before ? 'AND id < ?' : ''}
+         ORDER BY id DESC
+         LIMIT ?`,
+        before ? [conversationId, before, pageSize + 1] : [conversationId, pageSize + 1]
+    );
+
+    const hasMore = rows.length > pageSize;
+    const messages = rows.slice(0, pageSize).reverse();
+
+    return {
+        messages,
+        hasMore,
+        nextBefore: hasMore ? messages[0].id : null
+    };
+}
+
+async function markRead(db, conversationId) {
+    await run(db,
+        `UPDATE conversation_messages SET read_at = CURRENT_TIMESTAMP
+         WHERE conversation_id = ? AND direction = 'in' AND read_at IS NULL`,
+        [conversationId]
+    );
+    await run(db, 'UPDATE conversations SET unread_count = 0 WHERE id = ?', [conversationId]);
+}
+
+function preview(body) {
+    return (body || '').slice(0, 120);
+}
+
+function toSqlTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+module.exports = {
+    recordInbound,
+    recordOutbound,
+    recordReplyAck,
+    listConversations,
+    getThread,
+    markRead,
+    findContactByPhone,
+    phoneFromChatId
+};
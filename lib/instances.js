@@ -0,0 +1,140 @@
+const EventEmitter = require('events');
+const { createTransport } = require('./transports');
+const { run, all } = require('./db');
+
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const TRANSPORT_EVENTS = ['qr', 'authenticated', 'auth_failure', 'ready', 'disconnected', 'ack', 'inbound'];
+
+class InstanceError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Named WhatsApp instances, each with its own transport (and LocalAuth session)
+class InstanceManager extends EventEmitter {
+    constructor({ db, defaultInstance }) {
+        super();
+        this.db = db;
+        this.defaultInstance = defaultInstance;
+        this.instances = new Map();
+    }
+
+    // Restore every saved instance, creating the default one on first boot
+    async load() {
+        await run(this.db, `INSERT OR IGNORE INTO instances (name) VALUES (?)`, [this.defaultInstance]);
+        const rows = await all(this.db, 'SELECT * FROM instances ORDER BY created_at');
+        rows.forEach(row => this.start(row));
+    }
+
+    async create(name, { driver } = {}) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new InstanceError('Instance name may only contain letters, numbers, "_" and "-" (max 64)', 400);
+        }
+        if (this.instances.has(name)) {
+            throw new InstanceError(`Instance "${name}" already exists`, 409);
+        }
+
+        await run(this.db, `INSERT INTO instances (name, driver) VALUES (?, ?)`, [name, driver || null]);
+        return this.start({ name, driver, created_at: new Date().toISOString() });
+    }
+
+    start(row) {
+        const transport = createTransport({ clientId: row.name, driver: row.driver || undefined });
+        const instance = {
+            name: row.name,
+            driver: row.driver || process.env.WHATSAPP_DRIVER || 'whatsapp-web',
+            createdAt: row.created_at,
+            state: 'connecting',
+            transport
+        };
+
+        TRANSPORT_EVENTS.forEach(event => {
+            transport.on(event, (payload) => {
+                if (event === 'qr') instance.state = 'qr';
+                if (event === 'ready') instance.state = 'open';
+                if (event === 'disconnected' || event === 'auth_failure') instance.state = 'close';
+                this.emit(event, instance.name, payload);
+            });
+        });
+
+        this.instances.set(instance.name, instance);
+        this.connect(instance.name);
+        return instance;
+    }
+
+    connect(name) {
+        const instance = this.require(name);
+        instance.state = 'connecting';
+        Promise.resolve(instance.transport.connect()).catch(error => {
+            console.error(`Instance ${name} failed to connect:`, error.message);
+            instance.state = 'close';
+            this.emit('disconnected', name, error.message);
+        });
+        return instance;
+    }
+
+    async restart(name) {
+        const instance = this.require(name);
+        await instance.transport.destroy();
+        instance.transport.removeAllListeners();
+        this.instances.delete(name);
+        return this.start({ name, driver: instance.driver, created_at: instance.createdAt });
+    }
+
+    async logout(name) {
+        const instance = this.require(name);
+        await instance.transport.logout();
+        instance.state = 'close';
+    }
+
+    async remove(name) {
+        const instance = this.require(name);
+        if (name === this.defaultInstance) {
+            throw new InstanceError('The default instance cannot be deleted', 400);
+        }
+
+        await instance.transport.destroy();
+        await instance.transport.clearSession();
+        instance.transport.removeAllListeners();
+        this.instances.delete(name);
+        await run(this.db, 'DELETE FROM instances WHERE name = ?', [name]);
+    }
+
+    get(name) {
+        return this.instances.get(name);
+    }
+
+    require(name) {
+        const instance = this.instances.get(name);
+        if (!instance) {
+            throw new InstanceError(`Instance "${name}" not found`, 404);
+        }
+        return instance;
+    }
+
+    isReady(name) {
+        const instance = this.instances.get(name);
+        return Boolean(instance && instance.transport.status().ready);
+    }
+
+    describe(name) {
+        const instance = this.require(name);
+        const { ready, qr } = instance.transport.status();
+        return {
+            name: instance.name,
+            driver: instance.driver,
+            state: ready ? 'open' : instance.state,
+            ready,
+            qr,
+            createdAt: instance.createdAt
+        };
+    }
+
+    list() {
+        return Array.from(this.instances.keys()).map(name => this.describe(name));
+    }
+}
+
+module.exports = { InstanceManager, InstanceError };
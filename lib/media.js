@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { run, get, all } = require('./db');
+
+// Media library.
+//
+// Every uploaded attachment (campaign, variant, recurring campaign and auto-reply media, or an
+// upload to the library itself) is checked against WhatsApp's types and size limits and recorded
+// with its original filename, size and SHA-256 checksum; uploading the same file again reuses the
+// stored copy. Media is referenced as "/uploads/<file>" (or by library id in the API).
+//
+// Local media is read from disk and handed to the transport as data, once per file while it stays
+// in a small in-memory cache, instead of being fetched again for every recipient. Remote
+// (http/https) media is passed on as a URL.
+
+const MB = 1024 * 1024;
+const UPLOAD_DIR = path.join(__dirname, '..', 'public', 'uploads');
+
+// What WhatsApp accepts, by kind
+const KINDS = {
+    image: { maxBytes: 5 * MB, types: ['image/jpeg', 'image/png', 'image/webp'] },
+    video: { maxBytes: 16 * MB, types: ['video/mp4', 'video/3gpp'] },
+    audio: { maxBytes: 16 * MB, types: ['audio/aac', 'audio/mp4', 'audio/mpeg', 'audio/amr', 'audio/ogg'] },
+    document: {
+        maxBytes: 100 * MB,
+        types: [
+            'application/pdf',
+            'application/msword',
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'application/vnd.ms-excel',
+            'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            'application/vnd.ms-powerpoint',
+            'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+            'application/vnd.oasis.opendocument.text',
+            'application/vnd.oasis.opendocument.spreadsheet',
+            'application/zip',
+            'text/plain',
+            'text/csv'
+        ]
+    }
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(KINDS).map(kind => kind.maxBytes));
+
+// For uploads sent as application/octet-stream, and files not in the library
+const EXTENSION_TYPES = {
+    '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp',
+    '.mp4': 'video/mp4', '.3gp': 'video/3gpp',
+    '.aac': 'audio/aac', '.m4a': 'audio/mp4', '.mp3': 'audio/mpeg', '.amr': 'audio/amr', '.ogg': 'audio/ogg', '.opus': 'audio/ogg',
+    '.pdf': 'application/pdf', '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.ppt': 'application/vnd.ms-powerpoint',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    '.odt': 'application/vnd.oasis.opendocument.text', '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+    '.zip': 'application/zip', '.txt': 'text/plain', '.csv': 'text/csv'
+};
+
+const CACHE_BYTES = parseInt(process.env.MEDIA_CACHE_MB || '200', 10) * MB;
+
+class MediaError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function kindOf(mimeType) {
+    return Object.keys(KINDS).find(kind => KINDS[kind].types.includes(mimeType)) || null;
+}
+
+function typeFromName(name) {
+    return EXTENSION_TYPES[path.extname(String(name || '')).toLowerCase()] || null;
+}
+
+// Throws unless WhatsApp takes a file of this type and size
+function validate(mimeType, size) {
+    const kind = kindOf(mimeType);
+    if (!kind) {
+        throw new MediaError(`${mimeType || 'This file type'} cannot be sent on WhatsApp (images: JPEG, PNG, WebP; ` +
+            'videos: MP4, 3GP; audio: AAC, MP3, M4A, AMR, OGG; documents: PDF, Office, text, CSV, ZIP)', 415);
+    }
+    if (size > KINDS[kind].maxBytes) {
+        throw new MediaError(`${kind[0].toUpperCase()}${kind.slice(1)}s can be at most ${KINDS[kind].maxBytes / MB} MB ` +
+            `(this one is ${(size / MB).toFixed(1)} MB)`, 413);
+    }
+    return kind;
+}
+
+function url(filename) {
+    return `/uploads/${filename}`;
+}
+
+// The file under uploads/ for a "/uploads/..." reference, or null for other (remote) media
+function localPath(mediaUrl) {
+    const match = String(mediaUrl || '').match(/^\/uploads\/([^/\\]+)$/);
+    return match ? path.join(UPLOAD_DIR, match[1]) : null;
+}
+
+function publicMedia(row) {
+    return {
+        id: row.id,
+        url: url(row.filename),
+        filename: row.filename,
+        original_name: row.original_name,
+        mime_type: row.mime_type,
+        kind: row.kind,
+        size: row.size,
+        checksum: row.checksum,
+        created_by: row.created_by,
+        created_at: row.created_at
+    };
+}
+
+function checksum(file) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(file)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Multer reads multipart filenames as latin1; UTF-8 names ("relatório.pdf") need re-decoding
+function originalName(file) {
+    const decoded = Buffer.from(file.originalname || '', 'latin1').toString('utf8');
+    return decoded.includes('\uFFFD') ? file.originalname : decoded;
+}
+
+// Add a multer upload to the library (or find the same file already in it). Invalid files are
+// deleted and rejected.
+async function register(db, file, { createdBy = null } = {}) {
+    const name = originalName(file);
+    const mimeType = file.mimetype && file.mimetype !== 'application/octet-stream' ? file.mimetype : typeFromName(name);
+    let kind;
+    try {
+        kind = validate(mimeType, file.size);
+    } catch (error) {
+        fs.promises.unlink(file.path).catch(() => {});
+        throw new MediaError(`${name}: ${error.message}`, error.status);
+    }
+
+    const sum = await checksum(file.path);
+    const existing = await get(db, 'SELECT * FROM media WHERE checksum = ? AND mime_type = ?', [sum, mimeType]);
+    if (existing && fs.existsSync(path.join(UPLOAD_DIR, existing.filename))) {
+        if (existing.filename !== file.filename) await fs.promises.unlink(file.path).catch(() => {});
+        return publicMedia(existing);
+    }
+
+    const { lastID } = await run(db,
+        `INSERT INTO media (filename, original_name, mime_type, kind, size, checksum, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [file.filename, name, mimeType, kind, file.size, sum, createdBy]
+    );
+    return find(db, lastID);
+}
+
+async function find(db, id) {
+    const row = await get(db, 'SELECT * FROM media WHERE id = ?', [id]);
+    if (!row) throw new MediaError('Media not found', 404);
+    return publicMedia(row);
+}
+
+async function list(db, { kind } = {}) {
+    if (kind && !KINDS[kind]) throw new MediaError(`kind must be one of: ${Object.keys(KINDS).join(', ')}`);
+    const rows = await all(db,
+        `SELECT * FROM media ${kind ? 'WHERE kind = ?' : ''} ORDER BY created_at DESC, id DESC`,
+        kind ? [kind] : []
+    );
+    return rows.map(publicMedia);
+}
+
+// Campaigns that may still send: unfinished ones, and completed ones whose failed messages can
+// be requeued
+const SENDING_CAMPAIGN = `(c.status IN ('draft', 'scheduled', 'running', 'paused')
+    OR (c.status = 'completed' AND EXISTS (SELECT 1 FROM messages WHERE campaign_id = c.id AND status = 'failed')))`;
+
+// What still sends the file; it cannot be deleted until these are done or changed
+async function usage(db, mediaUrl) {
+    const rows = await all(db,
+        `SELECT 'campaign' AS type, c.id, c.name FROM campaigns c
+             WHERE c.media_url = ? AND ${SENDING_CAMPAIGN}
+         UNION ALL
+         SELECT 'campaign', c.id, c.name FROM campaign_variants v JOIN campaigns c ON c.id = v.campaign_id
+             WHERE v.media_url = ? AND ${SENDING_CAMPAIGN}
+         UNION ALL
+         SELECT 'recurring campaign', id, name FROM campaign_schedules WHERE media_url = ? AND status != 'ended'
+         UNION ALL
+         SELECT 'auto-reply', id, name FROM autoreply_rules WHERE media_url = ?`,
+        [mediaUrl, mediaUrl, mediaUrl, mediaUrl]
+    );
+    return rows.map(row => ({ type: row.type, id: row.id, name: row.name }));
+}
+
+async function remove(db, id) {
+    const item = await find(db, id);
+    const users = await usage(db, item.url);
+    if (users.length) {
+        throw new MediaError(`In use by ${users.map(user => `${user.type} "${user.name}"`).join(', ')}`, 409);
+    }
+
+    await run(db, 'DELETE FROM media WHERE id = ?', [id]);
+    const file = path.join(UPLOAD_DIR, item.filename);
+    forget(file);
+    await fs.promises.unlink(file).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+}
+
+// file path -> Promise of { mimetype, data, filename, size }, least recently used first
+const cache = new Map();
+let cachedBytes = 0;
+
+function forget(file) {
+    const entry = cache.get(file);
+    if (!entry) return;
+    cache.delete(file);
+    cachedBytes -= entry.bytes;
+}
+
+function evict() {
+    for (const file of cache.keys()) {
+        if (cachedBytes <= CACHE_BYTES || cache.size <= 1) break;
+        forget(file);
+    }
+}
+
+async function readLocal(db, file) {
+    const stored = path.basename(file);
+    const row = await get(db, 'SELECT original_name, mime_type FROM media WHERE filename = ?', [stored]);
+    const data = await fs.promises.readFile(file);
+    // Files uploaded before the library keep multer's "<timestamp>-<name>"
+    const filename = row ? row.original_name : stored.replace(/^\d+-/, '');
+    return {
+        mimetype: (row && row.mime_type) || typeFromName(filename) || 'application/octet-stream',
+        data: data.toString('base64'),
+        filename,
+        size: data.length
+    };
+}
+
+// The transport media for a campaign's media_url: file data for local uploads, { url } otherwise
+async function load(db, mediaUrl) {
+    const file = localPath(mediaUrl);
+    if (!file) return { url: mediaUrl };
+
+    let entry = cache.get(file);
+    if (entry) {
+        // Most recently used goes last
+        cache.delete(file);
+        cache.set(file, entry);
+        return entry.media;
+    }
+
+    entry = { media: readLocal(db, file), bytes: 0 };
+    cache.set(file, entry);
+    try {
+        const media = await entry.media;
+        // Unless it was deleted or evicted while loading
+        if (cache.get(file) === entry) {
+            entry.bytes = media.data.length;
+            cachedBytes += entry.bytes;
+            evict();
+        }
+        return media;
+    } catch (error) {
+        if (cache.get(file) === entry) cache.delete(file);
+        throw error;
+    }
+}
+
+module.exports = {
+    KINDS,
+    MAX_UPLOAD_BYTES,
+    MediaError,
+    validate,
+    localPath,
+    originalName,
+    register,
+    find,
+    list,
+    usage,
+    remove,
+    load
+};
@@ -0,0 +1,133 @@
+const { run, get, all } = require('./db');
+const { getSetting, setSetting } = require('./settings');
+const phones = require('./phones');
+
+// Whole-message keywords that mean "stop messaging me", in the languages our users send in
+const DEFAULT_KEYWORDS = [
+    'STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT',
+    'PARAR', 'SAIR', 'CANCELAR', 'DESCADASTRAR',    // Portuguese
+    'BAJA', 'ALTO', 'DETENER',                      // Spanish
+    'ARRET', 'ARRÊT', 'DESABONNER',                 // French
+    'STOPP', 'ABMELDEN',                            // German
+    'لغو', 'توقف', 'إلغاء', 'الغاء',                  // Persian / Arabic
+    'रोकें', 'बंद करें'                                // Hindi
+];
+
+// Same E.164 form as contacts; numbers that cannot be parsed are kept as digits
+function normalizePhone(phone) {
+    return phones.tryNormalize(phone) || phones.digits(phone);
+}
+
+// Upper-case, trim and drop surrounding punctuation/emoji so "Stop!" and " stop " match
+function normalizeKeyword(text) {
+    return String(text || '')
+        .trim()
+        .replace(/^[^\p{L}\p{M}\p{N}]+|[^\p{L}\p{M}\p{N}]+$/gu, '')
+        .replace(/\s+/g, ' ')
+        .toUpperCase();
+}
+
+async function getConfig(db) {
+    const envKeywords = process.env.OPTOUT_KEYWORDS
+        ? process.env.OPTOUT_KEYWORDS.split(',').map(k => k.trim()).filter(Boolean)
+        : DEFAULT_KEYWORDS;
+
+    return {
+        keywords: await getSetting(db, 'optout_keywords', envKeywords),
+        confirmation: await getSetting(db, 'optout_confirmation', process.env.OPTOUT_CONFIRMATION || '')
+    };
+}
+
+async function saveConfig(db, { keywords, confirmation }) {
+    if (keywords !== undefined) {
+        const list = Array.isArray(keywords) ? keywords : String(keywords).split(',');
+        await setSetting(db, 'optout_keywords', list.map(k => k.trim()).filter(Boolean));
+    }
+    if (confirmation !== undefined) {
+        await setSetting(db, 'optout_confirmation', confirmation || '');
+    }
+    return getConfig(db);
+}
+
+function matchesKeyword(body, keywords) {
+    const text = normalizeKeyword(body);
+    return Boolean(text) && keywords.some(keyword => normalizeKeyword(keyword) === text);
+}
+
+async function suppress(db, { phone, reason, source = 'manual', contactId = null }) {
+    const digits = normalizePhone(phone);
+    if (!digits) {
+        throw new Error('A phone number is required');
+    }
+
+    await run(db,
+        `INSERT INTO suppression_list (phone, reason, source, contact_id) VALUES (?, ?, ?, ?)
+         ON CONFLICT(phone) DO NOTHING`,
+        [digits, reason || null, source, contactId]
+    );
+    return get(db, 'SELECT * FROM suppression_list WHERE phone = ?', [digits]);
+}
+
+function unsuppress(db, id) {
+    return run(db, 'DELETE FROM suppression_list WHERE id = ?', [id]);
+}
+
+function isSuppressed(db, phone) {
+    return get(db, 'SELECT * FROM suppression_list WHERE phone = ?', [normalizePhone(phone)]);
+}
+
+async function suppressedPhones(db) {
+    const rows = await all(db, 'SELECT phone FROM suppression_list');
+    return new Set(rows.map(r => r.phone));
+}
+
+function listSuppressions(db) {
+    return all(db,
+        `SELECT s.*, c.name as contact_name FROM suppression_list s
+         LEFT JOIN contacts c ON c.id = s.contact_id
+         ORDER BY s.created_at DESC`
+    );
+}
+
+// Check an inbound message for an opt-out keyword; suppresses the sender when it matches.
+// Returns { entry, confirmation, campaignIds } or null, campaignIds being the campaigns that
+// had messages for the sender dropped (they may be done now).
+async function handleInbound(db, { phone, body, contactId }) {
+    const config = await getConfig(db);
+    if (!matchesKeyword(body, config.keywords)) return null;
+
+    const entry = await suppress(db, {
+        phone,
+        contactId,
+        source: 'keyword',
+        reason: `Replied "${String(body).trim()}"`
+    });
+
+    // Anything still queued for this number is dropped right away
+    const campaigns = await all(db,
+        `SELECT DISTINCT campaign_id FROM messages
+         WHERE status IN ('pending', 'waiting') AND contact_id = ? AND campaign_id IS NOT NULL`,
+        [contactId]
+    );
+    await run(db,
+        `UPDATE messages SET status = 'skipped', error = 'Recipient opted out'
+         WHERE status IN ('pending', 'waiting') AND contact_id = ?`,
+        [contactId]
+    );
+
+    return { entry, confirmation: config.confirmation, campaignIds: campaigns.map(row => row.campaign_id) };
+}
+
+module.exports = {
+    DEFAULT_KEYWORDS,
+    normalizePhone,
+    getConfig,
+    saveConfig,
+    matchesKeyword,
+    suppress,
+    unsuppress,
+    isSuppressed,
+    suppressedPhones,
+    listSuppressions,
+    handleInbound
+};
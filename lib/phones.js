@@ -0,0 +1,126 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const { run, all } = require('./db');
+
+// Phone numbers are stored in E.164 ("+5511912345678"). Accepted input:
+//
+//   +55 11 91234-5678, 0055 11 91234-5678     international
+//   5511912345678                             digits with the country code (as in chat ids)
+//   (11) 91234-5678                           national, when DEFAULT_COUNTRY (e.g. BR) is set
+//
+// When DEFAULT_COUNTRY is set, bare digits are read as a national number first.
+
+class PhoneError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function defaultCountry() {
+    return (process.env.DEFAULT_COUNTRY || '').trim().toUpperCase() || undefined;
+}
+
+function digits(value) {
+    return String(value || '').replace(/\D/g, '');
+}
+
+function parse(input, country) {
+    const text = String(input || '').trim().replace(/@.*$/, '');
+    if (!digits(text)) return null;
+
+    const international = text.replace(/^00/, '+');
+    if (international.startsWith('+')) {
+        return parsePhoneNumberFromString(international);
+    }
+    if (country) {
+        const national = parsePhoneNumberFromString(text, country);
+        if (national && national.isValid()) return national;
+    }
+    return parsePhoneNumberFromString('+' + digits(text));
+}
+
+// E.164 form of a number; throws a PhoneError for missing or impossible numbers
+function normalize(input, country = defaultCountry()) {
+    if (!digits(input)) throw new PhoneError('A phone number is required');
+
+    const number = parse(input, country);
+    if (!number || !number.isValid()) {
+        throw new PhoneError(country
+            ? `"${input}" is not a valid phone number`
+            : `"${input}" is not a valid phone number (include the country code or set DEFAULT_COUNTRY)`);
+    }
+    return number.number;
+}
+
+function tryNormalize(input, country = defaultCountry()) {
+    try {
+        return normalize(input, country);
+    } catch (error) {
+        return null;
+    }
+}
+
+// WhatsApp chat id ("5511912345678@c.us") for a number; chat ids are passed through
+function toChatId(input) {
+    if (String(input || '').includes('@')) return String(input);
+    return digits(normalize(input)) + '@c.us';
+}
+
+function fromChatId(chatId) {
+    return '+' + digits(String(chatId || '').replace(/@.*$/, ''));
+}
+
+// Normalize the numbers of existing contacts. Numbers that turn out to belong to more than
+// one contact are left as they are (the oldest contact gets the normalized number) and
+// reported, together with numbers that cannot be parsed, so they can be merged or fixed by hand.
+async function migrateContacts(db, country = defaultCountry()) {
+    const rows = await all(db, 'SELECT id, name, phone FROM contacts ORDER BY id');
+    const groups = new Map();
+    const invalid = [];
+
+    for (const row of rows) {
+        const e164 = tryNormalize(row.phone, country);
+        if (!e164) {
+            invalid.push(row);
+            continue;
+        }
+        if (!groups.has(e164)) groups.set(e164, []);
+        groups.get(e164).push(row);
+    }
+
+    let normalized = 0;
+    const duplicates = [];
+
+    for (const [e164, group] of groups) {
+        const keeper = group.find(row => row.phone === e164) || group[0];
+        if (keeper.phone !== e164) {
+            await run(db, 'UPDATE contacts SET phone = ? WHERE id = ?', [e164, keeper.id]);
+            normalized++;
+        }
+        if (group.length > 1) {
+            duplicates.push({ phone: e164, contacts: group });
+        }
+    }
+
+    // Suppressed numbers are matched against contacts, so they get the same form
+    const suppressions = await all(db, 'SELECT id, phone FROM suppression_list');
+    for (const entry of suppressions) {
+        const e164 = tryNormalize(entry.phone, country);
+        if (!e164 || e164 === entry.phone) continue;
+        await run(db, 'UPDATE OR IGNORE suppression_list SET phone = ? WHERE id = ?', [e164, entry.id]);
+        await run(db, 'DELETE FROM suppression_list WHERE id = ? AND phone != ?', [entry.id, e164]);
+    }
+
+    return { checked: rows.length, normalized, invalid, duplicates, checked_at: new Date().toISOString() };
+}
+
+module.exports = {
+    PhoneError,
+    defaultCountry,
+    digits,
+    normalize,
+    tryNormalize,
+    toChatId,
+    fromChatId,
+    migrateContacts
+};
@@ -0,0 +1,353 @@
+const EventEmitter = require('events');
+const os = require('os');
+const { run, get, all, parseJSON } = require('./db');
+const { SENT_STATUSES } = require('./receipts');
+const { isSuppressed } = require('./optout');
+const { toChatId } = require('./phones');
+const { ERROR_CLASSES, classify, isRetryable, backoff } = require('./retries');
+const timezones = require('./timezones');
+const media = require('./media');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Assignments recording a failed attempt; params: error, class, class, error
+const HISTORY_LIMIT = 20;
+const FAILURE = `error = ?, error_class = ?,
+    error_history = json_insert(
+        CASE WHEN json_array_length(COALESCE(error_history, '[]')) >= ${HISTORY_LIMIT}
+            THEN json_remove(error_history, '$[0]') ELSE COALESCE(error_history, '[]') END,
+        '$[#]', json_object('at', datetime('now'), 'attempt', attempts, 'instance', instance, 'class', ?, 'error', ?))`;
+
+// Durable send queue backed by the messages table.
+//
+// Each instance gets exactly one worker. A worker claims the next pending message of a
+// running campaign or active drip sequence (lib/sequences) that may use its instance by
+// flipping it to 'sending' under a lease; only the worker holding the lease may record the
+// outcome. Rows found in 'sending' on boot (crash mid-send) belong to no worker and are marked
+// failed, not retried automatically, because we cannot know whether WhatsApp accepted them.
+//
+// Failures are classified (lib/retries); transient ones go back to 'pending' with a
+// next_attempt_at that doubles each time, until maxAttempts. Every failed attempt is
+// appended to error_history, and error keeps the last one.
+//
+// A campaign's (or sequence's) send_window is checked in the recipient's time zone when a message is claimed;
+// outside it the message is held (next_attempt_at is set to the opening) without using an attempt.
+class QueueError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+class CampaignQueue extends EventEmitter {
+    constructor({ db, instances, defaultInstance, options = {} }) {
+        super();
+        this.db = db;
+        this.instances = instances;
+        this.defaultInstance = defaultInstance;
+        this.options = {
+            leaseSeconds: 120,
+            pollInterval: 5000,
+            delayMin: 3000,
+            delayMax: 8000,
+            maxAttempts: 3,
+            backoffBase: 60000,
+            ...options
+        };
+        this.workers = new Map();
+        this.stopped = false;
+    }
+
+    async start() {
+        const interrupted = await this.recoverInterruptedSends();
+        if (interrupted) {
+            console.log(`⚠️ ${interrupted} message(s) were interrupted mid-send and marked failed`);
+        }
+
+        const running = await all(this.db, `SELECT id FROM campaigns WHERE status = 'running'`);
+        if (running.length) {
+            console.log(`🔁 Resuming ${running.length} interrupted campaign(s):`, running.map(c => c.id).join(', '));
+        }
+        running.forEach(c => this.checkCompletion(c.id));
+
+        this.instances.list().forEach(instance => this.ensureWorker(instance.name));
+        this.instances.on('ready', (name) => this.ensureWorker(name));
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.wake();
+        await Promise.all(Array.from(this.workers.values()).map(worker => worker.done));
+    }
+
+    // Queue a campaign's pending messages; workers pick them up right away
+    async enqueue(campaignId) {
+        await this.checkCompletion(campaignId);
+        this.wake();
+    }
+
+    wake() {
+        this.workers.forEach(worker => worker.wake());
+    }
+
+    // Start the instance's worker, or nudge it if it is idle (e.g. the instance just became ready)
+    ensureWorker(name) {
+        if (this.stopped) return;
+        if (this.workers.has(name)) {
+            this.workers.get(name).wake();
+            return;
+        }
+
+        const worker = { name, id: `${os.hostname()}:${process.pid}:${name}`, wake: () => {} };
+        worker.done = this.loop(worker).finally(() => this.workers.delete(name));
+        this.workers.set(name, worker);
+    }
+
+    async loop(worker) {
+        while (!this.stopped && this.instances.get(worker.name)) {
+            let message = null;
+
+            try {
+                if (this.instances.isReady(worker.name)) {
+                    message = await this.claim(worker);
+                }
+            } catch (error) {
+                console.error(`Queue worker ${worker.name} claim error:`, error);
+            }
+
+            if (!message) {
+                await this.idle(worker);
+                continue;
+            }
+
+            const attempted = await this.process(worker, message);
+
+            // Delay to avoid spam detection (random 3-8 seconds by default)
+            if (attempted) {
+                const { delayMin, delayMax } = this.options;
+                await delay(delayMin + Math.random() * (delayMax - delayMin));
+            }
+        }
+    }
+
+    idle(worker) {
+        return new Promise(resolve => {
+            const timer = setTimeout(resolve, this.options.pollInterval);
+            worker.wake = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+        });
+    }
+
+    // Atomically take the next message this instance may send. Messages of campaigns (or
+    // sequences) that do not use the instance are left out in SQL, so they cannot fill the page.
+    // Send windows depend on each recipient's time zone and are checked here; messages outside
+    // theirs are held (next_attempt_at), which drops them from the next page.
+    async claim(worker) {
+        const pageSize = 50;
+
+        while (true) {
+            const candidates = await all(this.db,
+                `SELECT m.id, COALESCE(c.send_window, s.send_window) AS send_window,
+                    COALESCE(c.timezone, s.timezone) AS timezone, ct.timezone AS contact_timezone
+                 FROM messages m
+                 LEFT JOIN campaigns c ON c.id = m.campaign_id
+                 LEFT JOIN sequence_enrollments e ON e.id = m.enrollment_id
+                 LEFT JOIN sequences s ON s.id = e.sequence_id
+                 LEFT JOIN contacts ct ON ct.id = m.contact_id
+                 WHERE m.status = 'pending' AND (c.status = 'running' OR s.status = 'active')
+                 AND (m.next_attempt_at IS NULL OR m.next_attempt_at <= datetime('now'))
+                 AND CASE WHEN json_array_length(COALESCE(c.instances, s.instances, '[]')) = 0 THEN ?
+                     ELSE EXISTS (SELECT 1 FROM json_each(COALESCE(c.instances, s.instances)) WHERE value = ?) END
+                 ORDER BY c.started_at, c.id, m.id
+                 LIMIT ?`,
+                [worker.name === this.defaultInstance ? 1 : 0, worker.name, pageSize]
+            );
+
+            for (const candidate of candidates) {
+                const window = parseJSON(candidate.send_window, null);
+                const opening = window && timezones.nextOpening(window, timezones.resolveZone(candidate.contact_timezone, candidate.timezone));
+                if (opening) {
+                    await this.hold(candidate.id, opening);
+                    continue;
+                }
+
+                const { changes } = await run(this.db,
+                    `UPDATE messages
+                     SET status = 'sending', instance = ?, locked_by = ?, send_started_at = CURRENT_TIMESTAMP,
+                         attempts = COALESCE(attempts, 0) + 1, next_attempt_at = NULL,
+                         locked_until = datetime('now', '+' || ? || ' seconds')
+                     WHERE id = ? AND status = 'pending'`,
+                    [worker.name, worker.id, this.options.leaseSeconds, candidate.id]
+                );
+
+                if (changes === 1) {
+                    // A/B test messages carry their variant's media
+                    return get(this.db,
+                        `SELECT m.*,
+                            CASE WHEN m.variant_id IS NULL THEN c.media_url ELSE v.media_url END AS media_url,
+                            CASE WHEN m.variant_id IS NULL THEN c.media_type ELSE v.media_type END AS media_type
+                         FROM messages m
+                         LEFT JOIN campaigns c ON c.id = m.campaign_id
+                         LEFT JOIN campaign_variants v ON v.id = m.variant_id
+                         WHERE m.id = ?`,
+                        [candidate.id]
+                    );
+                }
+            }
+
+            // A full page of held messages: the next page starts after them
+            if (candidates.length < pageSize) return null;
+        }
+    }
+
+    // Leave a message pending until its sending window opens
+    hold(messageId, until) {
+        return run(this.db,
+            `UPDATE messages SET next_attempt_at = ? WHERE id = ? AND status = 'pending'`,
+            [until.toISOString().slice(0, 19).replace('T', ' '), messageId]
+        );
+    }
+
+    // Send one claimed message; resolves false when it was skipped without contacting WhatsApp
+    async process(worker, msg) {
+        const instance = this.instances.get(worker.name);
+
+        if (await isSuppressed(this.db, msg.phone)) {
+            await this.settle(worker, msg.id, `status = 'skipped', error = ?`, ['Recipient opted out']);
+            this.emit('skipped', { campaignId: msg.campaign_id, message: msg, instance: worker.name });
+            await this.checkCompletion(msg.campaign_id);
+            return false;
+        }
+
+        try {
+            const chatId = toChatId(msg.phone);
+
+            let result;
+            if (msg.media_url) {
+                result = await instance.transport.sendMedia(chatId, await media.load(this.db, msg.media_url), {
+                    caption: msg.message
+                });
+            } else {
+                result = await instance.transport.sendText(chatId, msg.message);
+            }
+
+            await this.settle(worker, msg.id, `status = 'sent', sent_at = CURRENT_TIMESTAMP, wa_message_id = ?, error = NULL, error_class = NULL`, [result.id]);
+            this.emit('sent', {
+                ...(await this.progress(msg.campaign_id)),
+                message: msg,
+                instance: worker.name,
+                waMessageId: result.id
+            });
+        } catch (error) {
+            const errorClass = classify(error);
+            const retry = isRetryable(errorClass) && msg.attempts < this.options.maxAttempts;
+            console.error('Error sending to', msg.phone, ':', error.message, retry ? `(attempt ${msg.attempts}, will retry)` : '');
+
+            if (retry) {
+                const seconds = Math.round(backoff(msg.attempts, this.options.backoffBase) / 1000);
+                await this.settle(worker, msg.id,
+                    `status = 'pending', ${FAILURE}, next_attempt_at = datetime('now', '+' || ? || ' seconds')`,
+                    [error.message, errorClass, errorClass, error.message, seconds]);
+                this.emit('retry', { campaignId: msg.campaign_id, message: msg, instance: worker.name, error: error.message, errorClass, retryIn: seconds });
+            } else {
+                await this.settle(worker, msg.id, `status = 'failed', ${FAILURE}`, [error.message, errorClass, errorClass, error.message]);
+                this.emit('failed', { campaignId: msg.campaign_id, message: msg, instance: worker.name, error: error.message, errorClass });
+            }
+        }
+
+        await this.checkCompletion(msg.campaign_id);
+        return true;
+    }
+
+    // Record the outcome of a claimed message, only while we still hold its lease
+    settle(worker, messageId, assignments, params = []) {
+        return run(this.db,
+            `UPDATE messages SET ${assignments}, locked_by = NULL, locked_until = NULL
+             WHERE id = ? AND locked_by = ? AND status = 'sending'`,
+            [...params, messageId, worker.id]
+        );
+    }
+
+    async progress(campaignId) {
+        const row = await get(this.db,
+            `SELECT COUNT(*) as total, SUM(status IN (${SENT_STATUSES.map(() => '?').join(',')})) as sent
+             FROM messages WHERE campaign_id = ?`,
+            [...SENT_STATUSES, campaignId]
+        );
+        return { campaignId, sent: row.sent || 0, total: row.total };
+    }
+
+    async checkCompletion(campaignId) {
+        const { changes } = await run(this.db,
+            `UPDATE campaigns SET status = 'completed', completed_at = CURRENT_TIMESTAMP
+             WHERE id = ? AND status = 'running'
+             AND NOT EXISTS (
+                 SELECT 1 FROM messages WHERE campaign_id = ? AND status IN ('pending', 'sending', 'waiting')
+             )`,
+            [campaignId, campaignId]
+        );
+
+        if (changes) {
+            this.emit('campaign_completed', { campaignId });
+        }
+    }
+
+    // Put failed messages of a campaign back in the queue, those with one of the error classes
+    // and/or the given ids. A completed campaign runs again; a paused one sends them on resume.
+    async requeue(campaignId, { classes, messageIds } = {}) {
+        const campaign = await get(this.db, 'SELECT id, status FROM campaigns WHERE id = ?', [campaignId]);
+        if (!campaign) throw new QueueError('Campaign not found', 404);
+        if (!['running', 'paused', 'completed'].includes(campaign.status)) {
+            throw new QueueError('Only running, paused or completed campaigns can be requeued', 409);
+        }
+
+        const conditions = [];
+        const params = [];
+        if (classes !== undefined) {
+            const list = Array.isArray(classes) ? classes : [classes];
+            const unknown = list.filter(name => !ERROR_CLASSES.includes(name));
+            if (!list.length || unknown.length) throw new QueueError(`classes must be any of: ${ERROR_CLASSES.join(', ')}`);
+            conditions.push(`COALESCE(error_class, 'unknown') IN (${list.map(() => '?').join(',')})`);
+            params.push(...list);
+        }
+        if (messageIds !== undefined) {
+            const ids = (Array.isArray(messageIds) ? messageIds : [messageIds]).map(Number).filter(Boolean);
+            if (!ids.length) throw new QueueError('message_ids must be a list of message ids');
+            conditions.push(`id IN (${ids.map(() => '?').join(',')})`);
+            params.push(...ids);
+        }
+
+        const { changes } = await run(this.db,
+            `UPDATE messages SET status = 'pending', attempts = 0, next_attempt_at = NULL
+             WHERE campaign_id = ? AND status = 'failed' ${conditions.map(condition => `AND ${condition}`).join(' ')}`,
+            [campaignId, ...params]
+        );
+
+        if (changes && campaign.status === 'completed') {
+            await run(this.db,
+                `UPDATE campaigns SET status = 'running', completed_at = NULL WHERE id = ? AND status = 'completed'`,
+                [campaignId]
+            );
+        }
+        if (changes) this.wake();
+
+        return { requeued: changes, status: changes && campaign.status === 'completed' ? 'running' : campaign.status };
+    }
+
+    // On boot no worker of this process holds a lease yet, so every 'sending' row was interrupted,
+    // whether or not its lease has run out
+    recoverInterruptedSends() {
+        const error = 'Interrupted while sending; not retried to avoid a duplicate';
+        return run(this.db,
+            `UPDATE messages
+             SET status = 'failed', ${FAILURE}, locked_by = NULL, locked_until = NULL
+             WHERE status = 'sending'`,
+            [error, 'unknown', 'unknown', error]
+        ).then(result => result.changes);
+    }
+}
+
+module.exports = CampaignQueue;
+module.exports.QueueError = QueueError;
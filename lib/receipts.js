@@ -0,0 +1,64 @@
+const { run, get } = require('./db');
+
+// whatsapp-web.js MessageAck values -> message status
+const ACK_STATUS = {
+    1: 'sent',
+    2: 'delivered',
+    3: 'read',
+    4: 'played'
+};
+
+const STATUS_RANK = { sending: 0, sent: 1, delivered: 2, read: 3, played: 4 };
+
+// Statuses that mean WhatsApp accepted the message
+const SENT_STATUSES = ['sent', 'delivered', 'read', 'played'];
+
+// Apply an ack to the message row with that WhatsApp id. Statuses only move forward,
+// and a later ack back-fills the timestamps of the steps it implies.
+async function recordAck(db, waMessageId, ack) {
+    if (ack === -1) {
+        const { changes } = await run(db,
+            `UPDATE messages SET status = 'failed', error = 'WhatsApp reported a delivery error', error_class = 'unknown'
+             WHERE wa_message_id = ? AND status = 'sent'`,
+            [waMessageId]
+        );
+        return changes ? get(db, 'SELECT * FROM messages WHERE wa_message_id = ?', [waMessageId]) : null;
+    }
+
+    const status = ACK_STATUS[ack];
+    if (!status) return null;
+
+    const rank = STATUS_RANK[status];
+    const { changes } = await run(db,
+        `UPDATE messages SET
+            status = ?,
+            delivered_at = CASE WHEN ? >= 2 THEN COALESCE(delivered_at, CURRENT_TIMESTAMP) ELSE delivered_at END,
+            read_at = CASE WHEN ? >= 3 THEN COALESCE(read_at, CURRENT_TIMESTAMP) ELSE read_at END,
+            played_at = CASE WHEN ? >= 4 THEN COALESCE(played_at, CURRENT_TIMESTAMP) ELSE played_at END
+         WHERE wa_message_id = ?
+         AND (CASE status WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 WHEN 'played' THEN 4 ELSE 99 END) < ?`,
+        [status, rank, rank, rank, waMessageId, rank]
+    );
+
+    return changes ? get(db, 'SELECT * FROM messages WHERE wa_message_id = ?', [waMessageId]) : null;
+}
+
+// Delivery funnel for a list of message rows
+function receiptStats(messages) {
+    const count = (statuses) => messages.filter(m => statuses.includes(m.status)).length;
+    const sent = count(SENT_STATUSES);
+    const delivered = count(['delivered', 'read', 'played']);
+    const read = count(['read', 'played']);
+    const rate = (n) => (sent ? Math.round((n / sent) * 1000) / 10 : 0);
+
+    return {
+        sent,
+        delivered,
+        read,
+        played: count(['played']),
+        deliveryRate: rate(delivered),
+        readRate: rate(read)
+    };
+}
+
+module.exports = { recordAck, receiptStats, SENT_STATUSES, ACK_STATUS };
@@ -0,0 +1,183 @@
+const ExcelJS = require('exceljs');
+const { get, all } = require('./db');
+const csv = require('./csv');
+const analytics = require('./analytics');
+const abtests = require('./abtests');
+const { drained } = require('./exports');
+
+// Campaign reports for clients.
+//
+//   csv   report=messages (default): one row per recipient
+//         report=summary: totals, rates and timing as label/value rows
+//   xlsx  a workbook with a Summary and a Messages sheet
+//
+// Messages are read a page at a time, like the contact export. Timestamps are UTC.
+
+const FORMATS = {
+    csv: { type: 'text/csv', extension: 'csv' },
+    xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+const REPORTS = ['messages', 'summary'];
+const PAGE_SIZE = 500;
+
+const MESSAGE_COLUMNS = [
+    ['contact_name', 'Recipient', 24],
+    ['phone', 'Phone', 18],
+    ['variant', 'Variant', 8],
+    ['message', 'Message', 50],
+    ['status', 'Status', 12],
+    ['sent_at', 'Sent (UTC)', 20],
+    ['delivered_at', 'Delivered (UTC)', 20],
+    ['read_at', 'Read (UTC)', 20],
+    ['error', 'Error', 40]
+];
+const TIMESTAMPS = ['sent_at', 'delivered_at', 'read_at'];
+
+class ReportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toDate(value) {
+    return value ? new Date(String(value).replace(' ', 'T') + 'Z') : null;
+}
+
+function seconds(from, to) {
+    return from && to ? Math.round((toDate(to) - toDate(from)) / 1000) : null;
+}
+
+async function* messagePages(db, campaignId) {
+    let afterId = 0;
+    while (true) {
+        const rows = await all(db,
+            `SELECT m.*, ct.name AS contact_name, v.label AS variant FROM messages m
+             LEFT JOIN contacts ct ON ct.id = m.contact_id
+             LEFT JOIN campaign_variants v ON v.id = m.variant_id
+             WHERE m.campaign_id = ? AND m.id > ?
+             ORDER BY m.id LIMIT ?`,
+            [campaignId, afterId, PAGE_SIZE]
+        );
+        if (!rows.length) return;
+        afterId = rows[rows.length - 1].id;
+        yield rows;
+    }
+}
+
+// [label, value] rows describing the campaign's outcome
+async function summary(db, campaign) {
+    const counts = await get(db,
+        `SELECT COUNT(*) AS total,
+            COALESCE(SUM(status IN ('pending', 'sending', 'waiting')), 0) AS pending,
+            COALESCE(SUM(status = 'skipped'), 0) AS skipped
+         FROM messages WHERE campaign_id = ?`,
+        [campaign.id]
+    );
+    const { totals, avgLatencySeconds, throughputPerMinute, failures } = await analytics.campaignTotals(db, campaign.id);
+    const abTest = await abtests.results(db, campaign);
+    const variantRows = abTest ? abTest.variants.flatMap(variant => {
+        const name = `Variant ${variant.label}${variant.id === abTest.winner_variant_id ? ' (winner)' : ''}`;
+        return [
+            [`${name}: test recipients`, variant.recipients],
+            [`${name}: delivery rate (%)`, variant.deliveryRate],
+            [`${name}: read rate (%)`, variant.readRate],
+            [`${name}: reply rate (%)`, variant.replyRate]
+        ];
+    }) : [];
+
+    return [
+        ['Campaign', campaign.name],
+        ['Status', campaign.status],
+        ['Created (UTC)', campaign.created_at],
+        ['Started (UTC)', campaign.started_at],
+        ['Completed (UTC)', campaign.completed_at],
+        ['Duration (seconds)', seconds(campaign.started_at, campaign.completed_at)],
+        ['Recipients', counts.total],
+        ['Sent', totals.sent],
+        ['Delivered', totals.delivered],
+        ['Read', totals.read],
+        ['Replied', totals.replied],
+        ['Failed', totals.failed],
+        ['Skipped (opted out)', counts.skipped],
+        ['Pending', counts.pending],
+        ['Delivery rate (%)', totals.deliveryRate],
+        ['Read rate (%)', totals.readRate],
+        ['Reply rate (%)', totals.replyRate],
+        ['Failure rate (%)', totals.failureRate],
+        ['Average send time (seconds)', avgLatencySeconds],
+        ['Messages per minute', throughputPerMinute],
+        ...failures.map(failure => [`Failed: ${failure.reason}`, failure.count]),
+        ...variantRows
+    ];
+}
+
+async function writeCsv(db, res, campaign, report, summaryRows) {
+    const send = async (chunk) => {
+        if (!res.write(chunk)) await drained(res);
+    };
+
+    if (report === 'summary') {
+        await send(csv.formatRow(['Metric', 'Value']));
+        for (const row of summaryRows) await send(csv.formatRow(row));
+        res.end();
+        return;
+    }
+
+    await send(csv.formatRow(MESSAGE_COLUMNS.map(([, header]) => header)));
+    for await (const page of messagePages(db, campaign.id)) {
+        if (res.destroyed) return;
+        await send(page.map(row => csv.formatRow(MESSAGE_COLUMNS.map(([key]) => row[key]))).join(''));
+    }
+    res.end();
+}
+
+async function writeXlsx(db, res, campaign, summaryRows) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    workbook.creator = 'WhatsApp Bulk Sender';
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ header: 'Metric', width: 40 }, { header: 'Value', width: 30 }];
+    summarySheet.getRow(1).font = { bold: true };
+    for (const row of summaryRows) summarySheet.addRow(row.map(csv.escapeFormula)).commit();
+    await summarySheet.commit();
+
+    const messagesSheet = workbook.addWorksheet('Messages');
+    messagesSheet.columns = MESSAGE_COLUMNS.map(([key, header, width]) => ({
+        header,
+        key,
+        width,
+        style: TIMESTAMPS.includes(key) ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {}
+    }));
+    messagesSheet.getRow(1).font = { bold: true };
+    for await (const page of messagePages(db, campaign.id)) {
+        if (res.destroyed) return;
+        for (const row of page) {
+            const values = {};
+            Object.keys(row).forEach(key => { values[key] = TIMESTAMPS.includes(key) ? toDate(row[key]) : csv.escapeFormula(row[key]); });
+            messagesSheet.addRow(values).commit();
+        }
+    }
+    await messagesSheet.commit();
+    await workbook.commit();
+}
+
+// Write a report of the campaign to an HTTP response (?format=csv|xlsx&report=messages|summary)
+async function write(db, res, campaign, query = {}) {
+    const format = query.format;
+    if (!FORMATS[format]) throw new ReportError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+    const report = query.report || 'messages';
+    if (!REPORTS.includes(report)) throw new ReportError(`report must be one of: ${REPORTS.join(', ')}`);
+
+    // Read before the download starts, so a failure can still be answered with an error
+    const summaryRows = format === 'xlsx' || report === 'summary' ? await summary(db, campaign) : null;
+
+    const name = format === 'xlsx' ? 'report' : report;
+    res.attachment(`campaign-${campaign.id}-${name}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`);
+    res.type(FORMATS[format].type);
+
+    if (format === 'xlsx') await writeXlsx(db, res, campaign, summaryRows);
+    else await writeCsv(db, res, campaign, report, summaryRows);
+}
+
+module.exports = { FORMATS, REPORTS, ReportError, summary, write };
@@ -0,0 +1,36 @@
+// Send errors by cause, to decide whether a failed message is worth another attempt.
+//
+//   transient       the client was briefly unavailable (disconnected, timeouts, rate limits);
+//                   retried automatically with backoff
+//   invalid_number  the number cannot be parsed or is not on WhatsApp
+//   media           the attachment could not be read, uploaded or is not accepted
+//   blocked         the account was blocked, banned or restricted
+//   unknown         anything else, including sends interrupted by a crash (WhatsApp may
+//                   have accepted them, so they are never retried automatically)
+
+const ERROR_CLASSES = ['transient', 'invalid_number', 'media', 'blocked', 'unknown'];
+
+// First match wins
+const PATTERNS = [
+    ['invalid_number', /not a valid phone number|not registered|invalid (?:wid|number|phone|jid)|no lid|not on whatsapp|phone number is required/i],
+    ['blocked', /blocked|banned|suspended|account (?:is )?restricted|forbidden/i],
+    ['media', /media|attachment|ENOENT|file (?:not found|too large|size)|unsupported (?:mime|file|type)|mimetype|upload/i],
+    ['transient', /not ready|disconnected|timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|EPIPE|socket hang up|network|rate.?limit|too many requests|\b(?:429|502|503|504)\b|session closed|target closed|protocol error|execution context was destroyed/i]
+];
+
+function classify(error) {
+    const message = typeof error === 'string' ? error : (error && error.message) || '';
+    const match = PATTERNS.find(([, pattern]) => pattern.test(message));
+    return match ? match[0] : 'unknown';
+}
+
+function isRetryable(errorClass) {
+    return errorClass === 'transient';
+}
+
+// Milliseconds to wait after the given number of failed attempts: base, 2x, 4x, ...
+function backoff(attempts, base) {
+    return base * Math.pow(2, Math.max(attempts - 1, 0));
+}
+
+module.exports = { ERROR_CLASSES, classify, isRetryable, backoff };
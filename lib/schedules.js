@@ -0,0 +1,385 @@
+const cronParser = require('cron-parser');
+const { run, get, all, parseJSON } = require('./db');
+const segments = require('./segments');
+const template = require('./template');
+const { SENT_STATUSES } = require('./receipts');
+const timezones = require('./timezones');
+
+// Recurring campaigns.
+//
+// A schedule holds a campaign definition (message, media, instances, recipients as a segment
+// or a list of contact ids) and when to run it:
+//
+//   daily    every day at time (HH:MM)
+//   weekly   on days (0 = Sunday ... 6 = Saturday) at time
+//   monthly  on day_of_month at time (months without that day are skipped)
+//   cron     a five-field cron expression
+//
+// Times and dates are in the schedule's time zone (see lib/timezones), and every campaign it
+// creates gets that zone and its sending window. Every run creates and starts a new campaign linked by
+// campaigns.schedule_id, which is the run history. A schedule ends after max_runs runs or at
+// ends_at; a paused one keeps its definition and history, and resumes from the next slot.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const PREVIEW_RUNS = 5;
+
+class ScheduleError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toSql(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function fromSql(value) {
+    return value ? new Date(String(value).replace(' ', 'T') + (/Z|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z')) : null;
+}
+
+function parseTime(value) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new ScheduleError('time must be HH:MM (24 hours)');
+    }
+    return { hour: Number(match[1]), minute: Number(match[2]) };
+}
+
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null || value === '') return [];
+    const parsed = parseJSON(value, null);
+    return Array.isArray(parsed) ? parsed : String(value).split(',');
+}
+
+// Validated timing fields and the cron expression they amount to
+function timing({ frequency, time, days, day_of_month: dayOfMonth, cron }) {
+    if (!FREQUENCIES.includes(frequency)) {
+        throw new ScheduleError(`frequency must be one of: ${FREQUENCIES.join(', ')}`);
+    }
+
+    if (frequency === 'cron') {
+        const expression = String(cron || '').trim();
+        if (expression.split(/\s+/).length !== 5) {
+            throw new ScheduleError('cron must have five fields: minute hour day-of-month month day-of-week');
+        }
+        try {
+            cronParser.parseExpression(expression);
+        } catch (error) {
+            throw new ScheduleError(`cron: ${error.message}`);
+        }
+        return { frequency, cron: expression, time: null, days: null, day_of_month: null };
+    }
+
+    const { hour, minute } = parseTime(time);
+    const result = { frequency, time: `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`, days: null, day_of_month: null };
+
+    if (frequency === 'daily') {
+        return { ...result, cron: `${minute} ${hour} * * *` };
+    }
+    if (frequency === 'weekly') {
+        const weekdays = [...new Set(parseList(days).map(Number))].sort();
+        if (!weekdays.length || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new ScheduleError('days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+        }
+        return { ...result, days: weekdays, cron: `${minute} ${hour} * * ${weekdays.join(',')}` };
+    }
+
+    const day = Number(dayOfMonth);
+    if (!Number.isInteger(day) || day < 1 || day > 31) throw new ScheduleError('day_of_month must be between 1 and 31');
+    return { ...result, day_of_month: day, cron: `${minute} ${hour} ${day} * *` };
+}
+
+function describe(schedule) {
+    const days = parseList(schedule.days);
+    switch (schedule.frequency) {
+        case 'daily': return `Daily at ${schedule.time}`;
+        case 'weekly': return `Weekly on ${days.map(day => WEEKDAYS[day]).join(', ')} at ${schedule.time}`;
+        case 'monthly': return `Monthly on day ${schedule.day_of_month} at ${schedule.time}`;
+        default: return `Cron: ${schedule.cron}`;
+    }
+}
+
+// Up to count run times after a date, within the schedule's start/end dates and run limit
+function upcoming(schedule, after = new Date(), count = 1) {
+    const startsAt = fromSql(schedule.starts_at);
+    const endsAt = fromSql(schedule.ends_at);
+    const remaining = schedule.max_runs ? schedule.max_runs - (schedule.run_count || 0) : Infinity;
+
+    // A run exactly at starts_at counts, hence the second before it
+    const from = startsAt && startsAt > after ? new Date(startsAt.getTime() - 1000) : after;
+    const interval = cronParser.parseExpression(schedule.cron, {
+        currentDate: from,
+        tz: timezones.resolveZone(schedule.timezone),
+        ...(endsAt ? { endDate: endsAt } : {})
+    });
+
+    const runs = [];
+    while (runs.length < Math.min(count, remaining)) {
+        if (!interval.hasNext()) break;
+        runs.push(interval.next().toDate());
+    }
+    return runs;
+}
+
+function nextRunAt(schedule, after = new Date()) {
+    const [next] = upcoming(schedule, after, 1);
+    return next ? toSql(next) : null;
+}
+
+function publicSchedule(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        message: row.message,
+        media_url: row.media_url,
+        media_type: row.media_type,
+        instances: parseJSON(row.instances, []),
+        segment_id: row.segment_id,
+        contact_ids: parseJSON(row.contact_ids, []),
+        frequency: row.frequency,
+        time: row.time,
+        days: parseJSON(row.days, null),
+        day_of_month: row.day_of_month,
+        cron: row.cron,
+        description: describe(row),
+        timezone: row.timezone,
+        send_window: parseJSON(row.send_window, null),
+        starts_at: row.starts_at,
+        ends_at: row.ends_at,
+        max_runs: row.max_runs,
+        run_count: row.run_count,
+        status: row.status,
+        next_run_at: row.next_run_at,
+        last_run_at: row.last_run_at,
+        last_campaign_id: row.last_campaign_id,
+        created_by: row.created_by,
+        created_at: row.created_at
+    };
+}
+
+// Validated columns from the request, on top of the current schedule when updating
+async function definition(db, input, current = {}) {
+    const value = (key) => (input[key] !== undefined ? input[key] : current[key]);
+
+    const name = String(value('name') || '').trim();
+    if (!name) throw new ScheduleError('A name is required');
+
+    const message = value('message');
+    try {
+        template.validate(message);
+    } catch (error) {
+        throw new ScheduleError(`Message template: ${error.message}`);
+    }
+
+    // Recipients: a segment, or a fixed list of contacts
+    const segmentId = parseInt(value('segment_id'), 10) || null;
+    let contactIds = null;
+    if (segmentId) {
+        await segments.find(db, segmentId);
+    } else {
+        contactIds = parseList(input.contacts !== undefined ? input.contacts : current.contact_ids).map(Number).filter(Boolean);
+        if (!contactIds.length) throw new ScheduleError('Select at least one contact or a segment');
+    }
+
+    const timingInput = ['frequency', 'time', 'days', 'day_of_month', 'cron']
+        .reduce((fields, key) => ({ ...fields, [key]: value(key) }), {});
+    const when = timing(timingInput);
+
+    const timezone = timezones.validateZone(value('timezone')) || timezones.defaultZone();
+    const sendWindow = timezones.parseWindow(value('send_window'));
+
+    // Stored dates are UTC already, new ones are local to the schedule's zone
+    const startsAt = input.starts_at !== undefined ? timezones.toUtc(input.starts_at, timezone, 'starts_at') : current.starts_at || null;
+    const endsAt = input.ends_at !== undefined ? timezones.toUtc(input.ends_at, timezone, 'ends_at') : current.ends_at || null;
+    if (startsAt && endsAt && endsAt <= startsAt) throw new ScheduleError('ends_at must be after starts_at');
+
+    const maxRunsValue = value('max_runs');
+    const maxRuns = maxRunsValue === undefined || maxRunsValue === null || maxRunsValue === '' ? null : Number(maxRunsValue);
+    if (maxRuns !== null && (!Number.isInteger(maxRuns) || maxRuns < 1)) {
+        throw new ScheduleError('max_runs must be a positive whole number');
+    }
+
+    return {
+        name,
+        message,
+        segment_id: segmentId,
+        contact_ids: contactIds ? JSON.stringify(contactIds) : null,
+        ...when,
+        days: when.days ? JSON.stringify(when.days) : null,
+        timezone,
+        send_window: sendWindow ? JSON.stringify(sendWindow) : null,
+        starts_at: startsAt,
+        ends_at: endsAt,
+        max_runs: maxRuns
+    };
+}
+
+// Next runs of a definition that is not saved yet
+function preview(input, count = PREVIEW_RUNS) {
+    const when = timing(input);
+    const timezone = timezones.validateZone(input.timezone) || timezones.defaultZone();
+
+    return {
+        description: describe({ ...when, days: when.days }),
+        cron: when.cron,
+        timezone,
+        next_runs: upcoming({
+            cron: when.cron,
+            timezone,
+            starts_at: timezones.toUtc(input.starts_at, timezone, 'starts_at'),
+            ends_at: timezones.toUtc(input.ends_at, timezone, 'ends_at'),
+            max_runs: Number(input.max_runs) || null
+        }, new Date(), Math.min(Number(count) || PREVIEW_RUNS, 50)).map(date => date.toISOString())
+    };
+}
+
+async function find(db, id) {
+    const row = await get(db, 'SELECT * FROM campaign_schedules WHERE id = ?', [id]);
+    if (!row) throw new ScheduleError('Schedule not found', 404);
+    return { ...publicSchedule(row), next_runs: row.status === 'active' ? upcoming(row, new Date(), PREVIEW_RUNS).map(date => date.toISOString()) : [] };
+}
+
+async function list(db) {
+    const rows = await all(db, 'SELECT * FROM campaign_schedules ORDER BY created_at DESC');
+    return rows.map(publicSchedule);
+}
+
+async function create(db, input, { media_url = null, media_type = null, instances = [], createdBy = null } = {}) {
+    const fields = await definition(db, input);
+    const next = nextRunAt(fields);
+    if (!next) throw new ScheduleError('The schedule has no runs left (check ends_at and max_runs)');
+
+    const { lastID } = await run(db,
+        `INSERT INTO campaign_schedules (name, message, media_url, media_type, instances, segment_id, contact_ids,
+             frequency, time, days, day_of_month, cron, timezone, send_window, starts_at, ends_at, max_runs, status,
+             next_run_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [fields.name, fields.message, media_url, media_type, instances.length ? JSON.stringify(instances) : null,
+            fields.segment_id, fields.contact_ids, fields.frequency, fields.time, fields.days, fields.day_of_month,
+            fields.cron, fields.timezone, fields.send_window, fields.starts_at, fields.ends_at, fields.max_runs, 'active', next, createdBy]
+    );
+    return find(db, lastID);
+}
+
+async function update(db, id, input, { media_url, media_type, instances } = {}) {
+    const current = await get(db, 'SELECT * FROM campaign_schedules WHERE id = ?', [id]);
+    if (!current) throw new ScheduleError('Schedule not found', 404);
+
+    const fields = await definition(db, input, current);
+    // An ended schedule starts again when its limits are raised
+    const next = current.status === 'paused' ? null : nextRunAt({ ...fields, run_count: current.run_count });
+    const status = current.status === 'paused' ? 'paused' : (next ? 'active' : 'ended');
+
+    await run(db,
+        `UPDATE campaign_schedules SET name = ?, message = ?, media_url = ?, media_type = ?, instances = ?,
+             segment_id = ?, contact_ids = ?, frequency = ?, time = ?, days = ?, day_of_month = ?, cron = ?,
+             timezone = ?, send_window = ?, starts_at = ?, ends_at = ?, max_runs = ?, status = ?, next_run_at = ?
+         WHERE id = ?`,
+        [fields.name, fields.message,
+            media_url !== undefined ? media_url : current.media_url,
+            media_type !== undefined ? media_type : current.media_type,
+            instances !== undefined ? (instances.length ? JSON.stringify(instances) : null) : current.instances,
+            fields.segment_id, fields.contact_ids, fields.frequency, fields.time, fields.days, fields.day_of_month,
+            fields.cron, fields.timezone, fields.send_window, fields.starts_at, fields.ends_at, fields.max_runs, status, next, id]
+    );
+    return find(db, id);
+}
+
+async function pause(db, id) {
+    const { changes } = await run(db,
+        `UPDATE campaign_schedules SET status = 'paused', next_run_at = NULL WHERE id = ? AND status = 'active'`,
+        [id]
+    );
+    if (!changes) {
+        await find(db, id);
+        throw new ScheduleError('Only active schedules can be paused', 409);
+    }
+    return find(db, id);
+}
+
+// Runs missed while paused are skipped
+async function resume(db, id) {
+    const row = await get(db, 'SELECT * FROM campaign_schedules WHERE id = ?', [id]);
+    if (!row) throw new ScheduleError('Schedule not found', 404);
+    if (row.status !== 'paused') throw new ScheduleError('Only paused schedules can be resumed', 409);
+
+    const next = nextRunAt(row);
+    await run(db,
+        `UPDATE campaign_schedules SET status = ?, next_run_at = ? WHERE id = ? AND status = 'paused'`,
+        [next ? 'active' : 'ended', next, id]
+    );
+    return find(db, id);
+}
+
+// Campaigns already created by the schedule are kept as ordinary campaigns
+async function remove(db, id) {
+    const { changes } = await run(db, 'DELETE FROM campaign_schedules WHERE id = ?', [id]);
+    if (!changes) throw new ScheduleError('Schedule not found', 404);
+    await run(db, 'UPDATE campaigns SET schedule_id = NULL WHERE schedule_id = ?', [id]);
+}
+
+// Take the schedules that are due and move each to its next run (or end it). A schedule is
+// only returned to the caller that advanced it; a run missed while the server was down
+// happens once, late, rather than once per missed slot.
+async function claimDue(db, now = new Date()) {
+    const due = await all(db,
+        `SELECT * FROM campaign_schedules WHERE status = 'active' AND next_run_at <= ? ORDER BY next_run_at`,
+        [toSql(now)]
+    );
+
+    const claimed = [];
+    for (const row of due) {
+        const runCount = row.run_count + 1;
+        const next = nextRunAt({ ...row, run_count: runCount }, now);
+        const { changes } = await run(db,
+            `UPDATE campaign_schedules SET run_count = ?, last_run_at = ?, next_run_at = ?, status = ?
+             WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+            [runCount, toSql(now), next, next ? 'active' : 'ended', row.id, row.next_run_at]
+        );
+        if (changes) claimed.push({ ...publicSchedule(row), run_count: runCount });
+    }
+    return claimed;
+}
+
+async function recordRun(db, id, campaignId) {
+    await run(db, 'UPDATE campaign_schedules SET last_campaign_id = ? WHERE id = ?', [campaignId, id]);
+}
+
+// Campaigns created by the schedule, newest first, with their progress
+async function history(db, id, limit = 50) {
+    await find(db, id);
+    const sent = SENT_STATUSES.map(() => '?').join(',');
+    return all(db,
+        `SELECT c.id, c.name, c.status, c.created_at, c.started_at, c.completed_at,
+            COUNT(m.id) AS total_messages,
+            COALESCE(SUM(m.status IN (${sent})), 0) AS sent_messages,
+            COALESCE(SUM(m.status = 'failed'), 0) AS failed_messages
+         FROM campaigns c
+         LEFT JOIN messages m ON m.campaign_id = c.id
+         WHERE c.schedule_id = ?
+         GROUP BY c.id
+         ORDER BY c.id DESC
+         LIMIT ?`,
+        [...SENT_STATUSES, id, limit]
+    );
+}
+
+module.exports = {
+    FREQUENCIES,
+    ScheduleError,
+    describe,
+    preview,
+    find,
+    list,
+    create,
+    update,
+    pause,
+    resume,
+    remove,
+    claimDue,
+    recordRun,
+    history
+};
@@ -0,0 +1,237 @@
+const { run, get, all, parseJSON } = require('./db');
+
+// Saved contact segments.
+//
+// A segment is { match: 'all' | 'any', rules: [{ field, operator, value }] }, evaluated in
+// JavaScript against every contact plus two facts joined in from other tables:
+// last_message_status (newest campaign message to the contact) and last_reply_at (newest
+// inbound message). Fields:
+//
+//   tags                      contains, not_contains, empty, not_empty
+//   name, phone, email        equals, not_equals, contains, starts_with, empty, not_empty
+//   custom.<key>              equals, not_equals, contains, empty, not_empty, gt, lt
+//   created_at                before, after (date), within_days, older_than_days
+//   last_message_status       equals, not_equals (sent, delivered, read, failed, ... or none)
+//   replied                   ever, never, within_days, not_within_days
+
+const OPERATORS = {
+    tags: ['contains', 'not_contains', 'empty', 'not_empty'],
+    text: ['equals', 'not_equals', 'contains', 'starts_with', 'empty', 'not_empty'],
+    custom: ['equals', 'not_equals', 'contains', 'empty', 'not_empty', 'gt', 'lt'],
+    created_at: ['before', 'after', 'within_days', 'older_than_days'],
+    last_message_status: ['equals', 'not_equals'],
+    replied: ['ever', 'never', 'within_days', 'not_within_days']
+};
+
+// Operators that do not take a value
+const UNARY = ['empty', 'not_empty', 'ever', 'never'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class SegmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function fieldKind(field) {
+    if (['name', 'phone', 'email'].includes(field)) return 'text';
+    if (/^custom\.[^.]+$/.test(field)) return 'custom';
+    return OPERATORS[field] && field !== 'text' && field !== 'custom' ? field : null;
+}
+
+// Throws a SegmentError for malformed definitions; returns the normalized definition
+function validate(definition) {
+    const parsed = typeof definition === 'string' ? parseJSON(definition, null) : definition;
+    if (!parsed || !Array.isArray(parsed.rules)) {
+        throw new SegmentError('A segment needs a list of rules');
+    }
+
+    const match = parsed.match === 'any' ? 'any' : 'all';
+    const rules = parsed.rules.map((rule, i) => {
+        const kind = fieldKind(rule.field);
+        if (!kind) throw new SegmentError(`Rule ${i + 1}: unknown field "${rule.field}"`);
+        if (!OPERATORS[kind].includes(rule.operator)) {
+            throw new SegmentError(`Rule ${i + 1}: ${rule.field} supports ${OPERATORS[kind].join(', ')}`);
+        }
+        if (!UNARY.includes(rule.operator) && (rule.value === undefined || rule.value === null || rule.value === '')) {
+            throw new SegmentError(`Rule ${i + 1}: a value is required`);
+        }
+        if (/days$/.test(rule.operator) && !(Number(rule.value) >= 0)) {
+            throw new SegmentError(`Rule ${i + 1}: the number of days must be a positive number`);
+        }
+        if (['before', 'after'].includes(rule.operator) && isNaN(new Date(rule.value))) {
+            throw new SegmentError(`Rule ${i + 1}: "${rule.value}" is not a date`);
+        }
+        return { field: rule.field, operator: rule.operator, value: UNARY.includes(rule.operator) ? null : rule.value };
+    });
+
+    return { match, rules };
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function sqlDate(value) {
+    return value ? new Date(String(value).replace(' ', 'T') + (/Z|[+-]\d\d:?\d\d$/.test(value) ? '' : 'Z')) : null;
+}
+
+function compareText(actual, operator, expected) {
+    const value = actual === null || actual === undefined ? '' : String(actual).toLowerCase();
+    const target = String(expected === null || expected === undefined ? '' : expected).toLowerCase();
+
+    switch (operator) {
+        case 'equals': return value === target;
+        case 'not_equals': return value !== target;
+        case 'contains': return value.includes(target);
+        case 'starts_with': return value.startsWith(target);
+        case 'empty': return value === '';
+        case 'not_empty': return value !== '';
+        case 'gt': return value !== '' && Number(actual) > Number(expected);
+        case 'lt': return value !== '' && Number(actual) < Number(expected);
+        default: return false;
+    }
+}
+
+function matchesRule(contact, rule, now) {
+    const { field, operator, value } = rule;
+
+    if (field === 'tags') {
+        const tags = (parseJSON(contact.tags, []) || []).map(tag => String(tag).toLowerCase());
+        if (operator === 'empty') return tags.length === 0;
+        if (operator === 'not_empty') return tags.length > 0;
+        const has = tags.includes(String(value).toLowerCase());
+        return operator === 'contains' ? has : !has;
+    }
+
+    if (field.startsWith('custom.')) {
+        const custom = parseJSON(contact.custom_fields, {}) || {};
+        const key = field.slice(7);
+        const found = Object.keys(custom).find(k => k.toLowerCase() === key.toLowerCase());
+        return compareText(found === undefined ? null : custom[found], operator, value);
+    }
+
+    if (field === 'created_at') {
+        const created = sqlDate(contact.created_at);
+        if (!created) return false;
+        switch (operator) {
+            case 'before': return created < new Date(value);
+            case 'after': return created > new Date(value);
+            case 'within_days': return now - created <= Number(value) * DAY;
+            case 'older_than_days': return now - created > Number(value) * DAY;
+        }
+    }
+
+    if (field === 'last_message_status') {
+        return compareText(contact.last_message_status || 'none', operator, value);
+    }
+
+    if (field === 'replied') {
+        const replied = sqlDate(contact.last_reply_at);
+        switch (operator) {
+            case 'ever': return Boolean(replied);
+            case 'never': return !replied;
+            case 'within_days': return Boolean(replied) && now - replied <= Number(value) * DAY;
+            case 'not_within_days': return !replied || now - replied > Number(value) * DAY;
+        }
+    }
+
+    return compareText(contact[field], operator, value);
+}
+
+function matches(contact, definition, now = new Date()) {
+    const { match, rules } = definition;
+    if (!rules.length) return true;
+    return match === 'any'
+        ? rules.some(rule => matchesRule(contact, rule, now))
+        : rules.every(rule => matchesRule(contact, rule, now));
+}
+
+// Contacts with the facts rules can test, ordered by id. `where` filters on the contacts
+// table (alias c); afterId and limit page through large address books.
+function loadContacts(db, { where = '', params = [], afterId = 0, limit = -1 } = {}) {
+    return all(db,
+        `SELECT c.*,
+             (SELECT m.status FROM messages m WHERE m.contact_id = c.id ORDER BY m.id DESC LIMIT 1) as last_message_status,
+             (SELECT MAX(cm.created_at) FROM conversation_messages cm
+                  JOIN conversations cv ON cv.id = cm.conversation_id
+                  WHERE cv.contact_id = c.id AND cm.direction = 'in') as last_reply_at
+         FROM contacts c
+         WHERE c.id > ? ${where ? `AND (${where})` : ''}
+         ORDER BY c.id LIMIT ?`,
+        [afterId, ...params, limit]
+    );
+}
+
+// Contacts matching a definition, ordered by id
+async function resolve(db, definition) {
+    const normalized = validate(definition);
+    const contacts = await loadContacts(db);
+
+    const now = new Date();
+    return contacts.filter(contact => matches(contact, normalized, now));
+}
+
+// ---- saved segments ----
+
+function publicSegment(row) {
+    return { ...row, rules: parseJSON(row.rules, { match: 'all', rules: [] }) };
+}
+
+async function find(db, id) {
+    const row = await get(db, 'SELECT * FROM segments WHERE id = ?', [id]);
+    if (!row) throw new SegmentError('Segment not found', 404);
+    return publicSegment(row);
+}
+
+async function list(db) {
+    const rows = await all(db, 'SELECT * FROM segments ORDER BY name');
+    return rows.map(publicSegment);
+}
+
+async function create(db, { name, description, rules }) {
+    if (!name || !String(name).trim()) throw new SegmentError('A name is required');
+    const definition = validate(rules);
+
+    const { lastID } = await run(db,
+        'INSERT INTO segments (name, description, rules) VALUES (?, ?, ?)',
+        [String(name).trim(), description || null, JSON.stringify(definition)]
+    );
+    return find(db, lastID);
+}
+
+async function update(db, id, { name, description, rules }) {
+    const segment = await find(db, id);
+    const definition = rules !== undefined ? validate(rules) : segment.rules;
+
+    await run(db,
+        'UPDATE segments SET name = ?, description = ?, rules = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [name ? String(name).trim() : segment.name, description !== undefined ? description : segment.description,
+            JSON.stringify(definition), id]
+    );
+    return find(db, id);
+}
+
+async function remove(db, id) {
+    const { changes } = await run(db, 'DELETE FROM segments WHERE id = ?', [id]);
+    if (!changes) throw new SegmentError('Segment not found', 404);
+}
+
+async function resolveSegment(db, id) {
+    const segment = await find(db, id);
+    return resolve(db, segment.rules);
+}
+
+module.exports = {
+    OPERATORS,
+    SegmentError,
+    validate,
+    matches,
+    loadContacts,
+    resolve,
+    resolveSegment,
+    find,
+    list,
+    create,
+    update,
+    remove
+};
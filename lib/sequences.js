@@ -0,0 +1,471 @@
+const { run, get, all, parseJSON } = require('./db');
+const template = require('./template');
+const segments = require('./segments');
+const phones = require('./phones');
+const optout = require('./optout');
+const timezones = require('./timezones');
+const analytics = require('./analytics');
+
+// Drip sequences.
+//
+// A sequence is a list of steps, each a message sent a delay after the previous step (the first
+// one after enrollment), optionally only when a condition holds:
+//
+//   replied / not_replied   the contact wrote back since the previous message (or enrollment)
+//   read / not_read         the previous message was read
+//   tag / no_tag            the contact has the tag
+//
+// When the condition fails the step is skipped, or the contact leaves the sequence
+// (otherwise: 'exit'). Contacts are enrolled by hand, from a segment or by API; each enrollment
+// tracks its step and when the next one is due. The cron scheduler calls runDue, which puts the
+// due steps' messages on the send queue (messages.enrollment_id, no campaign). Contacts leave
+// when they reply (if the sequence exits on reply), opt out, or are removed.
+
+const UNITS = { minutes: 1, hours: 60, days: 24 * 60 };
+const CONDITIONS = ['replied', 'not_replied', 'read', 'not_read', 'tag', 'no_tag'];
+const ENROLLMENT_STATUSES = ['active', 'completed', 'exited'];
+const MAX_STEPS = 20;
+const BATCH_SIZE = 200;
+
+// How long to wait when the previous message has not gone out yet
+const RECHECK_MINUTES = 5;
+
+class SequenceError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toSql(date) {
+    return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function addMinutes(date, minutes) {
+    return new Date(date.getTime() + minutes * 60000);
+}
+
+function delayMinutes(step) {
+    return step ? step.delay * UNITS[step.unit] : 0;
+}
+
+function validateStep(input, index) {
+    const name = `Step ${index + 1}`;
+    if (!input || typeof input !== 'object') throw new SequenceError(`${name} must be an object with a message`);
+
+    const message = input.message;
+    if (!message || !String(message).trim()) throw new SequenceError(`${name} needs a message`);
+    try {
+        template.validate(message);
+    } catch (error) {
+        throw new SequenceError(`${name} template: ${error.message}`);
+    }
+
+    const unit = input.unit || 'days';
+    if (!UNITS[unit]) throw new SequenceError(`${name}: unit must be one of: ${Object.keys(UNITS).join(', ')}`);
+    const delay = input.delay === undefined || input.delay === '' ? 0 : Number(input.delay);
+    if (!(delay >= 0) || delay * UNITS[unit] > 365 * UNITS.days) {
+        throw new SequenceError(`${name}: delay must be a number of ${unit} up to a year`);
+    }
+
+    let condition = null;
+    const conditionInput = typeof input.condition === 'string' ? { type: input.condition } : input.condition;
+    if (conditionInput && conditionInput.type) {
+        if (!CONDITIONS.includes(conditionInput.type)) {
+            throw new SequenceError(`${name}: condition must be one of: ${CONDITIONS.join(', ')}`);
+        }
+        if (index === 0 && ['read', 'not_read'].includes(conditionInput.type)) {
+            throw new SequenceError(`${name} has no previous message to be read`);
+        }
+        condition = { type: conditionInput.type };
+        if (['tag', 'no_tag'].includes(condition.type)) {
+            condition.tag = String(conditionInput.tag || '').trim();
+            if (!condition.tag) throw new SequenceError(`${name}: a tag is required for the ${condition.type} condition`);
+        }
+    }
+
+    const otherwise = input.otherwise || 'skip';
+    if (!['skip', 'exit'].includes(otherwise)) throw new SequenceError(`${name}: otherwise must be skip or exit`);
+
+    return { message, delay, unit, condition, otherwise };
+}
+
+function validateSteps(value) {
+    const list = typeof value === 'string' ? parseJSON(value, null) : value;
+    if (!Array.isArray(list) || !list.length) throw new SequenceError('A sequence needs at least one step');
+    if (list.length > MAX_STEPS) throw new SequenceError(`A sequence can have at most ${MAX_STEPS} steps`);
+    return list.map(validateStep);
+}
+
+function publicSequence(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        steps: parseJSON(row.steps, []),
+        exit_on_reply: Boolean(row.exit_on_reply),
+        instances: parseJSON(row.instances, []),
+        timezone: row.timezone,
+        send_window: parseJSON(row.send_window, null),
+        status: row.status,
+        created_by: row.created_by,
+        created_at: row.created_at
+    };
+}
+
+// Validated columns from the request, on top of the current sequence when updating
+function definition(input, current = {}) {
+    const value = (key) => (input[key] !== undefined ? input[key] : current[key]);
+
+    const name = String(value('name') || '').trim();
+    if (!name) throw new SequenceError('A name is required');
+
+    const exitOnReply = value('exit_on_reply');
+    const sendWindow = timezones.parseWindow(value('send_window'));
+
+    return {
+        name,
+        description: value('description') || null,
+        steps: JSON.stringify(validateSteps(input.steps !== undefined ? input.steps : parseJSON(current.steps, []))),
+        exit_on_reply: exitOnReply === undefined || exitOnReply === null ? 1 : (exitOnReply === false || exitOnReply === 0 || exitOnReply === 'false' || exitOnReply === '0' ? 0 : 1),
+        timezone: timezones.validateZone(value('timezone')),
+        send_window: sendWindow ? JSON.stringify(sendWindow) : null
+    };
+}
+
+async function findRow(db, id) {
+    const row = await get(db, 'SELECT * FROM sequences WHERE id = ?', [id]);
+    if (!row) throw new SequenceError('Sequence not found', 404);
+    return row;
+}
+
+async function enrollmentCounts(db, sequenceId) {
+    const rows = await all(db,
+        'SELECT status, COUNT(*) AS total FROM sequence_enrollments WHERE sequence_id = ? GROUP BY status',
+        [sequenceId]
+    );
+    const counts = Object.fromEntries(ENROLLMENT_STATUSES.map(status => [status, 0]));
+    rows.forEach(row => { counts[row.status] = row.total; });
+    return counts;
+}
+
+// The sequence with its enrollment counts and what each step has sent
+async function find(db, id) {
+    const row = await findRow(db, id);
+    const sequence = publicSequence(row);
+
+    const stepStats = await Promise.all(sequence.steps.map((step, index) => analytics.totals(db, {
+        where: 'AND m.enrollment_id IN (SELECT id FROM sequence_enrollments WHERE sequence_id = ?) AND m.sequence_step = ?',
+        params: [row.id, index]
+    })));
+
+    return {
+        ...sequence,
+        enrollments: await enrollmentCounts(db, row.id),
+        steps: sequence.steps.map((step, index) => ({ ...step, stats: stepStats[index] }))
+    };
+}
+
+async function list(db) {
+    const rows = await all(db, 'SELECT * FROM sequences ORDER BY created_at DESC');
+    return Promise.all(rows.map(async row => ({ ...publicSequence(row), enrollments: await enrollmentCounts(db, row.id) })));
+}
+
+async function create(db, input, { instances = [], createdBy = null } = {}) {
+    const fields = definition(input);
+    const { lastID } = await run(db,
+        `INSERT INTO sequences (name, description, steps, exit_on_reply, instances, timezone, send_window, status, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)`,
+        [fields.name, fields.description, fields.steps, fields.exit_on_reply,
+            instances.length ? JSON.stringify(instances) : null, fields.timezone, fields.send_window, createdBy]
+    );
+    return find(db, lastID);
+}
+
+// Enrolled contacts continue from their current step; steps removed from the end finish them
+async function update(db, id, input, { instances } = {}) {
+    const current = await findRow(db, id);
+    const fields = definition(input, current);
+
+    await run(db,
+        `UPDATE sequences SET name = ?, description = ?, steps = ?, exit_on_reply = ?, instances = ?, timezone = ?, send_window = ?
+         WHERE id = ?`,
+        [fields.name, fields.description, fields.steps, fields.exit_on_reply,
+            instances !== undefined ? (instances.length ? JSON.stringify(instances) : null) : current.instances,
+            fields.timezone, fields.send_window, id]
+    );
+    return find(db, id);
+}
+
+async function setStatus(db, id, status) {
+    const from = status === 'paused' ? 'active' : 'paused';
+    const { changes } = await run(db, 'UPDATE sequences SET status = ? WHERE id = ? AND status = ?', [status, id, from]);
+    if (!changes) {
+        await findRow(db, id);
+        throw new SequenceError(`Only ${from} sequences can be ${status === 'paused' ? 'paused' : 'resumed'}`, 409);
+    }
+    return find(db, id);
+}
+
+// A paused sequence neither starts steps nor sends their queued messages
+function pause(db, id) {
+    return setStatus(db, id, 'paused');
+}
+
+function resume(db, id) {
+    return setStatus(db, id, 'active');
+}
+
+// Take an enrollment out of its sequence; its queued messages are not sent
+async function leave(db, enrollmentId, reason) {
+    await run(db,
+        `UPDATE sequence_enrollments SET status = 'exited', exit_reason = ?, next_run_at = NULL, completed_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'active'`,
+        [reason, enrollmentId]
+    );
+    await run(db,
+        `UPDATE messages SET status = 'skipped', error = ? WHERE enrollment_id = ? AND status = 'pending'`,
+        [`Left the sequence (${reason})`, enrollmentId]
+    );
+    return 'exited';
+}
+
+async function remove(db, id) {
+    await findRow(db, id);
+    const active = await all(db, `SELECT id FROM sequence_enrollments WHERE sequence_id = ? AND status = 'active'`, [id]);
+    for (const enrollment of active) await leave(db, enrollment.id, 'sequence_deleted');
+    await run(db, 'DELETE FROM sequence_enrollments WHERE sequence_id = ?', [id]);
+    await run(db, 'DELETE FROM sequences WHERE id = ?', [id]);
+}
+
+// Contacts to enroll from { contact_ids }, { segment_id } or { phones }; unknown phone
+// numbers become new contacts
+async function resolveContacts(db, { contact_ids: contactIds, segment_id: segmentId, phones: phoneList }) {
+    if (segmentId) return segments.resolveSegment(db, segmentId);
+
+    if (phoneList !== undefined) {
+        const list = (Array.isArray(phoneList) ? phoneList : String(phoneList).split(',')).filter(Boolean);
+        if (!list.length) throw new SequenceError('phones must list at least one phone number');
+        const contacts = [];
+        for (const value of list) {
+            let phone;
+            try {
+                phone = phones.normalize(value);
+            } catch (error) {
+                throw new SequenceError(`${value}: ${error.message}`);
+            }
+            let contact = await get(db, 'SELECT * FROM contacts WHERE phone = ?', [phone]);
+            if (!contact) {
+                const { lastID } = await run(db, `INSERT INTO contacts (name, phone, tags, custom_fields) VALUES (?, ?, '[]', '{}')`, [phone, phone]);
+                contact = await get(db, 'SELECT * FROM contacts WHERE id = ?', [lastID]);
+            }
+            contacts.push(contact);
+        }
+        return contacts;
+    }
+
+    const ids = (Array.isArray(contactIds) ? contactIds : parseJSON(contactIds, []) || []).map(Number).filter(Boolean);
+    if (!ids.length) throw new SequenceError('Give contact_ids, a segment_id or phones to enroll');
+    return all(db, `SELECT * FROM contacts WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+}
+
+// Start the sequence for contacts; those already in it or opted out are left alone. The
+// enrollment's source records how they were picked: segment, contacts or phones.
+async function enroll(db, id, input) {
+    const sequence = publicSequence(await findRow(db, id));
+    const contacts = await resolveContacts(db, input);
+    const source = input.segment_id ? 'segment' : (input.phones !== undefined ? 'phones' : 'contacts');
+    const suppressed = await optout.suppressedPhones(db);
+    const nextRunAt = toSql(addMinutes(new Date(), delayMinutes(sequence.steps[0])));
+
+    const result = { enrolled: 0, already_enrolled: 0, suppressed: 0 };
+    for (const contact of contacts) {
+        if (suppressed.has(optout.normalizePhone(contact.phone))) {
+            result.suppressed++;
+            continue;
+        }
+        // The partial unique index keeps one active enrollment per contact
+        const { changes } = await run(db,
+            `INSERT OR IGNORE INTO sequence_enrollments (sequence_id, contact_id, source, next_run_at) VALUES (?, ?, ?, ?)`,
+            [sequence.id, contact.id, source, nextRunAt]
+        );
+        result[changes ? 'enrolled' : 'already_enrolled']++;
+    }
+    return result;
+}
+
+// Enrollments with the contact and the number of messages sent (?status=&limit=&offset=)
+async function enrollments(db, id, { status, limit = 100, offset = 0 } = {}) {
+    await findRow(db, id);
+    if (status && !ENROLLMENT_STATUSES.includes(status)) {
+        throw new SequenceError(`status must be one of: ${ENROLLMENT_STATUSES.join(', ')}`);
+    }
+    return all(db,
+        `SELECT e.*, ct.name AS contact_name, ct.phone AS contact_phone,
+            (SELECT COUNT(*) FROM messages m WHERE m.enrollment_id = e.id AND m.status NOT IN ('pending', 'skipped')) AS messages_sent
+         FROM sequence_enrollments e
+         LEFT JOIN contacts ct ON ct.id = e.contact_id
+         WHERE e.sequence_id = ? ${status ? 'AND e.status = ?' : ''}
+         ORDER BY e.id DESC
+         LIMIT ? OFFSET ?`,
+        [id, ...(status ? [status] : []), Math.min(Number(limit) || 100, 500), Number(offset) || 0]
+    );
+}
+
+async function exitEnrollment(db, sequenceId, enrollmentId) {
+    const enrollment = await get(db,
+        'SELECT * FROM sequence_enrollments WHERE id = ? AND sequence_id = ?',
+        [enrollmentId, sequenceId]
+    );
+    if (!enrollment) throw new SequenceError('Enrollment not found', 404);
+    if (enrollment.status !== 'active') throw new SequenceError('The contact is no longer in the sequence', 409);
+    await leave(db, enrollment.id, 'removed');
+}
+
+// A reply ends the contact's sequences that exit on reply; any other reason ends all of them.
+// Returns the ids of the sequences left.
+async function exitContact(db, contactId, reason) {
+    const rows = await all(db,
+        `SELECT e.id, e.sequence_id FROM sequence_enrollments e
+         JOIN sequences s ON s.id = e.sequence_id
+         WHERE e.contact_id = ? AND e.status = 'active' ${reason === 'replied' ? 'AND s.exit_on_reply = 1' : ''}`,
+        [contactId]
+    );
+    for (const row of rows) await leave(db, row.id, reason);
+    return rows.map(row => row.sequence_id);
+}
+
+async function repliedSince(db, contactId, since) {
+    const row = await get(db,
+        `SELECT 1 AS replied FROM conversation_messages cm
+         JOIN conversations cv ON cv.id = cm.conversation_id
+         WHERE cv.contact_id = ? AND cm.direction = 'in' AND cm.created_at >= ?
+         LIMIT 1`,
+        [contactId, since]
+    );
+    return Boolean(row);
+}
+
+async function conditionMet(db, condition, { enrollment, contact, previous }) {
+    if (!condition) return true;
+
+    switch (condition.type) {
+        case 'replied':
+        case 'not_replied': {
+            const since = (previous && previous.sent_at) || enrollment.last_step_at || enrollment.enrolled_at;
+            const replied = await repliedSince(db, contact.id, since);
+            return condition.type === 'replied' ? replied : !replied;
+        }
+        case 'read':
+        case 'not_read': {
+            const read = Boolean(previous && ['read', 'played'].includes(previous.status));
+            return condition.type === 'read' ? read : !read;
+        }
+        default: {
+            const tags = parseJSON(contact.tags, []);
+            const list = (Array.isArray(tags) ? tags : String(contact.tags || '').split(',')).map(tag => String(tag).trim().toLowerCase());
+            const tagged = list.includes(condition.tag.toLowerCase());
+            return condition.type === 'tag' ? tagged : !tagged;
+        }
+    }
+}
+
+// Move past a step (sent or skipped): schedule the next one, or finish
+async function advance(db, enrollment, steps, index, now, messageId) {
+    const next = index + 1;
+    const done = next >= steps.length;
+    await run(db,
+        `UPDATE sequence_enrollments SET current_step = ?, last_step_at = ?, last_message_id = COALESCE(?, last_message_id),
+             next_run_at = ?, status = ?, completed_at = ${done ? 'CURRENT_TIMESTAMP' : 'NULL'}
+         WHERE id = ?`,
+        [next, toSql(now), messageId, done ? null : toSql(addMinutes(now, delayMinutes(steps[next]))),
+            done ? 'completed' : 'active', enrollment.id]
+    );
+}
+
+// Run the due step of one enrollment: 'queued', 'skipped', 'waiting', 'exited' or 'completed'
+async function runStep(db, enrollment, now) {
+    const steps = parseJSON(enrollment.steps, []);
+    const index = enrollment.current_step;
+    if (index >= steps.length) {
+        await advance(db, enrollment, steps, steps.length - 1, now, null);
+        return 'completed';
+    }
+
+    const contact = await get(db, 'SELECT * FROM contacts WHERE id = ?', [enrollment.contact_id]);
+    if (!contact) return leave(db, enrollment.id, 'contact_deleted');
+    if (await optout.isSuppressed(db, contact.phone)) return leave(db, enrollment.id, 'opted_out');
+
+    // Conditions look at the previous message, so it has to be out first
+    const previous = enrollment.last_message_id
+        ? await get(db, 'SELECT status, sent_at FROM messages WHERE id = ?', [enrollment.last_message_id])
+        : null;
+    if (previous && ['pending', 'sending'].includes(previous.status)) {
+        await run(db, 'UPDATE sequence_enrollments SET next_run_at = ? WHERE id = ?',
+            [toSql(addMinutes(now, RECHECK_MINUTES)), enrollment.id]);
+        return 'waiting';
+    }
+
+    const step = steps[index];
+    if (!(await conditionMet(db, step.condition, { enrollment, contact, previous }))) {
+        if (step.otherwise === 'exit') return leave(db, enrollment.id, 'condition');
+        await advance(db, enrollment, steps, index, now, null);
+        return 'skipped';
+    }
+
+    const { lastID } = await run(db,
+        `INSERT INTO messages (contact_id, phone, message, status, enrollment_id, sequence_step) VALUES (?, ?, ?, 'pending', ?, ?)`,
+        [contact.id, contact.phone, template.render(step.message, template.contactContext(contact)), enrollment.id, index]
+    );
+    await advance(db, enrollment, steps, index, now, lastID);
+    return 'queued';
+}
+
+// Run every due step of active sequences. An enrollment is only run by the call that took it.
+async function runDue(db, now = new Date()) {
+    const due = await all(db,
+        `SELECT e.*, s.steps FROM sequence_enrollments e
+         JOIN sequences s ON s.id = e.sequence_id
+         WHERE e.status = 'active' AND s.status = 'active' AND e.next_run_at <= ?
+         ORDER BY e.next_run_at
+         LIMIT ?`,
+        [toSql(now), BATCH_SIZE]
+    );
+
+    const result = { queued: 0, sequenceIds: new Set(), errors: [] };
+    for (const enrollment of due) {
+        const { changes } = await run(db,
+            `UPDATE sequence_enrollments SET next_run_at = NULL WHERE id = ? AND status = 'active' AND next_run_at = ?`,
+            [enrollment.id, enrollment.next_run_at]
+        );
+        if (!changes) continue;
+
+        try {
+            if (await runStep(db, enrollment, now) === 'queued') result.queued++;
+            result.sequenceIds.add(enrollment.sequence_id);
+        } catch (error) {
+            await run(db, 'UPDATE sequence_enrollments SET next_run_at = ? WHERE id = ? AND next_run_at IS NULL',
+                [toSql(addMinutes(now, RECHECK_MINUTES)), enrollment.id]);
+            result.errors.push({ enrollmentId: enrollment.id, error });
+        }
+    }
+    return { ...result, sequenceIds: [...result.sequenceIds] };
+}
+
+module.exports = {
+    UNITS,
+    CONDITIONS,
+    SequenceError,
+    find,
+    list,
+    create,
+    update,
+    pause,
+    resume,
+    remove,
+    enroll,
+    enrollments,
+    exitEnrollment,
+    exitContact,
+    runDue
+};
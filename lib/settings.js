@@ -0,0 +1,24 @@
+const { run, get } = require('./db');
+
+// Key/value settings stored as JSON in the settings table
+
+async function getSetting(db, key, fallback) {
+    const row = await get(db, 'SELECT value FROM settings WHERE key = ?', [key]);
+    if (!row) return fallback;
+
+    try {
+        return JSON.parse(row.value);
+    } catch (e) {
+        return row.value;
+    }
+}
+
+function setSetting(db, key, value) {
+    return run(db,
+        `INSERT INTO settings (key, value) VALUES (?, ?)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+        [key, JSON.stringify(value)]
+    );
+}
+
+module.exports = { getSetting, setSetting };
@@ -0,0 +1,273 @@
+const { parseJSON } = require('./db');
+
+// Message templates.
+//
+//   {name}                     contact field or custom field (empty when missing, never "null")
+//   {name|there}               fallback when the value is empty
+//   {custom.city}              custom field, explicitly
+//   {birthday:date}            date, locale default style; {birthday:date(dd/MM/yyyy)} for a pattern
+//   {balance:number(2)}        number with 2 decimals; filters chain: {name:first:upper}
+//   {#if city}...{else}...{/if}, {#if plan == gold}...{/if}, {#unless email}...{/unless}
+//
+// Anything else, including WhatsApp formatting (*bold*, _italic_, ~strike~, ```mono```) and
+// braces that are not one of the forms above, is passed through untouched.
+
+const TOKEN = new RegExp([
+    /\{#(if|unless)\s+([^{}]+?)\s*\}/.source,                       // 1 kind, 2 condition
+    /\{(else)\}/.source,                                             // 3
+    /\{\/(if|unless)\}/.source,                                      // 4
+    /\{([A-Za-z_][\w.]*)((?::[a-z]+(?:\([^()]*\))?)*)(?:\|([^{}]*))?\}/.source // 5 path, 6 filters, 7 fallback
+].join('|'), 'g');
+
+const FILTER = /:([a-z]+)(?:\(([^()]*)\))?/g;
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.status = 400;
+    }
+}
+
+// ---- parsing ----
+
+const cache = new Map();
+
+function parse(template) {
+    const source = String(template || '');
+    if (cache.has(source)) return cache.get(source);
+
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const target = () => {
+        const node = stack[stack.length - 1];
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    let last = 0;
+    let match;
+    TOKEN.lastIndex = 0;
+
+    while ((match = TOKEN.exec(source))) {
+        if (match.index > last) {
+            target().push({ type: 'text', value: source.slice(last, match.index) });
+        }
+        last = TOKEN.lastIndex;
+
+        if (match[1]) {
+            const block = { type: match[1], condition: parseCondition(match[2]), children: [], otherwise: [], inElse: false };
+            target().push(block);
+            stack.push(block);
+        } else if (match[3]) {
+            const block = stack[stack.length - 1];
+            if (block === root || block.inElse) throw new TemplateError('{else} without a matching {#if}');
+            block.inElse = true;
+        } else if (match[4]) {
+            const block = stack.pop();
+            if (block === root || block.type !== match[4]) {
+                throw new TemplateError(`{/${match[4]}} without a matching {#${match[4]}}`);
+            }
+        } else {
+            target().push({
+                type: 'var',
+                path: match[5],
+                filters: parseFilters(match[6]),
+                fallback: match[7]
+            });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateError(`{#${stack[stack.length - 1].type}} is not closed`);
+    }
+    if (last < source.length) {
+        root.children.push({ type: 'text', value: source.slice(last) });
+    }
+
+    if (cache.size > 500) cache.clear();
+    cache.set(source, root);
+    return root;
+}
+
+// "field", "field == value", "field != value" (value may be quoted)
+function parseCondition(text) {
+    const comparison = text.match(/^([A-Za-z_][\w.]*)\s*(==|!=)\s*(.+)$/);
+    if (comparison) {
+        return { path: comparison[1], operator: comparison[2], value: comparison[3].replace(/^(["'])(.*)\1$/, '$2') };
+    }
+    if (!/^[A-Za-z_][\w.]*$/.test(text)) throw new TemplateError(`Invalid condition "${text}"`);
+    return { path: text };
+}
+
+function parseFilters(text) {
+    const filters = [];
+    let match;
+    FILTER.lastIndex = 0;
+    while ((match = FILTER.exec(text || ''))) {
+        if (!FILTERS[match[1]]) throw new TemplateError(`Unknown format "${match[1]}"`);
+        filters.push({ name: match[1], arg: match[2] });
+    }
+    return filters;
+}
+
+// ---- values ----
+
+function lookup(context, path) {
+    let value = context;
+    for (const key of path.split('.')) {
+        if (value === null || value === undefined || typeof value !== 'object') return undefined;
+        if (key in value) {
+            value = value[key];
+        } else {
+            // Custom field names are user-entered; match them case-insensitively
+            const found = Object.keys(value).find(k => k.toLowerCase() === key.toLowerCase());
+            value = found === undefined ? undefined : value[found];
+        }
+    }
+    return value;
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || value === false
+        || (Array.isArray(value) && value.length === 0);
+}
+
+function toDate(value) {
+    if (value instanceof Date) return value;
+    // Plain dates are calendar days, not UTC midnight
+    const day = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = day ? new Date(day[1], day[2] - 1, day[3]) : new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+function formatDatePattern(date, pattern) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const parts = {
+        yyyy: date.getFullYear(),
+        yy: String(date.getFullYear()).slice(-2),
+        MM: pad(date.getMonth() + 1),
+        M: date.getMonth() + 1,
+        dd: pad(date.getDate()),
+        d: date.getDate(),
+        HH: pad(date.getHours()),
+        mm: pad(date.getMinutes())
+    };
+    return pattern.replace(/yyyy|yy|MM|M|dd|d|HH|mm/g, token => parts[token]);
+}
+
+const FILTERS = {
+    date(value, arg, options) {
+        const date = toDate(value);
+        if (!date) return value;
+        return arg ? formatDatePattern(date, arg) : new Intl.DateTimeFormat(options.locale, { dateStyle: 'medium' }).format(date);
+    },
+    number(value, arg, options) {
+        const number = Number(value);
+        if (value === '' || isNaN(number)) return value;
+        const digits = arg === undefined || arg === '' ? undefined : parseInt(arg, 10);
+        return new Intl.NumberFormat(options.locale, {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits === undefined ? 2 : digits
+        }).format(number);
+    },
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    capitalize: (value) => String(value).replace(/(^|\s)(\S)/g, (m, space, letter) => space + letter.toUpperCase()),
+    first: (value) => String(value).trim().split(/\s+/)[0]
+};
+
+// ---- rendering ----
+
+function evaluate(nodes, context, options) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+
+        if (node.type === 'var') {
+            let value = lookup(context, node.path);
+            if (isEmpty(value)) {
+                if (node.fallback !== undefined) return node.fallback;
+                if (options.missing) options.missing.add(node.path);
+                return '';
+            }
+            if (Array.isArray(value)) value = value.join(', ');
+            for (const filter of node.filters) {
+                value = FILTERS[filter.name](value, filter.arg, options);
+            }
+            return String(value);
+        }
+
+        const { path, operator, value } = node.condition;
+        const actual = lookup(context, path);
+        let truthy;
+        if (operator) {
+            const equal = String(isEmpty(actual) ? '' : actual).toLowerCase() === value.toLowerCase();
+            truthy = operator === '==' ? equal : !equal;
+        } else {
+            truthy = !isEmpty(actual);
+        }
+        if (node.type === 'unless') truthy = !truthy;
+
+        return evaluate(truthy ? node.children : node.otherwise, context, options);
+    }).join('');
+}
+
+function render(template, context = {}, options = {}) {
+    return evaluate(parse(template).children, context, {
+        locale: process.env.TEMPLATE_LOCALE || 'en-US',
+        ...options
+    });
+}
+
+// Render and report the fields that came out empty without a fallback. Fields only used
+// in conditions, or inside a branch that was not taken, are not reported.
+function preview(template, context = {}, options = {}) {
+    const missing = new Set();
+    const text = render(template, context, { ...options, missing });
+    return { text, length: text.length, missing: Array.from(missing) };
+}
+
+// Throws a TemplateError describing the first syntax problem
+function validate(template) {
+    parse(template);
+}
+
+// Field names a template refers to, e.g. ["name", "city"]
+function variables(template) {
+    const names = new Set();
+    const walk = (nodes) => nodes.forEach(node => {
+        if (node.type === 'var') names.add(node.path);
+        if (node.condition) {
+            names.add(node.condition.path);
+            walk(node.children);
+            walk(node.otherwise);
+        }
+    });
+    walk(parse(template).children);
+    return Array.from(names);
+}
+
+// WhatsApp limits for a text message and for a media caption
+const MAX_LENGTH = { text: 4096, caption: 1024 };
+
+// Fields every contact context has (custom fields come on top)
+const CONTACT_FIELDS = ['name', 'first_name', 'phone', 'email', 'tags', 'today'];
+
+// Template context for a contact: its columns, first_name, and custom fields both at the top
+// level ({city}) and under custom ({custom.city}). Contact columns win over custom fields.
+function contactContext(contact = {}, extra = {}) {
+    const custom = parseJSON(contact.custom_fields, {}) || {};
+    const tags = parseJSON(contact.tags, []);
+
+    return {
+        ...custom,
+        custom,
+        name: contact.name,
+        first_name: contact.name ? String(contact.name).trim().split(/\s+/)[0] : undefined,
+        phone: contact.phone,
+        email: contact.email,
+        tags: Array.isArray(tags) ? tags : [],
+        today: new Date(),
+        ...extra
+    };
+}
+
+module.exports = { render, preview, validate, variables, contactContext, CONTACT_FIELDS, MAX_LENGTH, TemplateError };
@@ -0,0 +1,130 @@
+const { DateTime, IANAZone } = require('luxon');
+const { parseJSON } = require('./db');
+
+// Time zones and sending windows.
+//
+// Timestamps are stored in UTC ("YYYY-MM-DD HH:MM:SS"). Times people enter (a campaign's
+// scheduled_at, a recurring campaign's time of day and dates) are read in the campaign's time
+// zone, which defaults to DEFAULT_TIMEZONE or else the server's zone. Values that carry an
+// offset ("2024-05-01T09:00:00Z", "...-03:00") are taken as they are.
+//
+// A sending window { start: 'HH:MM', end: 'HH:MM', days: [0..6] } limits when a campaign's
+// messages go out, in each recipient's local time: the contact's time zone, else the
+// campaign's. An end before the start spans midnight (22:00-06:00); days are the weekdays the
+// window opens on, 0 = Sunday.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+class TimezoneError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function isValidZone(zone) {
+    return typeof zone === 'string' && zone !== '' && IANAZone.isValidZone(zone);
+}
+
+function defaultZone() {
+    const configured = process.env.DEFAULT_TIMEZONE;
+    return isValidZone(configured) ? configured : DateTime.local().zoneName;
+}
+
+// The first valid zone given, else the default
+function resolveZone(...zones) {
+    return zones.find(isValidZone) || defaultZone();
+}
+
+// An IANA zone name from the request, or null when none was given
+function validateZone(value, name = 'timezone') {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const zone = String(value).trim();
+    if (!isValidZone(zone)) throw new TimezoneError(`${name} "${zone}" is not a known time zone (e.g. America/Sao_Paulo)`);
+    return zone;
+}
+
+// A date and time entered in the zone, as a UTC timestamp for the database
+function toUtc(value, zone, name = 'scheduled_at') {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const date = DateTime.fromISO(String(value).trim().replace(' ', 'T'), { zone: resolveZone(zone) });
+    if (!date.isValid) throw new TimezoneError(`${name} must be a date and time (YYYY-MM-DDTHH:MM)`);
+    return date.toUTC().toFormat('yyyy-MM-dd HH:mm:ss');
+}
+
+function parseTime(value, name) {
+    const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        throw new TimezoneError(`send_window.${name} must be HH:MM (24 hours)`);
+    }
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Validated sending window from the request (an object or its JSON), or null for none
+function parseWindow(input) {
+    if (input === undefined || input === null || input === '') return null;
+    const window = typeof input === 'string' ? parseJSON(input, undefined) : input;
+    if (window === null) return null;
+    if (!window || typeof window !== 'object' || Array.isArray(window)) {
+        throw new TimezoneError('send_window must be an object with start, end and days');
+    }
+
+    const start = parseTime(window.start, 'start');
+    const end = parseTime(window.end, 'end');
+    if (start === end) throw new TimezoneError('send_window start and end must differ');
+
+    const days = window.days === undefined ? ALL_DAYS : [...new Set([].concat(window.days).map(Number))].sort();
+    if (!days.length || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new TimezoneError('send_window.days must list weekdays from 0 (Sunday) to 6 (Saturday)');
+    }
+    return { start, end, days };
+}
+
+function describeWindow(window) {
+    if (!window) return null;
+    const days = window.days.length === 7 ? 'every day' : window.days.map(day => WEEKDAYS[day]).join(', ');
+    return `${window.start}-${window.end}, ${days}`;
+}
+
+function minutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+}
+
+function isOpen(window, local) {
+    const start = minutes(window.start);
+    const end = minutes(window.end);
+    const now = local.hour * 60 + local.minute;
+    const day = local.weekday % 7;
+
+    if (start < end) return window.days.includes(day) && now >= start && now < end;
+    // Spans midnight: opened today, or opened yesterday and not closed yet
+    if (now >= start) return window.days.includes(day);
+    return now < end && window.days.includes((day + 6) % 7);
+}
+
+// When the window next opens in the zone, or null if it is open now
+function nextOpening(window, zone, now = new Date()) {
+    const local = DateTime.fromJSDate(now, { zone: resolveZone(zone) });
+    if (isOpen(window, local)) return null;
+
+    const [hour, minute] = window.start.split(':').map(Number);
+    for (let offset = 0; offset <= 7; offset++) {
+        const opening = local.plus({ days: offset }).set({ hour, minute, second: 0, millisecond: 0 });
+        if (opening > local && window.days.includes(opening.weekday % 7)) return opening.toJSDate();
+    }
+    return null;
+}
+
+module.exports = {
+    TimezoneError,
+    isValidZone,
+    defaultZone,
+    resolveZone,
+    validateZone,
+    toUtc,
+    parseWindow,
+    describeWindow,
+    nextOpening
+};
@@ -0,0 +1,35 @@
+// Messaging transports
+//
+// Every driver exposes the same surface:
+//   connect(), status() -> { ready, qr }, sendText(chatId, text) -> { id },
+//   sendMedia(chatId, media, { caption }) -> { id }, sendSeen(chatId), logout(), destroy(), clearSession()
+// and emits: 'qr', 'authenticated', 'auth_failure', 'ready', 'disconnected',
+//   'ack' ({ id, ack }) and 'inbound' ({ id, from, to, body, type, hasMedia, timestamp, senderName }).
+
+const DRIVERS = {
+    'whatsapp-web': () => require('./whatsapp-web'),
+    mock: () => require('./mock')
+};
+
+function mockOptionsFromEnv(env) {
+    return {
+        connectDelay: parseInt(env.MOCK_CONNECT_DELAY || '0', 10),
+        ackDelay: parseInt(env.MOCK_ACK_DELAY || '1000', 10),
+        ackLevel: parseInt(env.MOCK_ACK_LEVEL || '3', 10),
+        failNumbers: (env.MOCK_FAIL_NUMBERS || '').split(',').map(n => n.replace(/\D/g, '')).filter(Boolean),
+        failRate: parseFloat(env.MOCK_FAIL_RATE || '0'),
+        seed: parseInt(env.MOCK_SEED || '1', 10)
+    };
+}
+
+function createTransport({ clientId, driver = process.env.WHATSAPP_DRIVER || 'whatsapp-web' }) {
+    if (!DRIVERS[driver]) {
+        throw new Error(`Unknown WhatsApp driver "${driver}" (expected one of: ${Object.keys(DRIVERS).join(', ')})`);
+    }
+
+    const Transport = DRIVERS[driver]();
+    const options = driver === 'mock' ? mockOptionsFromEnv(process.env) : {};
+    return new Transport({ clientId, options });
+}
+
+module.exports = { createTransport, DRIVERS: Object.keys(DRIVERS) };
@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+
+// Deterministic offline driver: records sends, simulates acks, failures and inbound messages
+class MockTransport extends EventEmitter {
+    constructor({ clientId, options = {} }) {
+        super();
+        this.clientId = clientId;
+        this.options = {
+            connectDelay: 0,
+            ackDelay: 1000,
+            ackLevel: 3,
+            failNumbers: [],
+            failRate: 0,
+            seed: 1,
+            ...options
+        };
+        this.ready = false;
+        this.qr = null;
+        this.sent = [];
+        this.seen = [];
+        this.counter = 0;
+        this.random = mulberry32(this.options.seed);
+        this.timers = new Set();
+    }
+
+    connect() {
+        this.later(this.options.connectDelay, () => {
+            this.ready = true;
+            this.emit('authenticated');
+            this.emit('ready');
+        });
+        return Promise.resolve();
+    }
+
+    status() {
+        return { ready: this.ready, qr: this.qr };
+    }
+
+    async sendText(chatId, text) {
+        return this.record({ chatId, type: 'text', text });
+    }
+
+    async sendMedia(chatId, media, options = {}) {
+        return this.record({
+            chatId,
+            type: 'media',
+            media: { url: media.url, path: media.path, mimetype: media.mimetype, filename: media.filename },
+            caption: options.caption
+        });
+    }
+
+    async sendSeen(chatId) {
+        this.seen.push(chatId);
+    }
+
+    async logout() {
+        this.ready = false;
+        this.emit('disconnected', 'LOGOUT');
+    }
+
+    async destroy() {
+        this.timers.forEach(clearTimeout);
+        this.timers.clear();
+        this.ready = false;
+    }
+
+    async clearSession() {
+        this.sent = [];
+    }
+
+    // ---- Simulation helpers ----
+
+    simulateInbound(from, body, extra = {}) {
+        const message = {
+            id: `false_${from}_MOCK${++this.counter}`,
+            from,
+            to: `${this.clientId}@c.us`,
+            body,
+            type: 'chat',
+            hasMedia: false,
+            timestamp: Math.floor(Date.now() / 1000),
+            ...extra
+        };
+        this.emit('inbound', message);
+        return message;
+    }
+
+    simulateAck(id, ack) {
+        this.emit('ack', { id, ack });
+    }
+
+    simulateDisconnect(reason = 'NAVIGATION') {
+        this.ready = false;
+        this.emit('disconnected', reason);
+    }
+
+    reset() {
+        this.sent = [];
+    }
+
+    // ---- Internals ----
+
+    record(entry) {
+        if (!this.ready) {
+            throw new Error('WhatsApp client not ready');
+        }
+
+        const number = entry.chatId.replace(/@.*$/, '');
+        if (this.options.failNumbers.includes(number)) {
+            throw new Error('Mock: number is not registered on WhatsApp');
+        }
+        if (this.options.failRate > 0 && this.random() < this.options.failRate) {
+            throw new Error('Mock: simulated send failure');
+        }
+
+        const id = `true_${entry.chatId}_MOCK${++this.counter}`;
+        const timestamp = Math.floor(Date.now() / 1000);
+        this.sent.push({ id, timestamp, ...entry });
+
+        // Walk the ack ladder: 1 server, 2 device, 3 read, 4 played
+        for (let ack = 1; ack <= this.options.ackLevel; ack++) {
+            this.later(this.options.ackDelay * ack, () => this.simulateAck(id, ack));
+        }
+
+        return { id, timestamp };
+    }
+
+    later(ms, fn) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            fn();
+        }, ms);
+        this.timers.add(timer);
+    }
+}
+
+// Small seeded PRNG so simulated failures are reproducible between runs
+function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = MockTransport;
@@ -0,0 +1,153 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const qrcode = require('qrcode');
+
+// Transport driver backed by whatsapp-web.js (real phone + Chromium)
+class WhatsAppWebTransport extends EventEmitter {
+    constructor({ clientId }) {
+        super();
+        this.clientId = clientId;
+        this.client = null;
+        this.ready = false;
+        this.qr = null;
+    }
+
+    async connect() {
+        // Reconnecting: close the old client first, or its browser, session lock and
+        // listeners stay alive next to the new one
+        if (this.client) {
+            this.client.removeAllListeners();
+            await this.client.destroy().catch(error => console.error(`Error closing WhatsApp client ${this.clientId}:`, error.message));
+            this.ready = false;
+            this.qr = null;
+        }
+
+        this.client = new Client({
+            authStrategy: new LocalAuth({
+                clientId: this.clientId
+            }),
+            puppeteer: {
+                headless: true,
+                args: [
+                    '--no-sandbox',
+                    '--disable-setuid-sandbox',
+                    '--disable-dev-shm-usage',
+                    '--disable-accelerated-2d-canvas',
+                    '--no-first-run',
+                    '--no-zygote',
+                    '--single-process',
+                    '--disable-gpu'
+                ]
+            }
+        });
+
+        this.client.on('qr', async (qr) => {
+            this.qr = await qrcode.toDataURL(qr);
+            this.emit('qr', this.qr);
+        });
+
+        this.client.on('ready', () => {
+            this.ready = true;
+            this.qr = null;
+            this.emit('ready');
+        });
+
+        this.client.on('authenticated', () => {
+            this.emit('authenticated');
+        });
+
+        this.client.on('auth_failure', (msg) => {
+            this.emit('auth_failure', msg);
+        });
+
+        this.client.on('disconnected', (reason) => {
+            this.ready = false;
+            this.emit('disconnected', reason);
+        });
+
+        this.client.on('message_ack', (msg, ack) => {
+            this.emit('ack', { id: msg.id._serialized, ack });
+        });
+
+        // 'message' only fires for messages received from others
+        this.client.on('message', (msg) => {
+            this.emit('inbound', {
+                id: msg.id._serialized,
+                from: msg.from,
+                to: msg.to,
+                body: msg.body,
+                type: msg.type,
+                hasMedia: msg.hasMedia,
+                timestamp: msg.timestamp,
+                senderName: msg._data && msg._data.notifyName
+            });
+        });
+
+        return this.client.initialize();
+    }
+
+    status() {
+        return { ready: this.ready, qr: this.qr };
+    }
+
+    async sendText(chatId, text) {
+        this.assertReady();
+        const sent = await this.client.sendMessage(chatId, text);
+        return { id: sent.id._serialized, timestamp: sent.timestamp };
+    }
+
+    // media: { url } | { path } | { mimetype, data (base64), filename }
+    async sendMedia(chatId, media, options = {}) {
+        this.assertReady();
+        const sent = await this.client.sendMessage(chatId, await toMessageMedia(media), {
+            caption: options.caption
+        });
+        return { id: sent.id._serialized, timestamp: sent.timestamp };
+    }
+
+    async sendSeen(chatId) {
+        this.assertReady();
+        await this.client.sendSeen(chatId);
+    }
+
+    async logout() {
+        if (this.client) {
+            await this.client.logout();
+        }
+        this.ready = false;
+    }
+
+    async destroy() {
+        if (this.client) {
+            await this.client.destroy();
+        }
+        this.ready = false;
+    }
+
+    // Remove the LocalAuth session folder so the next connect asks for a new QR
+    async clearSession() {
+        await fs.promises.rm(path.resolve('.wwebjs_auth', `session-${this.clientId}`), {
+            recursive: true,
+            force: true
+        });
+    }
+
+    assertReady() {
+        if (!this.ready) {
+            throw new Error('WhatsApp client not ready');
+        }
+    }
+}
+
+async function toMessageMedia(media) {
+    if (media instanceof MessageMedia) return media;
+    if (media.data) return new MessageMedia(media.mimetype, media.data, media.filename);
+    const loaded = media.path ? MessageMedia.fromFilePath(media.path) : await MessageMedia.fromUrl(media.url);
+    // Documents show this name to the recipient
+    if (media.filename) loaded.filename = media.filename;
+    return loaded;
+}
+
+module.exports = WhatsAppWebTransport;
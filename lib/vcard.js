@@ -0,0 +1,168 @@
+// vCard 3.0 (RFC 2426) and 4.0 (RFC 6350) for contacts.
+//
+// Custom fields are written as X-WBS-FIELD;NAME=<key>:<value> so they survive a round trip.
+// Reading also accepts 2.1 cards (bare TYPE parameters, quoted-printable values) as exported
+// by older phones, and maps ORG, TITLE, NOTE and BDAY to custom fields.
+
+const VERSIONS = ['3.0', '4.0'];
+
+// Custom fields for standard properties we have no column for
+const PROPERTY_FIELDS = { ORG: 'company', TITLE: 'title', NOTE: 'note', BDAY: 'birthday' };
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/,/g, '\\,')
+        .replace(/;/g, '\\;');
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\,;nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+function fold(line) {
+    const lines = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > 75) {
+            lines.push(current);
+            current = ' ';
+            bytes = 1;
+        }
+        current += char;
+        bytes += size;
+    }
+    lines.push(current);
+    return lines.join('\r\n');
+}
+
+// One contact ({ name, phone, email, tags: [], custom_fields: {} }) as a vCard
+function format(contact, version = '3.0') {
+    const v4 = version === '4.0';
+    const name = contact.name || contact.phone || '';
+    const lines = ['BEGIN:VCARD', `VERSION:${v4 ? '4.0' : '3.0'}`, `FN:${escapeText(name)}`, `N:;${escapeText(name)};;;`];
+
+    if (contact.phone) {
+        lines.push(v4 ? `TEL;TYPE=cell;VALUE=uri:tel:${contact.phone}` : `TEL;TYPE=CELL:${contact.phone}`);
+    }
+    if (contact.email) {
+        lines.push(v4 ? `EMAIL:${escapeText(contact.email)}` : `EMAIL;TYPE=INTERNET:${escapeText(contact.email)}`);
+    }
+    if (contact.tags && contact.tags.length) {
+        lines.push(`CATEGORIES:${contact.tags.map(escapeText).join(',')}`);
+    }
+    for (const [key, value] of Object.entries(contact.custom_fields || {})) {
+        if (value === null || value === undefined || value === '') continue;
+        lines.push(`X-WBS-FIELD;NAME="${String(key).replace(/"/g, '')}":${escapeText(value)}`);
+    }
+    lines.push('END:VCARD');
+
+    return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+function decodeQuotedPrintable(value, charset) {
+    const bytes = [];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '=' && /^[0-9A-F]{2}$/i.test(value.substr(i + 1, 2))) {
+            bytes.push(parseInt(value.substr(i + 1, 2), 16));
+            i += 2;
+        } else {
+            bytes.push(...Buffer.from(value[i]));
+        }
+    }
+    return Buffer.from(bytes).toString(/^utf-?8$/i.test(charset || 'utf-8') ? 'utf8' : 'latin1');
+}
+
+// Unfold continuation lines; quoted-printable values continue after a trailing "="
+function logicalLines(text) {
+    const lines = [];
+    for (const line of text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/)) {
+        const previous = lines[lines.length - 1];
+        if (previous !== undefined && /QUOTED-PRINTABLE/i.test(previous.split(':')[0]) && previous.endsWith('=')) {
+            lines[lines.length - 1] = previous.slice(0, -1) + line;
+        } else {
+            lines.push(line);
+        }
+    }
+    return lines;
+}
+
+function parseLine(line) {
+    const match = line.match(/^(?:[\w-]+\.)?([\w-]+)((?:;(?:[^:";]|"[^"]*")*)*):(.*)$/);
+    if (!match) return null;
+
+    const params = {};
+    for (const param of match[2].split(';').slice(1)) {
+        const [key, ...rest] = param.split('=');
+        const name = rest.length ? key.toUpperCase() : 'TYPE';
+        const value = (rest.length ? rest.join('=') : key).replace(/^"|"$/g, '');
+        // TYPE=home,cell lists; names and types are case-insensitive, other values are kept
+        const values = name === 'TYPE' ? value.toLowerCase().split(',') : [name === 'ENCODING' ? value.toLowerCase() : value];
+        params[name] = [...(params[name] || []), ...values];
+    }
+
+    let value = match[3];
+    if ((params.ENCODING || []).includes('quoted-printable')) {
+        value = decodeQuotedPrintable(value, (params.CHARSET || [])[0]);
+    }
+    return { name: match[1].toUpperCase(), params, value };
+}
+
+// All cards in a .vcf file as { name, phone, email, tags, custom }
+function parse(text) {
+    const cards = [];
+    let card = null;
+
+    for (const line of logicalLines(String(text).replace(/^\uFEFF/, ''))) {
+        const property = parseLine(line.trim());
+        if (!property) continue;
+        const { name, params, value } = property;
+
+        if (name === 'BEGIN' && /^vcard$/i.test(value)) {
+            card = { name: '', phones: [], email: '', tags: [], custom: {} };
+        } else if (name === 'END' && card) {
+            const mobile = card.phones.find(phone => phone.types.some(type => ['cell', 'mobile'].includes(type)))
+                || card.phones.find(phone => phone.types.includes('pref'))
+                || card.phones[0];
+            cards.push({
+                name: card.name || card.fallbackName || '',
+                phone: mobile ? mobile.number : '',
+                email: card.email,
+                tags: card.tags,
+                custom: card.custom
+            });
+            card = null;
+        } else if (card) {
+            const types = params.TYPE || [];
+            if (name === 'FN') {
+                card.name = unescapeText(value).trim();
+            } else if (name === 'N') {
+                const [family, given, middle] = value.split(/(?<!\\);/).map(unescapeText);
+                card.fallbackName = [given, middle, family].filter(Boolean).join(' ').trim();
+            } else if (name === 'TEL') {
+                card.phones.push({ number: value.replace(/^tel:/i, '').trim(), types: params.PREF ? [...types, 'pref'] : types });
+            } else if (name === 'EMAIL' && !card.email) {
+                card.email = unescapeText(value).trim();
+            } else if (name === 'CATEGORIES') {
+                card.tags.push(...value.split(/(?<!\\),/).map(tag => unescapeText(tag).trim()).filter(Boolean));
+            } else if (name === 'X-WBS-FIELD' && params.NAME) {
+                card.custom[params.NAME[0]] = unescapeText(value);
+            } else if (PROPERTY_FIELDS[name]) {
+                card.custom[PROPERTY_FIELDS[name]] = unescapeText(value).replace(/;+$/, '').replace(/;/g, ', ');
+            }
+        }
+    }
+
+    return cards;
+}
+
+function isVCard(text) {
+    return /^\uFEFF?\s*BEGIN:VCARD/i.test(text);
+}
+
+module.exports = { VERSIONS, format, parse, isVCard };
@@ -0,0 +1,319 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { run, get, all, parseJSON } = require('./db');
+
+// Subscribable events. Evolution API names, plus our own for failures and campaigns.
+// The payload `event` field is the dotted lower-case form, e.g. MESSAGES_UPSERT -> messages.upsert
+const EVENTS = [
+    'QRCODE_UPDATED',
+    'CONNECTION_UPDATE',
+    'MESSAGES_UPSERT',
+    'MESSAGES_UPDATE',
+    'SEND_MESSAGE',
+    'MESSAGES_FAILED',
+    'CAMPAIGN_STARTED',
+    'CAMPAIGN_PAUSED',
+    'CAMPAIGN_RESUMED',
+    'CAMPAIGN_CANCELLED',
+    'CAMPAIGN_COMPLETED'
+];
+
+// whatsapp-web.js ack -> Evolution message status
+const ACK_STATUS = {
+    '-1': 'ERROR',
+    0: 'PENDING',
+    1: 'SERVER_ACK',
+    2: 'DELIVERY_ACK',
+    3: 'READ',
+    4: 'PLAYED'
+};
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function eventName(event) {
+    return event.toLowerCase().replace(/_/g, '.');
+}
+
+// HMAC-SHA256 of the raw request body with the webhook's secret
+function sign(secret, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+function publicWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        events: parseJSON(row.events, []),
+        instance: row.instance,
+        secret: row.secret,
+        active: Boolean(row.active),
+        created_at: row.created_at
+    };
+}
+
+function parseFields(input) {
+    const fields = {};
+
+    if (input.url !== undefined) {
+        let url;
+        try {
+            url = new URL(input.url);
+        } catch (error) {
+            throw new WebhookError('A valid http(s) URL is required');
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) throw new WebhookError('A valid http(s) URL is required');
+        fields.url = url.toString();
+    }
+    if (input.events !== undefined) {
+        const list = typeof input.events === 'string' ? parseJSON(input.events, []) : input.events;
+        if (!Array.isArray(list) || list.some(event => !EVENTS.includes(event))) {
+            throw new WebhookError(`events must be a list of: ${EVENTS.join(', ')}`);
+        }
+        fields.events = JSON.stringify(list);
+    }
+    if (input.instance !== undefined) {
+        fields.instance = input.instance || null;
+    }
+    if (input.secret !== undefined && input.secret !== '') {
+        fields.secret = String(input.secret);
+    }
+    if (input.active !== undefined) {
+        fields.active = input.active ? 1 : 0;
+    }
+
+    return fields;
+}
+
+// Delivers events to subscribed URLs.
+//
+// Every delivery is stored before it is attempted, so nothing is lost on a restart; failed
+// deliveries are retried with exponential backoff until maxAttempts, and any delivery can be
+// replayed from the log.
+class WebhookDispatcher {
+    constructor({ db, options = {} }) {
+        this.db = db;
+        this.options = {
+            timeout: 10000,
+            maxAttempts: 6,
+            backoffBase: 30000,
+            pollInterval: 10000,
+            ...options
+        };
+        this.inFlight = new Set();
+        this.timer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.retryDue(), this.options.pollInterval);
+        this.retryDue();
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    // ---- subscriptions ----
+
+    async create(input) {
+        if (!input.url) throw new WebhookError('A valid http(s) URL is required');
+
+        const fields = {
+            events: '[]',
+            instance: null,
+            secret: crypto.randomBytes(24).toString('hex'),
+            active: 1,
+            ...parseFields(input)
+        };
+        const { lastID } = await run(this.db,
+            `INSERT INTO webhooks (url, events, instance, secret, active) VALUES (?, ?, ?, ?, ?)`,
+            [fields.url, fields.events, fields.instance, fields.secret, fields.active]
+        );
+        return this.find(lastID);
+    }
+
+    async update(id, input) {
+        const fields = parseFields(input);
+        const columns = Object.keys(fields);
+
+        if (columns.length) {
+            await run(this.db,
+                `UPDATE webhooks SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+                [...columns.map(column => fields[column]), id]
+            );
+        }
+        return this.find(id);
+    }
+
+    async remove(id) {
+        await run(this.db, 'DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+        const { changes } = await run(this.db, 'DELETE FROM webhooks WHERE id = ?', [id]);
+        if (!changes) throw new WebhookError('Webhook not found', 404);
+    }
+
+    async find(id) {
+        const row = await get(this.db, 'SELECT * FROM webhooks WHERE id = ?', [id]);
+        if (!row) throw new WebhookError('Webhook not found', 404);
+        return publicWebhook(row);
+    }
+
+    async list() {
+        const rows = await all(this.db,
+            `SELECT w.*,
+                 (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') as failed_count
+             FROM webhooks w ORDER BY w.created_at`
+        );
+        return rows.map(row => ({ ...publicWebhook(row), failed_count: row.failed_count }));
+    }
+
+    // ---- delivery log ----
+
+    deliveries(webhookId, { status, limit = 50 } = {}) {
+        const pageSize = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+        return all(this.db,
+            `SELECT id, webhook_id, event, instance, status, attempts, next_attempt_at, response_status,
+                    error, replay_of, created_at, delivered_at
+             FROM webhook_deliveries
+             WHERE webhook_id = ? ${status ? 'AND status = ?' : ''}
+             ORDER BY id DESC LIMIT ?`,
+            status ? [webhookId, status, pageSize] : [webhookId, pageSize]
+        );
+    }
+
+    async delivery(id) {
+        const row = await get(this.db, 'SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+        if (!row) throw new WebhookError('Delivery not found', 404);
+        return { ...row, payload: parseJSON(row.payload, null) };
+    }
+
+    // Send a stored delivery again as a new log entry
+    async replay(id) {
+        const original = await this.delivery(id);
+        const { lastID } = await run(this.db,
+            `INSERT INTO webhook_deliveries (webhook_id, event, instance, payload, replay_of)
+             VALUES (?, ?, ?, ?, ?)`,
+            [original.webhook_id, original.event, original.instance, JSON.stringify(original.payload), original.id]
+        );
+        await this.attempt(lastID);
+        return this.delivery(lastID);
+    }
+
+    // ---- dispatching ----
+
+    // Queue an event for every active webhook subscribed to it. Events without an instance
+    // (campaign events) go to every subscriber regardless of its instance filter.
+    async dispatch(event, instance, data) {
+        const webhooks = await all(this.db, 'SELECT * FROM webhooks WHERE active = 1');
+        const subscribed = webhooks.filter(webhook => {
+            const events = parseJSON(webhook.events, []);
+            return (!events.length || events.includes(event))
+                && (!webhook.instance || !instance || webhook.instance === instance);
+        });
+
+        for (const webhook of subscribed) {
+            const payload = {
+                event: eventName(event),
+                instance,
+                data,
+                destination: webhook.url,
+                date_time: new Date().toISOString()
+            };
+            const { lastID } = await run(this.db,
+                `INSERT INTO webhook_deliveries (webhook_id, event, instance, payload) VALUES (?, ?, ?, ?)`,
+                [webhook.id, event, instance, JSON.stringify(payload)]
+            );
+            this.attempt(lastID).catch(error => console.error('Webhook delivery error:', error));
+        }
+    }
+
+    // Fire-and-forget variant for event handlers
+    emit(event, instance, data) {
+        this.dispatch(event, instance, data).catch(error => console.error('Webhook dispatch error:', error));
+    }
+
+    async attempt(deliveryId) {
+        if (this.inFlight.has(deliveryId)) return;
+        this.inFlight.add(deliveryId);
+
+        try {
+            const delivery = await get(this.db,
+                `SELECT d.*, w.url, w.secret FROM webhook_deliveries d
+                 JOIN webhooks w ON w.id = d.webhook_id
+                 WHERE d.id = ? AND d.status = 'pending'
+                 AND (d.next_attempt_at IS NULL OR d.next_attempt_at <= datetime('now'))`,
+                [deliveryId]
+            );
+            if (!delivery) return;
+
+            const body = delivery.payload;
+            const attempts = delivery.attempts + 1;
+            let responseStatus = null;
+            let error = null;
+
+            try {
+                const response = await axios.post(delivery.url, body, {
+                    timeout: this.options.timeout,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Webhook-Event': eventName(delivery.event),
+                        'X-Webhook-Delivery': String(delivery.id),
+                        'X-Webhook-Signature': sign(delivery.secret, body)
+                    },
+                    // Send the stored JSON byte-for-byte so the signature matches
+                    transformRequest: [(data) => data],
+                    validateStatus: () => true
+                });
+                responseStatus = response.status;
+                if (response.status < 200 || response.status >= 300) {
+                    error = `HTTP ${response.status}`;
+                }
+            } catch (requestError) {
+                error = requestError.message;
+            }
+
+            if (!error) {
+                await run(this.db,
+                    `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?,
+                         error = NULL, next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+                     WHERE id = ?`,
+                    [attempts, responseStatus, deliveryId]
+                );
+                return;
+            }
+
+            // 30s, 1m, 2m, 4m, ... by default
+            const retry = attempts < this.options.maxAttempts;
+            const backoffSeconds = Math.round(this.options.backoffBase * Math.pow(2, attempts - 1) / 1000);
+            await run(this.db,
+                `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?,
+                     next_attempt_at = CASE WHEN ? THEN datetime('now', '+' || ? || ' seconds') ELSE NULL END
+                 WHERE id = ?`,
+                [retry ? 'pending' : 'failed', attempts, responseStatus, error, retry ? 1 : 0, backoffSeconds, deliveryId]
+            );
+        } finally {
+            this.inFlight.delete(deliveryId);
+        }
+    }
+
+    // Pending deliveries whose backoff has passed (and any left over from before a restart)
+    async retryDue() {
+        try {
+            const due = await all(this.db,
+                `SELECT id FROM webhook_deliveries
+                 WHERE status = 'pending' AND (next_attempt_at IS NULL OR next_attempt_at <= datetime('now'))
+                 ORDER BY id LIMIT 50`
+            );
+            for (const delivery of due) {
+                await this.attempt(delivery.id);
+            }
+        } catch (error) {
+            console.error('Webhook retry error:', error);
+        }
+    }
+}
+
+module.exports = { WebhookDispatcher, WebhookError, EVENTS, ACK_STATUS, sign };
@@ -1,23 +1,80 @@
-const socket = io();
+let socket = null;
 
 // Global state
+let currentUser = null;
 let contacts = [];
 let campaigns = [];
 let templates = [];
+let instances = [];
+let defaultInstance = null;
 let selectedContacts = [];
+let viewedCampaignId = null;
+let conversations = [];
+let activeConversation = null;
+let threadBefore = null;
+let webhooks = [];
+let webhookEvents = [];
+let viewedWebhookId = null;
+let segments = [];
+let editingSegmentId = null;
+let currentImport = null;
+let schedules = [];
+let sequences = [];
+let viewedSequenceId = null;
+let enrollingSequenceId = null;
+let autoReplies = [];
+let mediaLibrary = [];
 
 // Initialize app
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+    document.getElementById('loginForm').addEventListener('submit', handleLogin);
+
+    if (!getTokens()) {
+        showLoginScreen();
+        return;
+    }
+
+    try {
+        const response = await apiFetch('/api/auth/me');
+        if (response.ok) startApp(await response.json());
+    } catch (error) {
+        console.error('Error restoring session:', error);
+        showLoginScreen();
+    }
+});
+
+function startApp(user) {
+    currentUser = user;
+    document.body.classList.remove('logged-out');
+    document.body.dataset.role = user.role;
+    document.getElementById('currentUser').textContent = `${user.name || user.email} (${user.role})`;
+
     initializeApp();
     setupEventListeners();
+    connectSocket();
     checkWhatsAppStatus();
-});
+    if (user.role === 'admin') {
+        loadUsers();
+        loadApiKeys();
+        loadWebhooks();
+    }
+}
 
 function initializeApp() {
     loadContacts();
     loadCampaigns();
     loadTemplates();
     loadAnalytics();
+    loadConversations();
+    loadSuppressions();
+    loadOptOutSettings();
+    loadSegments();
+    loadPhoneReport();
+    loadSchedules();
+    loadSequences();
+    loadAutoReplies();
+    loadMediaLibrary();
+    populateTimezoneSelects();
 }
 
 function setupEventListeners() {
@@ -32,127 +89,2697 @@ function setupEventListeners() {
     // Forms
     document.getElementById('addContactForm').addEventListener('submit', handleAddContact);
     document.getElementById('importForm').addEventListener('submit', handleImportContacts);
+    document.getElementById('importMappingForm').addEventListener('submit', handleCommitImport);
+    document.getElementById('exportForm').addEventListener('submit', handleExportContacts);
     document.getElementById('createCampaignForm').addEventListener('submit', handleCreateCampaign);
+    
+    // Live campaign preview
+    const campaignForm = document.getElementById('createCampaignForm');
+    campaignForm.elements.message.addEventListener('input', scheduleCampaignPreview);
+    campaignForm.elements.media.addEventListener('change', scheduleCampaignPreview);
+    document.getElementById('campaignContactSelector').addEventListener('change', scheduleCampaignPreview);
+    document.getElementById('campaignSegmentSelect').addEventListener('change', scheduleCampaignPreview);
+    document.getElementById('recurringGroup').addEventListener('input', scheduleRecurringPreview);
+    document.getElementById('recurringGroup').addEventListener('change', scheduleRecurringPreview);
+    document.getElementById('segmentForm').addEventListener('submit', handleSaveSegment);
+    document.getElementById('segmentForm').addEventListener('input', scheduleSegmentPreview);
+    document.getElementById('segmentForm').addEventListener('change', scheduleSegmentPreview);
+    document.getElementById('sequenceForm').addEventListener('submit', handleCreateSequence);
+    document.getElementById('enrollSequenceForm').addEventListener('submit', handleEnrollSequence);
+    document.getElementById('autoReplyForm').addEventListener('submit', handleCreateAutoReply);
+    document.getElementById('autoReplyTestForm').addEventListener('submit', handleTestAutoReply);
     document.getElementById('createTemplateForm').addEventListener('submit', handleCreateTemplate);
+    document.getElementById('mediaUploadForm').addEventListener('submit', handleUploadMedia);
+    document.getElementById('replyForm').addEventListener('submit', handleReply);
+    document.getElementById('optOutSettingsForm').addEventListener('submit', handleSaveOptOutSettings);
+    document.getElementById('createApiKeyForm').addEventListener('submit', handleCreateApiKey);
+    document.getElementById('createWebhookForm').addEventListener('submit', handleCreateWebhook);
 
-    // Logout button
+    // Logout buttons
     document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+    document.getElementById('signOutBtn').addEventListener('click', handleSignOut);
+}
+
+// Socket connection; the token is read on every (re)connect so refreshed tokens are used
+function connectSocket() {
+    socket = io({ auth: (cb) => cb({ token: (getTokens() || {}).accessToken }) });
+
+    socket.on('connect_error', async (error) => {
+        if (await refreshTokens()) {
+            setTimeout(() => socket.connect(), 1000);
+        } else {
+            console.error('Socket connection refused:', error.message);
+        }
+    });
 
     // Socket events
-    socket.on('qr', (qrCode) => {
-        showQRCode(qrCode);
+    socket.on('qr', ({ instance, qr }) => {
+        showQRCode(qr, instance);
+        loadInstances();
     });
 
-    socket.on('ready', () => {
-        updateConnectionStatus(true);
+    socket.on('ready', ({ instance }) => {
+        if (instance === defaultInstance) updateConnectionStatus(true);
         closeModal('qrModal');
+        loadInstances();
     });
 
-    socket.on('authenticated', () => {
-        console.log('WhatsApp authenticated');
+    socket.on('authenticated', ({ instance }) => {
+        console.log(`WhatsApp authenticated (${instance})`);
     });
 
-    socket.on('disconnected', () => {
-        updateConnectionStatus(false);
+    socket.on('disconnected', ({ instance }) => {
+        if (instance === defaultInstance) updateConnectionStatus(false);
+        loadInstances();
     });
 
     socket.on('message_sent', (data) => {
         updateCampaignProgress(data);
     });
+
+    socket.on('campaign_progress', (data) => {
+        updateCampaignProgress(data);
+    });
+
+    socket.on('message_failed', (data) => {
+        const campaign = campaigns.find(c => c.id === data.campaignId);
+        if (campaign) {
+            campaign.failed_messages = (campaign.failed_messages || 0) + 1;
+            renderCampaigns();
+        }
+        if (data.campaignId === viewedCampaignId) viewCampaign(viewedCampaignId);
+    });
+
+    ['campaign_paused', 'campaign_resumed', 'campaign_cancelled', 'campaign_completed', 'campaign_requeued'].forEach(event => {
+        socket.on(event, () => loadCampaigns());
+    });
+
+    socket.on('conversation_updated', (conversation) => {
+        loadConversations();
+        if (activeConversation && conversation.id === activeConversation.id) {
+            openConversation(conversation.id);
+        }
+    });
+
+    socket.on('contact_opted_out', () => {
+        loadSuppressions();
+    });
+
+    socket.on('schedule_run', () => {
+        loadSchedules();
+        loadCampaigns();
+    });
+
+    socket.on('sequence_progress', (data) => {
+        loadSequences();
+        if (data.sequenceIds.includes(viewedSequenceId)) viewSequence(viewedSequenceId);
+    });
+
+    socket.on('operator_notification', (data) => {
+        showNotification(`${data.message || `Auto-reply "${data.rule}"`}: ${data.name || data.phone} wrote "${data.body}"`, 'info');
+        loadAutoReplies();
+    });
+
+    socket.on('message_ack', (data) => {
+        if (data.campaignId === viewedCampaignId) viewCampaign(viewedCampaignId);
+    });
+
+    socket.on('ab_winner', (data) => {
+        loadCampaigns();
+        if (data.campaignId === viewedCampaignId) viewCampaign(viewedCampaignId);
+        if (data.automatic) {
+            showNotification(`A/B test of campaign ${data.campaignId} decided; sending the winner to ${data.released} recipient(s)`, 'info');
+        }
+    });
 }
 
-// Tab switching
-function switchTab(tabName) {
-    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+// ==================== AUTH ====================
+
+function getTokens() {
+    try {
+        return JSON.parse(localStorage.getItem('authTokens'));
+    } catch (error) {
+        return null;
+    }
+}
+
+function setTokens(tokens) {
+    if (tokens) {
+        localStorage.setItem('authTokens', JSON.stringify({
+            accessToken: tokens.accessToken,
+            refreshToken: tokens.refreshToken
+        }));
+    } else {
+        localStorage.removeItem('authTokens');
+    }
+}
+
+// Concurrent 401s share one refresh request
+let refreshing = null;
+
+function refreshTokens() {
+    const tokens = getTokens();
+    if (!tokens) return Promise.resolve(false);
+
+    if (!refreshing) {
+        refreshing = fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken: tokens.refreshToken })
+        })
+            .then(async response => {
+                if (!response.ok) {
+                    setTokens(null);
+                    return false;
+                }
+                setTokens(await response.json());
+                return true;
+            })
+            .catch(() => false)
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+// fetch() with the access token; refreshes it once on 401 and falls back to the login screen
+async function apiFetch(url, options = {}, retried = false) {
+    const tokens = getTokens();
+    const headers = { ...(options.headers || {}) };
+    if (tokens) headers.Authorization = `Bearer ${tokens.accessToken}`;
+
+    const response = await fetch(url, { ...options, headers });
+
+    if (response.status === 401) {
+        if (!retried && await refreshTokens()) {
+            return apiFetch(url, options, true);
+        }
+        showLoginScreen();
+    } else if (response.status === 403) {
+        showNotification('You do not have permission to do this', 'error');
+    }
+    return response;
+}
+
+function showLoginScreen() {
+    document.body.classList.add('logged-out');
+    if (socket) socket.disconnect();
+}
+
+async function handleLogin(e) {
+    e.preventDefault();
     
-    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
-    document.getElementById(tabName).classList.add('active');
+    const formData = new FormData(e.target);
+    const errorEl = document.getElementById('loginError');
+    errorEl.textContent = '';
+    
+    try {
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                email: formData.get('email'),
+                password: formData.get('password')
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            errorEl.textContent = result.error;
+            return;
+        }
+        
+        setTokens(result);
+        // Reload so every view starts from a clean state as this user
+        window.location.reload();
+    } catch (error) {
+        errorEl.textContent = 'Error signing in: ' + error.message;
+    }
 }
 
-// Check WhatsApp status
-async function checkWhatsAppStatus() {
+async function handleSignOut() {
     try {
-        const response = await fetch('/api/status');
-        const data = await response.json();
+        await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    setTokens(null);
+    window.location.reload();
+}
+
+// ==================== USERS ====================
+
+async function loadUsers() {
+    try {
+        const response = await apiFetch('/api/users');
+        const users = await response.json();
+        renderUsers(users);
+    } catch (error) {
+        console.error('Error loading users:', error);
+    }
+}
+
+function renderUsers(users) {
+    const tbody = document.getElementById('usersList');
+    
+    tbody.innerHTML = users.map(user => `
+        <tr>
+            <td>${escapeHtml(user.name) || '-'}</td>
+            <td>${escapeHtml(user.email)}</td>
+            <td>
+                <select onchange="updateUser(${user.id}, { role: this.value })" ${user.id === currentUser.id ? 'disabled' : ''}>
+                    ${['admin', 'manager', 'viewer'].map(role => `
+                        <option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>
+                    `).join('')}
+                </select>
+            </td>
+            <td>${user.last_login_at ? formatDateTime(user.last_login_at) : 'Never'}</td>
+            <td>
+                ${user.id !== currentUser.id ? `
+                    <button class="btn btn-sm btn-secondary" onclick="updateUser(${user.id}, { active: ${!user.active} })">
+                        ${user.active ? 'Disable' : 'Enable'}
+                    </button>
+                    <button class="btn btn-sm btn-danger" onclick="deleteUser(${user.id})">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function createUser() {
+    const email = prompt('Email');
+    if (!email) return;
+    const name = prompt('Name (optional)') || '';
+    const role = prompt('Role (admin, manager or viewer)', 'viewer');
+    if (!role) return;
+    const password = prompt('Initial password (at least 8 characters)');
+    if (!password) return;
+    
+    try {
+        const response = await apiFetch('/api/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, name, role, password })
+        });
+        const result = await response.json();
         
-        updateConnectionStatus(data.ready);
+        if (!response.ok) {
+            showNotification('Error creating user: ' + result.error, 'error');
+            return;
+        }
+        showNotification('User created', 'success');
+        loadUsers();
+    } catch (error) {
+        showNotification('Error creating user: ' + error.message, 'error');
+    }
+}
+
+async function updateUser(id, changes) {
+    try {
+        const response = await apiFetch(`/api/users/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes)
+        });
+        const result = await response.json();
         
-        if (!data.ready && data.qr) {
-            showQRCode(data.qr);
+        if (!response.ok) {
+            showNotification('Error updating user: ' + result.error, 'error');
         }
+        loadUsers();
     } catch (error) {
-        console.error('Error checking status:', error);
+        showNotification('Error updating user: ' + error.message, 'error');
     }
 }
 
-function updateConnectionStatus(isConnected) {
-    const indicator = document.getElementById('statusIndicator');
-    const text = document.getElementById('statusText');
-    const logoutBtn = document.getElementById('logoutBtn');
+async function deleteUser(id) {
+    if (!confirm('Delete this user?')) return;
     
-    if (isConnected) {
-        indicator.className = 'status-dot connected';
-        text.textContent = 'Connected';
-        logoutBtn.style.display = 'block';
-    } else {
-        indicator.className = 'status-dot disconnected';
-        text.textContent = 'Disconnected';
-        logoutBtn.style.display = 'none';
+    try {
+        await apiFetch(`/api/users/${id}`, { method: 'DELETE' });
+        loadUsers();
+    } catch (error) {
+        showNotification('Error deleting user: ' + error.message, 'error');
     }
 }
 
-function showQRCode(qrCode) {
-    const modal = document.getElementById('qrModal');
-    const qrContainer = document.getElementById('qrCode');
-    qrContainer.innerHTML = `<img src="${qrCode}" alt="QR Code">`;
-    modal.style.display = 'block';
+// ==================== API KEYS ====================
+
+async function loadApiKeys() {
+    try {
+        const response = await apiFetch('/api/api-keys');
+        const keys = await response.json();
+        renderApiKeys(keys);
+    } catch (error) {
+        console.error('Error loading API keys:', error);
+    }
 }
 
-async function handleLogout() {
-    if (!confirm('Are you sure you want to logout WhatsApp?')) return;
+function renderApiKeys(keys) {
+    const tbody = document.getElementById('apiKeysList');
+    
+    if (keys.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center">No API keys</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = keys.map(key => `
+        <tr class="${key.revoked_at ? 'text-muted' : ''}">
+            <td>${escapeHtml(key.name)}</td>
+            <td><code>${key.prefix}…</code></td>
+            <td>${key.instances.length ? key.instances.map(escapeHtml).join(', ') : 'All'}</td>
+            <td>${key.scopes.join(', ')}</td>
+            <td>${key.rate_limit}/min${key.daily_quota ? `, ${key.daily_quota}/day` : ''}</td>
+            <td>${key.used_today}</td>
+            <td>${key.last_used_at ? formatDateTime(key.last_used_at) : 'Never'}</td>
+            <td>
+                ${key.revoked_at ? `Revoked ${formatDateTime(key.revoked_at)}` : `
+                    <button class="btn btn-sm btn-danger" onclick="revokeApiKey(${key.id})">
+                        <i class="fas fa-ban"></i> Revoke
+                    </button>
+                `}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function openCreateApiKeyModal() {
+    const form = document.getElementById('createApiKeyForm');
+    form.reset();
+    form.style.display = 'block';
+    document.getElementById('apiKeyCreated').style.display = 'none';
+    
+    document.getElementById('apiKeyInstanceSelector').innerHTML = instances.map(instance => {
+        const name = instance.instanceName || instance.name;
+        return `
+            <label class="contact-item">
+                <input type="checkbox" class="api-key-instance-checkbox" value="${name}">
+                <span>${name}</span>
+            </label>
+        `;
+    }).join('');
+    
+    document.getElementById('createApiKeyModal').style.display = 'block';
+}
+
+async function handleCreateApiKey(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const selectedInstances = Array.from(document.querySelectorAll('.api-key-instance-checkbox:checked'))
+        .map(cb => cb.value);
     
     try {
-        await fetch('/api/logout', { method: 'POST' });
-        updateConnectionStatus(false);
-        alert('Logged out successfully');
+        const response = await apiFetch('/api/api-keys', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: formData.get('name'),
+                instances: selectedInstances,
+                scopes: formData.getAll('scopes'),
+                rate_limit: formData.get('rate_limit'),
+                daily_quota: formData.get('daily_quota')
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error creating API key: ' + result.error, 'error');
+            return;
+        }
+        
+        // The plain key is only returned once
+        e.target.style.display = 'none';
+        document.getElementById('newApiKey').textContent = result.key;
+        document.getElementById('apiKeyCreated').style.display = 'block';
+        loadApiKeys();
     } catch (error) {
-        alert('Error logging out: ' + error.message);
+        showNotification('Error creating API key: ' + error.message, 'error');
     }
 }
 
-// ==================== CONTACTS ====================
+async function revokeApiKey(id) {
+    if (!confirm('Revoke this API key? Systems using it will stop working immediately.')) return;
+    
+    try {
+        await apiFetch(`/api/api-keys/${id}`, { method: 'DELETE' });
+        loadApiKeys();
+    } catch (error) {
+        showNotification('Error revoking API key: ' + error.message, 'error');
+    }
+}
 
-async function loadContacts() {
+// ==================== WEBHOOKS ====================
+
+async function loadWebhooks() {
+    try {
+        const response = await apiFetch('/api/webhooks');
+        const data = await response.json();
+        webhookEvents = data.events;
+        webhooks = data.webhooks;
+        renderWebhooks();
+    } catch (error) {
+        console.error('Error loading webhooks:', error);
+    }
+}
+
+function renderWebhooks() {
+    const tbody = document.getElementById('webhooksList');
+    
+    if (webhooks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">No webhooks</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = webhooks.map(webhook => `
+        <tr class="${webhook.active ? '' : 'text-muted'}">
+            <td>${escapeHtml(webhook.url)}</td>
+            <td>${webhook.events.length ? webhook.events.join(', ') : 'All'}</td>
+            <td>${webhook.instance ? escapeHtml(webhook.instance) : 'All'}</td>
+            <td>${webhook.failed_count}</td>
+            <td>
+                <button class="btn btn-sm btn-secondary" onclick="viewWebhookDeliveries(${webhook.id})">
+                    <i class="fas fa-history"></i>
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="showWebhookSecret(${webhook.id})">
+                    <i class="fas fa-key"></i>
+                </button>
+                <button class="btn btn-sm btn-secondary" onclick="toggleWebhook(${webhook.id}, ${!webhook.active})">
+                    ${webhook.active ? 'Disable' : 'Enable'}
+                </button>
+                <button class="btn btn-sm btn-danger" onclick="deleteWebhook(${webhook.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function openCreateWebhookModal() {
+    document.getElementById('createWebhookForm').reset();
+    
+    document.getElementById('webhookEventSelector').innerHTML = webhookEvents.map(event => `
+        <label class="contact-item">
+            <input type="checkbox" class="webhook-event-checkbox" value="${event}">
+            <span>${event}</span>
+        </label>
+    `).join('');
+    
+    document.getElementById('webhookInstanceSelect').innerHTML = '<option value="">All instances</option>' +
+        instances.map(instance => {
+            const name = instance.instanceName || instance.name;
+            return `<option value="${name}">${name}</option>`;
+        }).join('');
+    
+    document.getElementById('createWebhookModal').style.display = 'block';
+}
+
+async function handleCreateWebhook(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const events = Array.from(document.querySelectorAll('.webhook-event-checkbox:checked')).map(cb => cb.value);
+    
+    try {
+        const response = await apiFetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                url: formData.get('url'),
+                events,
+                instance: formData.get('instance'),
+                secret: formData.get('secret')
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error creating webhook: ' + result.error, 'error');
+            return;
+        }
+        
+        closeModal('createWebhookModal');
+        showNotification('Webhook created', 'success');
+        loadWebhooks();
+    } catch (error) {
+        showNotification('Error creating webhook: ' + error.message, 'error');
+    }
+}
+
+function showWebhookSecret(id) {
+    const webhook = webhooks.find(w => w.id === id);
+    prompt('Webhook signing secret', webhook.secret);
+}
+
+async function toggleWebhook(id, active) {
+    try {
+        await apiFetch(`/api/webhooks/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active })
+        });
+        loadWebhooks();
+    } catch (error) {
+        showNotification('Error updating webhook: ' + error.message, 'error');
+    }
+}
+
+async function deleteWebhook(id) {
+    if (!confirm('Delete this webhook and its delivery log?')) return;
+    
+    try {
+        await apiFetch(`/api/webhooks/${id}`, { method: 'DELETE' });
+        loadWebhooks();
+    } catch (error) {
+        showNotification('Error deleting webhook: ' + error.message, 'error');
+    }
+}
+
+async function viewWebhookDeliveries(id) {
+    viewedWebhookId = id;
+    document.getElementById('webhookDeliveriesUrl').textContent = webhooks.find(w => w.id === id).url;
+    document.getElementById('webhookDeliveryPayload').style.display = 'none';
+    
+    try {
+        const response = await apiFetch(`/api/webhooks/${id}/deliveries?limit=100`);
+        const deliveries = await response.json();
+        const tbody = document.getElementById('webhookDeliveriesList');
+        
+        tbody.innerHTML = deliveries.length ? deliveries.map(delivery => `
+            <tr>
+                <td>${delivery.id}${delivery.replay_of ? ` <small>(replay of ${delivery.replay_of})</small>` : ''}</td>
+                <td>${delivery.event}</td>
+                <td>${getStatusBadge(delivery.status)}</td>
+                <td>${delivery.attempts}</td>
+                <td>${delivery.response_status || ''} ${escapeHtml(delivery.error) || ''}</td>
+                <td>${formatDateTime(delivery.created_at)}</td>
+                <td>
+                    <button class="btn btn-sm btn-secondary" onclick="showWebhookPayload(${delivery.id})">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    <button class="btn btn-sm btn-primary" onclick="replayWebhookDelivery(${delivery.id})">
+                        <i class="fas fa-redo"></i> Replay
+                    </button>
+                </td>
+            </tr>
+        `).join('') : '<tr><td colspan="7" class="text-center">No deliveries yet</td></tr>';
+        
+        document.getElementById('webhookDeliveriesModal').style.display = 'block';
+    } catch (error) {
+        showNotification('Error loading deliveries: ' + error.message, 'error');
+    }
+}
+
+async function showWebhookPayload(deliveryId) {
+    try {
+        const response = await apiFetch(`/api/webhooks/deliveries/${deliveryId}`);
+        const delivery = await response.json();
+        const pre = document.getElementById('webhookDeliveryPayload');
+        pre.textContent = JSON.stringify(delivery.payload, null, 2);
+        pre.style.display = 'block';
+    } catch (error) {
+        showNotification('Error loading delivery: ' + error.message, 'error');
+    }
+}
+
+async function replayWebhookDelivery(deliveryId) {
+    try {
+        const response = await apiFetch(`/api/webhooks/deliveries/${deliveryId}/replay`, { method: 'POST' });
+        const delivery = await response.json();
+        showNotification(`Replayed as delivery #${delivery.id}: ${delivery.status}`, delivery.status === 'delivered' ? 'success' : 'error');
+        viewWebhookDeliveries(viewedWebhookId);
+        loadWebhooks();
+    } catch (error) {
+        showNotification('Error replaying delivery: ' + error.message, 'error');
+    }
+}
+
+// Tab switching
+function switchTab(tabName) {
+    document.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+    
+    document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
+    document.getElementById(tabName).classList.add('active');
+}
+
+// Check WhatsApp status
+async function checkWhatsAppStatus() {
+    try {
+        const response = await apiFetch('/api/status');
+        const data = await response.json();
+        
+        defaultInstance = data.instance;
+        instances = data.instances || [];
+        renderInstances();
+        updateConnectionStatus(data.ready);
+        
+        if (!data.ready && data.qr) {
+            showQRCode(data.qr, data.instance);
+        }
+    } catch (error) {
+        console.error('Error checking status:', error);
+    }
+}
+
+function updateConnectionStatus(isConnected) {
+    const indicator = document.getElementById('statusIndicator');
+    const text = document.getElementById('statusText');
+    const logoutBtn = document.getElementById('logoutBtn');
+    
+    if (isConnected) {
+        indicator.className = 'status-dot connected';
+        text.textContent = 'Connected';
+        logoutBtn.style.display = 'block';
+    } else {
+        indicator.className = 'status-dot disconnected';
+        text.textContent = 'Disconnected';
+        logoutBtn.style.display = 'none';
+    }
+}
+
+function showQRCode(qrCode, instance) {
+    const modal = document.getElementById('qrModal');
+    const qrContainer = document.getElementById('qrCode');
+    qrContainer.innerHTML = `<img src="${qrCode}" alt="QR Code">`;
+    document.getElementById('qrInstanceName').textContent = instance || '';
+    modal.style.display = 'block';
+}
+
+async function handleLogout() {
+    if (!confirm('Are you sure you want to logout WhatsApp?')) return;
+    
+    try {
+        await apiFetch('/api/logout', { method: 'POST' });
+        updateConnectionStatus(false);
+        alert('Logged out successfully');
+    } catch (error) {
+        alert('Error logging out: ' + error.message);
+    }
+}
+
+// ==================== INSTANCES ====================
+
+async function loadInstances() {
+    try {
+        const response = await apiFetch('/api/evolution/instance/fetchInstances');
+        const data = await response.json();
+        instances = data.map(item => item.instance);
+        renderInstances();
+    } catch (error) {
+        console.error('Error loading instances:', error);
+    }
+}
+
+function renderInstances() {
+    const container = document.getElementById('instancesList');
+    
+    if (instances.length === 0) {
+        container.innerHTML = '<p class="text-muted">No instances</p>';
+        return;
+    }
+    
+    container.innerHTML = instances.map(instance => {
+        const name = instance.instanceName || instance.name;
+        const open = instance.state === 'open';
+        return `
+            <div class="instance-item">
+                <div class="status-dot ${open ? 'connected' : 'disconnected'}"></div>
+                <strong>${name}</strong>
+                <span class="text-muted">${instance.state}</span>
+                <div class="instance-actions admin-only">
+                    ${!open ? `<button class="btn btn-sm btn-primary" onclick="connectInstance('${name}')">
+                        <i class="fas fa-qrcode"></i> Connect
+                    </button>` : ''}
+                    <button class="btn btn-sm btn-secondary" onclick="restartInstance('${name}')">
+                        <i class="fas fa-redo"></i>
+                    </button>
+                    ${name !== defaultInstance ? `<button class="btn btn-sm btn-danger" onclick="deleteInstance('${name}')">
+                        <i class="fas fa-trash"></i>
+                    </button>` : ''}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function createInstance() {
+    const instanceName = prompt('Instance name (letters, numbers, "_" and "-")');
+    if (!instanceName) return;
+    
+    try {
+        const response = await apiFetch('/api/evolution/instance/create', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ instanceName })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error creating instance: ' + result.error, 'error');
+            return;
+        }
+        loadInstances();
+    } catch (error) {
+        showNotification('Error creating instance: ' + error.message, 'error');
+    }
+}
+
+async function connectInstance(name) {
+    try {
+        const response = await apiFetch(`/api/evolution/instance/connect/${name}`);
+        const result = await response.json();
+        
+        if (result.base64) {
+            showQRCode(result.base64, name);
+        }
+        loadInstances();
+    } catch (error) {
+        showNotification('Error connecting instance: ' + error.message, 'error');
+    }
+}
+
+async function restartInstance(name) {
+    try {
+        await apiFetch(`/api/evolution/instance/restart/${name}`, { method: 'PUT' });
+        loadInstances();
+    } catch (error) {
+        showNotification('Error restarting instance: ' + error.message, 'error');
+    }
+}
+
+async function deleteInstance(name) {
+    if (!confirm(`Delete instance "${name}" and its WhatsApp session?`)) return;
+    
+    try {
+        await apiFetch(`/api/evolution/instance/delete/${name}`, { method: 'DELETE' });
+        loadInstances();
+    } catch (error) {
+        showNotification('Error deleting instance: ' + error.message, 'error');
+    }
+}
+
+// ==================== CONTACTS ====================
+
+async function loadContacts() {
+    try {
+        const response = await apiFetch('/api/contacts');
+        contacts = await response.json();
+        renderContacts();
+    } catch (error) {
+        console.error('Error loading contacts:', error);
+    }
+}
+
+function renderContacts() {
+    const tbody = document.getElementById('contactsList');
+    
+    if (contacts.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No contacts found</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = contacts.map(contact => `
+        <tr>
+            <td><input type="checkbox" class="contact-checkbox" value="${contact.id}"></td>
+            <td>${contact.name}</td>
+            <td>${contact.phone}</td>
+            <td>${contact.email || '-'}</td>
+            <td>${contact.tags || '-'}</td>
+            <td>
+                <button class="btn btn-sm btn-secondary" onclick="editContact(${contact.id})">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteContact(${contact.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function handleAddContact(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const data = {
+        name: formData.get('name'),
+        phone: formData.get('phone'),
+        email: formData.get('email'),
+        tags: formData.get('tags')?.split(',').map(t => t.trim()) || [],
+        timezone: formData.get('timezone') || null,
+        custom_fields: {}
+    };
+    
+    try {
+        const response = await apiFetch('/api/contacts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        
+        if (response.ok) {
+            closeModal('addContactModal');
+            e.target.reset();
+            loadContacts();
+            showNotification('Contact added successfully', 'success');
+        } else {
+            const result = await response.json();
+            showNotification('Error adding contact: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error adding contact: ' + error.message, 'error');
+    }
+}
+
+// Step 1: upload the file and let the user map its columns
+async function handleImportContacts(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    
+    try {
+        const response = await apiFetch('/api/contacts/import', {
+            method: 'POST',
+            body: formData
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error reading file: ' + result.error, 'error');
+            return;
+        }
+        currentImport = result;
+        renderImportMapping();
+        showImportStep('importMappingForm');
+    } catch (error) {
+        showNotification('Error importing contacts: ' + error.message, 'error');
+    }
+}
+
+function renderImportMapping() {
+    const targets = [['', "Don't import"], ['name', 'Name'], ['phone', 'Phone'], ['email', 'Email'], ['tags', 'Tags'], ['timezone', 'Time zone']];
+    
+    document.getElementById('importSummary').textContent =
+        `${currentImport.filename}: ${currentImport.total} row(s). Choose what each column is.`;
+    document.getElementById('importMapping').innerHTML = currentImport.headers.map((header, index) => {
+        const options = [...targets, [`custom.${header}`, `Custom field "${header}"`]];
+        const samples = currentImport.preview.map(row => row[header]).filter(Boolean).slice(0, 3);
+        return `
+            <tr>
+                <td>${escapeHtml(header)}</td>
+                <td><small>${samples.map(escapeHtml).join('<br>') || '-'}</small></td>
+                <td>
+                    <select class="import-mapping" data-index="${index}">
+                        ${options.map(([value, label]) => `<option value="${escapeHtml(value)}"
+                            ${currentImport.mapping[header] === value ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Step 2: import the rows and show what happened to each one
+async function handleCommitImport(e) {
+    e.preventDefault();
+    
+    const mapping = {};
+    document.querySelectorAll('.import-mapping').forEach(select => {
+        mapping[currentImport.headers[select.dataset.index]] = select.value;
+    });
+    
+    try {
+        const response = await apiFetch(`/api/contacts/imports/${currentImport.id}/commit`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mapping, mode: e.target.elements.mode.value })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error importing contacts: ' + result.error, 'error');
+            return;
+        }
+        renderImportResult(result);
+        showImportStep('importResult');
+        loadContacts();
+        loadPhoneReport();
+    } catch (error) {
+        showNotification('Error importing contacts: ' + error.message, 'error');
+    }
+}
+
+function renderImportResult(result) {
+    document.getElementById('importResultSummary').innerHTML = `
+        <p>
+            <span class="badge badge-success">${result.inserted} inserted</span>
+            <span class="badge badge-info">${result.updated} updated</span>
+            <span class="badge badge-warning">${result.duplicate} duplicate</span>
+            <span class="badge badge-danger">${result.invalid} invalid</span>
+        </p>
+    `;
+    
+    // Inserted rows need no attention; list the rest
+    const rows = result.report.filter(row => row.status !== 'inserted');
+    document.getElementById('importResultRows').innerHTML = rows.length
+        ? rows.slice(0, 100).map(row => `
+            <tr>
+                <td>${row.line}</td>
+                <td>${escapeHtml(row.status)}</td>
+                <td>${escapeHtml(row.phone)}</td>
+                <td>${escapeHtml(row.error || (row.name ? row.name : ''))}</td>
+            </tr>
+        `).join('') + (rows.length > 100 ? `<tr><td colspan="4" class="text-center">${rows.length - 100} more in the report</td></tr>` : '')
+        : '<tr><td colspan="4" class="text-center">Every row was imported</td></tr>';
+}
+
+function downloadImportReport() {
+    downloadFile(`/api/contacts/imports/${currentImport.id}/report.csv`, `import-${currentImport.id}-report.csv`);
+}
+
+function showImportStep(step) {
+    ['importForm', 'importMappingForm', 'importResult'].forEach(id => {
+        document.getElementById(id).style.display = id === step ? 'block' : 'none';
+    });
+}
+
+async function openExportModal() {
+    await loadSegments();
+    document.getElementById('exportSegmentSelect').innerHTML = segments.length
+        ? segments.map(segment => `<option value="${segment.id}">${escapeHtml(segment.name)}</option>`).join('')
+        : '<option value="">No segments yet</option>';
+    document.getElementById('exportModal').style.display = 'block';
+}
+
+function handleExportContacts(e) {
+    e.preventDefault();
+    
+    const form = e.target.elements;
+    const [format, version] = form.format.value.split(':');
+    const params = new URLSearchParams({ format });
+    if (version) params.set('version', version);
+    
+    if (form.scope.value === 'selected') {
+        const ids = Array.from(document.querySelectorAll('.contact-checkbox:checked')).map(cb => cb.value);
+        if (ids.length === 0) {
+            alert('Select the contacts to export in the list first');
+            return;
+        }
+        params.set('ids', ids.join(','));
+    } else if (form.scope.value === 'segment') {
+        if (!form.segment_id.value) {
+            alert('Please select a segment');
+            return;
+        }
+        params.set('segment_id', form.segment_id.value);
+    }
+    
+    closeModal('exportModal');
+    downloadFile(`/api/contacts/export?${params}`, `contacts.${format}`);
+}
+
+async function loadPhoneReport() {
+    try {
+        const response = await apiFetch('/api/contacts/phone-report');
+        renderPhoneReport(await response.json());
+    } catch (error) {
+        console.error('Error loading phone report:', error);
+    }
+}
+
+function renderPhoneReport(report) {
+    const container = document.getElementById('phoneReport');
+    
+    if (!report || (!report.invalid.length && !report.duplicates.length)) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    container.style.display = 'block';
+    container.innerHTML = `
+        ${report.invalid.length ? `<p class="preview-warning"><i class="fas fa-exclamation-triangle"></i>
+            Invalid numbers: ${report.invalid.map(c => `${escapeHtml(c.name)} (${escapeHtml(c.phone)})`).join(', ')}</p>` : ''}
+        ${report.duplicates.map(d => `<p class="preview-warning"><i class="fas fa-clone"></i>
+            ${escapeHtml(d.phone)} is shared by: ${d.contacts.map(c => `${escapeHtml(c.name)} (${escapeHtml(c.phone)})`).join(', ')}</p>`).join('')}
+    `;
+}
+
+async function normalizePhones() {
+    try {
+        const response = await apiFetch('/api/contacts/normalize-phones', { method: 'POST' });
+        const report = await response.json();
+        
+        renderPhoneReport(report);
+        loadContacts();
+        showNotification(`${report.normalized} number(s) normalized, ${report.invalid.length} invalid, ` +
+            `${report.duplicates.length} shared by several contacts`, 'success');
+    } catch (error) {
+        showNotification('Error normalizing numbers: ' + error.message, 'error');
+    }
+}
+
+async function deleteContact(id) {
+    if (!confirm('Are you sure you want to delete this contact?')) return;
+    
+    try {
+        await apiFetch(`/api/contacts/${id}`, { method: 'DELETE' });
+        loadContacts();
+        showNotification('Contact deleted successfully', 'success');
+    } catch (error) {
+        showNotification('Error deleting contact: ' + error.message, 'error');
+    }
+}
+
+// ==================== SUPPRESSION LIST ====================
+
+async function loadSuppressions() {
+    try {
+        const response = await apiFetch('/api/suppressions');
+        const suppressions = await response.json();
+        renderSuppressions(suppressions);
+    } catch (error) {
+        console.error('Error loading suppression list:', error);
+    }
+}
+
+function renderSuppressions(suppressions) {
+    const tbody = document.getElementById('suppressionList');
+    
+    if (suppressions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Nobody has opted out</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = suppressions.map(entry => `
+        <tr>
+            <td>${entry.phone}</td>
+            <td>${entry.contact_name || '-'}</td>
+            <td>${escapeHtml(entry.reason) || '-'}</td>
+            <td>${entry.source}</td>
+            <td>${formatDateTime(entry.created_at)}</td>
+            <td>
+                <button class="btn btn-sm btn-danger manage-only" onclick="removeSuppression(${entry.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function addSuppression() {
+    const phone = prompt('Phone number to suppress');
+    if (!phone) return;
+    const reason = prompt('Reason (optional)') || '';
+    
+    try {
+        const response = await apiFetch('/api/suppressions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ phone, reason })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error suppressing number: ' + result.error, 'error');
+            return;
+        }
+        loadSuppressions();
+    } catch (error) {
+        showNotification('Error suppressing number: ' + error.message, 'error');
+    }
+}
+
+async function removeSuppression(id) {
+    if (!confirm('Remove this number from the suppression list? It will receive campaigns again.')) return;
+    
+    try {
+        await apiFetch(`/api/suppressions/${id}`, { method: 'DELETE' });
+        loadSuppressions();
+    } catch (error) {
+        showNotification('Error removing number: ' + error.message, 'error');
+    }
+}
+
+async function loadOptOutSettings() {
+    try {
+        const response = await apiFetch('/api/settings/optout');
+        const config = await response.json();
+        const form = document.getElementById('optOutSettingsForm');
+        form.elements.keywords.value = config.keywords.join(', ');
+        form.elements.confirmation.value = config.confirmation || '';
+    } catch (error) {
+        console.error('Error loading opt-out settings:', error);
+    }
+}
+
+async function handleSaveOptOutSettings(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    
+    try {
+        const response = await apiFetch('/api/settings/optout', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                keywords: formData.get('keywords'),
+                confirmation: formData.get('confirmation')
+            })
+        });
+        
+        if (response.ok) {
+            showNotification('Opt-out settings saved', 'success');
+        }
+    } catch (error) {
+        showNotification('Error saving opt-out settings: ' + error.message, 'error');
+    }
+}
+
+// ==================== SEGMENTS ====================
+
+// Rule fields and their operators (mirrors lib/segments.js)
+const SEGMENT_FIELDS = {
+    tags: { label: 'Tags', operators: ['contains', 'not_contains', 'empty', 'not_empty'] },
+    name: { label: 'Name', operators: ['equals', 'not_equals', 'contains', 'starts_with', 'empty', 'not_empty'] },
+    phone: { label: 'Phone', operators: ['equals', 'not_equals', 'contains', 'starts_with', 'empty', 'not_empty'] },
+    email: { label: 'Email', operators: ['equals', 'not_equals', 'contains', 'starts_with', 'empty', 'not_empty'] },
+    custom: { label: 'Custom field', operators: ['equals', 'not_equals', 'contains', 'empty', 'not_empty', 'gt', 'lt'] },
+    created_at: { label: 'Added', operators: ['before', 'after', 'within_days', 'older_than_days'] },
+    last_message_status: { label: 'Last message status', operators: ['equals', 'not_equals'] },
+    replied: { label: 'Replied', operators: ['ever', 'never', 'within_days', 'not_within_days'] }
+};
+
+const SEGMENT_OPERATORS = {
+    contains: 'contains', not_contains: 'does not contain', equals: 'is', not_equals: 'is not',
+    starts_with: 'starts with', empty: 'is empty', not_empty: 'is not empty', gt: 'is greater than',
+    lt: 'is less than', before: 'before', after: 'after', within_days: 'in the last (days)',
+    older_than_days: 'more than (days) ago', ever: 'ever', never: 'never', not_within_days: 'not in the last (days)'
+};
+
+const SEGMENT_UNARY = ['empty', 'not_empty', 'ever', 'never'];
+
+let segmentPreviewTimer = null;
+
+async function loadSegments() {
+    try {
+        const response = await apiFetch('/api/segments');
+        segments = await response.json();
+        renderSegments();
+    } catch (error) {
+        console.error('Error loading segments:', error);
+    }
+}
+
+function describeSegmentRule(rule) {
+    const field = rule.field.startsWith('custom.') ? rule.field.slice(7) : SEGMENT_FIELDS[rule.field].label;
+    const value = rule.value === null || rule.value === undefined ? '' : ` ${rule.value}`;
+    return `${field} ${SEGMENT_OPERATORS[rule.operator] || rule.operator}${value}`;
+}
+
+function renderSegments() {
+    const tbody = document.getElementById('segmentsList');
+    
+    if (segments.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="4" class="text-center">No segments yet</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = segments.map(segment => `
+        <tr>
+            <td>${escapeHtml(segment.name)}${segment.description ? `<br><small class="text-muted">${escapeHtml(segment.description)}</small>` : ''}</td>
+            <td>${segment.rules.rules.length
+                ? escapeHtml(segment.rules.rules.map(describeSegmentRule).join(segment.rules.match === 'any' ? ' or ' : ' and '))
+                : 'Everyone'}</td>
+            <td>${segment.count !== undefined ? segment.count : `
+                <button class="btn btn-sm btn-secondary" onclick="countSegment(${segment.id})">Count</button>`}</td>
+            <td>
+                <button class="btn btn-sm btn-secondary" onclick="openSegmentModal(${segment.id})">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteSegment(${segment.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function countSegment(id) {
+    try {
+        const response = await apiFetch(`/api/segments/${id}/preview`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+        
+        const segment = segments.find(s => s.id === id);
+        if (segment) segment.count = result.count;
+        renderSegments();
+    } catch (error) {
+        showNotification('Error counting segment: ' + error.message, 'error');
+    }
+}
+
+function openSegmentModal(id = null) {
+    const segment = segments.find(s => s.id === id);
+    const form = document.getElementById('segmentForm');
+    
+    editingSegmentId = segment ? segment.id : null;
+    form.reset();
+    document.getElementById('segmentModalTitle').textContent = segment ? 'Edit Segment' : 'New Segment';
+    document.getElementById('segmentRules').innerHTML = '';
+    
+    if (segment) {
+        form.elements.name.value = segment.name;
+        form.elements.description.value = segment.description || '';
+        form.elements.match.value = segment.rules.match;
+        segment.rules.rules.forEach(addSegmentRule);
+    } else {
+        addSegmentRule();
+    }
+    
+    updateSegmentPreview();
+    document.getElementById('segmentModal').style.display = 'block';
+}
+
+function addSegmentRule(rule = { field: 'tags', operator: 'contains', value: '' }) {
+    const isCustom = rule.field.startsWith('custom.');
+    const row = document.createElement('div');
+    row.className = 'segment-rule';
+    row.innerHTML = `
+        <select class="rule-field">
+            ${Object.entries(SEGMENT_FIELDS).map(([name, field]) => `<option value="${name}">${field.label}</option>`).join('')}
+        </select>
+        <input type="text" class="rule-key" placeholder="Field name, e.g. city">
+        <select class="rule-operator"></select>
+        <input type="text" class="rule-value" placeholder="Value">
+        <button type="button" class="btn btn-sm btn-danger" title="Remove rule">
+            <i class="fas fa-times"></i>
+        </button>
+    `;
+    
+    row.querySelector('.rule-field').value = isCustom ? 'custom' : rule.field;
+    row.querySelector('.rule-key').value = isCustom ? rule.field.slice(7) : '';
+    row.querySelector('.rule-value').value = rule.value === null || rule.value === undefined ? '' : rule.value;
+    row.querySelector('.rule-field').addEventListener('change', () => updateSegmentRuleRow(row));
+    row.querySelector('.rule-operator').addEventListener('change', () => updateSegmentRuleRow(row));
+    row.querySelector('button').addEventListener('click', () => {
+        row.remove();
+        scheduleSegmentPreview();
+    });
+    
+    document.getElementById('segmentRules').appendChild(row);
+    updateSegmentRuleRow(row, rule.operator);
+}
+
+// Show the operators of the chosen field and hide inputs the rule does not use
+function updateSegmentRuleRow(row, operator) {
+    const field = row.querySelector('.rule-field').value;
+    const select = row.querySelector('.rule-operator');
+    const current = operator || select.value;
+    
+    select.innerHTML = SEGMENT_FIELDS[field].operators
+        .map(name => `<option value="${name}">${SEGMENT_OPERATORS[name]}</option>`)
+        .join('');
+    if (SEGMENT_FIELDS[field].operators.includes(current)) select.value = current;
+    
+    const valueInput = row.querySelector('.rule-value');
+    valueInput.type = ['before', 'after'].includes(select.value) ? 'date' : 'text';
+    valueInput.style.display = SEGMENT_UNARY.includes(select.value) ? 'none' : '';
+    row.querySelector('.rule-key').style.display = field === 'custom' ? '' : 'none';
+}
+
+function readSegmentDefinition() {
+    const form = document.getElementById('segmentForm');
+    const rules = Array.from(document.querySelectorAll('#segmentRules .segment-rule')).map(row => {
+        const field = row.querySelector('.rule-field').value;
+        const operator = row.querySelector('.rule-operator').value;
+        return {
+            field: field === 'custom' ? `custom.${row.querySelector('.rule-key').value.trim()}` : field,
+            operator,
+            value: SEGMENT_UNARY.includes(operator) ? null : row.querySelector('.rule-value').value.trim()
+        };
+    });
+    return { match: form.elements.match.value, rules };
+}
+
+function scheduleSegmentPreview() {
+    clearTimeout(segmentPreviewTimer);
+    segmentPreviewTimer = setTimeout(updateSegmentPreview, 300);
+}
+
+async function updateSegmentPreview() {
+    const container = document.getElementById('segmentPreview');
+    
+    try {
+        const response = await apiFetch('/api/segments/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rules: readSegmentDefinition(), limit: 10 })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            container.innerHTML = `<p class="preview-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(result.error)}</p>`;
+            return;
+        }
+        
+        container.innerHTML = `<p><strong>${result.count}</strong> contact(s) match</p>` +
+            result.contacts.map(contact => `<div>${escapeHtml(contact.name)} - ${escapeHtml(contact.phone)}</div>`).join('') +
+            (result.count > result.contacts.length ? `<small class="text-muted">and ${result.count - result.contacts.length} more</small>` : '');
+    } catch (error) {
+        console.error('Error previewing segment:', error);
+    }
+}
+
+async function handleSaveSegment(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const url = editingSegmentId ? `/api/segments/${editingSegmentId}` : '/api/segments';
+    
+    try {
+        const response = await apiFetch(url, {
+            method: editingSegmentId ? 'PUT' : 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: formData.get('name'),
+                description: formData.get('description'),
+                rules: readSegmentDefinition()
+            })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error saving segment: ' + result.error, 'error');
+            return;
+        }
+        closeModal('segmentModal');
+        loadSegments();
+        showNotification('Segment saved', 'success');
+    } catch (error) {
+        showNotification('Error saving segment: ' + error.message, 'error');
+    }
+}
+
+async function deleteSegment(id) {
+    if (!confirm('Delete this segment? Campaigns already created keep their recipients.')) return;
+    
+    try {
+        const response = await apiFetch(`/api/segments/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            showNotification('Error deleting segment: ' + result.error, 'error');
+            return;
+        }
+        loadSegments();
+    } catch (error) {
+        showNotification('Error deleting segment: ' + error.message, 'error');
+    }
+}
+
+// ==================== CAMPAIGNS ====================
+
+async function loadCampaigns() {
+    try {
+        const response = await apiFetch('/api/campaigns');
+        campaigns = await response.json();
+        renderCampaigns();
+    } catch (error) {
+        console.error('Error loading campaigns:', error);
+    }
+}
+
+function renderCampaigns() {
+    const tbody = document.getElementById('campaignsList');
+    
+    if (campaigns.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No campaigns found</td></tr>';
+        return;
+    }
+    
+    tbody.innerHTML = campaigns.map(campaign => {
+        const statusBadge = getStatusBadge(campaign.status);
+        return `
+            <tr>
+                <td>${campaign.name}</td>
+                <td>${statusBadge}${campaign.status === 'scheduled' && campaign.scheduled_at
+                    ? `<br><small class="text-muted">${formatDateTime(campaign.scheduled_at)}</small>` : ''}</td>
+                <td>${campaignProgress(campaign)}</td>
+                <td>${campaignSuccessRate(campaign)}</td>
+                <td>${formatDateTime(campaign.created_at)}</td>
+                <td>
+                    ${campaign.status === 'draft' || campaign.status === 'scheduled' ? 
+                        `<button class="btn btn-sm btn-primary manage-only" onclick="startCampaign(${campaign.id})">
+                            <i class="fas fa-play"></i> Start
+                        </button>` : ''}
+                    ${campaign.status === 'running' ? 
+                        `<button class="btn btn-sm btn-secondary manage-only" onclick="pauseCampaign(${campaign.id})">
+                            <i class="fas fa-pause"></i> Pause
+                        </button>` : ''}
+                    ${campaign.status === 'paused' ? 
+                        `<button class="btn btn-sm btn-primary manage-only" onclick="resumeCampaign(${campaign.id})">
+                            <i class="fas fa-play"></i> Resume
+                        </button>` : ''}
+                    ${['draft', 'scheduled', 'running', 'paused'].includes(campaign.status) ? 
+                        `<button class="btn btn-sm btn-danger manage-only" onclick="cancelCampaign(${campaign.id})">
+                            <i class="fas fa-stop"></i> Cancel
+                        </button>` : ''}
+                    <button class="btn btn-sm btn-secondary" onclick="viewCampaign(${campaign.id})">
+                        <i class="fas fa-eye"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger manage-only" onclick="deleteCampaign(${campaign.id})">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+// Sent (and failed) out of all recipients, as a bar
+function campaignProgress(campaign) {
+    const total = campaign.total_messages || 0;
+    if (!total) return '-';
+    const done = (campaign.sent_messages || 0) + (campaign.failed_messages || 0) + (campaign.skipped_messages || 0);
+    const percent = Math.round((done / total) * 100);
+    return `
+        <div class="progress campaign-progress" title="${campaign.sent_messages} sent, ${campaign.failed_messages} failed, ${campaign.skipped_messages} skipped">
+            <div class="progress-bar" style="width: ${percent}%">${percent}%</div>
+        </div>
+        <small class="text-muted">${campaign.sent_messages} / ${total} sent</small>
+    `;
+}
+
+function campaignSuccessRate(campaign) {
+    const attempted = (campaign.sent_messages || 0) + (campaign.failed_messages || 0);
+    return attempted ? `${Math.round((campaign.sent_messages / attempted) * 1000) / 10}%` : '-';
+}
+
+function getStatusBadge(status) {
+    const badges = {
+        'draft': '<span class="badge badge-info">Draft</span>',
+        'scheduled': '<span class="badge badge-warning">Scheduled</span>',
+        'running': '<span class="badge badge-info">Running</span>',
+        'completed': '<span class="badge badge-success">Completed</span>',
+        'paused': '<span class="badge badge-warning">Paused</span>',
+        'cancelled': '<span class="badge badge-danger">Cancelled</span>',
+        'pending': '<span class="badge badge-warning">Pending</span>',
+        'delivered': '<span class="badge badge-success">Delivered</span>',
+        'failed': '<span class="badge badge-danger">Failed</span>'
+    };
+    return badges[status] || status;
+}
+
+async function handleCreateCampaign(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    
+    if (formData.get('recipient_mode') === 'segment') {
+        if (!formData.get('segment_id')) {
+            alert('Please select a segment');
+            return;
+        }
+    } else {
+        // Get selected contacts
+        const checkboxes = document.querySelectorAll('.campaign-contact-checkbox:checked');
+        const contactIds = Array.from(checkboxes).map(cb => cb.value);
+        
+        if (contactIds.length === 0) {
+            alert('Please select at least one contact');
+            return;
+        }
+        
+        formData.delete('segment_id');
+        formData.append('contacts', JSON.stringify(contactIds));
+    }
+    formData.delete('recipient_mode');
+    
+    const instanceNames = Array.from(document.querySelectorAll('.campaign-instance-checkbox:checked')).map(cb => cb.value);
+    formData.append('instances', JSON.stringify(instanceNames));
+    
+    if (document.getElementById('abTestCheckbox').checked) {
+        if (document.getElementById('recurringCheckbox').checked) {
+            alert('A/B tests cannot repeat on a schedule');
+            return;
+        }
+        const messages = [formData.get('message'), ...Array.from(document.querySelectorAll('.ab-variant-message')).map(t => t.value)];
+        formData.append('variants', JSON.stringify(messages.map(message => ({ message }))));
+    } else {
+        AB_TEST_FIELDS.forEach(field => formData.delete(field));
+        [...formData.keys()].filter(key => key.startsWith('variant_media_')).forEach(key => formData.delete(key));
+    }
+    
+    const sendWindow = sendWindowField(formData);
+    ['window_start', 'window_end', 'window_days'].forEach(field => formData.delete(field));
+    if (sendWindow) formData.append('send_window', sendWindow);
+    
+    if (document.getElementById('recurringCheckbox').checked) {
+        await createSchedule(e.target, formData);
+        return;
+    }
+    RECURRING_FIELDS.forEach(field => formData.delete(field));
+    
+    try {
+        const response = await apiFetch('/api/campaigns', {
+            method: 'POST',
+            body: formData
+        });
+        
+        if (response.ok) {
+            closeModal('createCampaignModal');
+            e.target.reset();
+            const result = await response.json();
+            loadCampaigns();
+            loadMediaLibrary();
+            toggleCampaignRecipients();
+            toggleSchedule();
+            toggleSendWindow();
+            toggleABTest();
+            if (result.recipients === null) {
+                showNotification('Campaign created; the segment will be matched when it starts', 'success');
+            } else {
+                showNotification(result.suppressed
+                    ? `Campaign created for ${result.recipients} contact(s); ${result.suppressed} opted-out contact(s) were excluded`
+                    : `Campaign created for ${result.recipients} contact(s)`, 'success');
+            }
+        } else {
+            const result = await response.json();
+            showNotification('Error creating campaign: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error creating campaign: ' + error.message, 'error');
+    }
+}
+
+// ==================== RECURRING CAMPAIGNS ====================
+
+const RECURRING_FIELDS = ['frequency', 'time', 'days', 'day_of_month', 'cron', 'starts_at', 'ends_at', 'max_runs'];
+
+// The repeat fields of the campaign form as sent to the API
+function recurringFields(formData) {
+    const fields = {
+        frequency: formData.get('frequency'),
+        time: formData.get('time'),
+        days: JSON.stringify(formData.getAll('days')),
+        day_of_month: formData.get('day_of_month'),
+        cron: formData.get('cron'),
+        max_runs: formData.get('max_runs'),
+        // Read in the campaign's time zone by the server
+        starts_at: formData.get('starts_at'),
+        ends_at: formData.get('ends_at'),
+        timezone: formData.get('timezone')
+    };
+    return fields;
+}
+
+async function createSchedule(form, formData) {
+    const fields = recurringFields(formData);
+    ['scheduled_at', 'resolve_at', 'timezone', ...RECURRING_FIELDS].forEach(field => formData.delete(field));
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    
+    try {
+        const response = await apiFetch('/api/schedules', {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            closeModal('createCampaignModal');
+            form.reset();
+            toggleCampaignRecipients();
+            toggleRecurring();
+            toggleSendWindow();
+            loadSchedules();
+            loadMediaLibrary();
+            showNotification(`Recurring campaign created; first run ${formatDateTime(result.next_run_at)}`, 'success');
+        } else {
+            showNotification('Error creating recurring campaign: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error creating recurring campaign: ' + error.message, 'error');
+    }
+}
+
+async function loadSchedules() {
+    try {
+        const response = await apiFetch('/api/schedules');
+        schedules = await response.json();
+        renderSchedules();
+    } catch (error) {
+        console.error('Error loading recurring campaigns:', error);
+    }
+}
+
+function renderSchedules() {
+    const tbody = document.getElementById('schedulesList');
+    
+    if (schedules.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No recurring campaigns</td></tr>';
+        return;
+    }
+    
+    const badges = {
+        active: '<span class="badge badge-success">Active</span>',
+        paused: '<span class="badge badge-warning">Paused</span>',
+        ended: '<span class="badge badge-info">Ended</span>'
+    };
+    
+    tbody.innerHTML = schedules.map(schedule => `
+        <tr>
+            <td>${escapeHtml(schedule.name)}</td>
+            <td>${escapeHtml(schedule.description)}</td>
+            <td>${formatDateTime(schedule.next_run_at)}</td>
+            <td>${schedule.run_count}${schedule.max_runs ? ` / ${schedule.max_runs}` : ''}</td>
+            <td>${badges[schedule.status] || schedule.status}</td>
+            <td>
+                ${schedule.status === 'active' ? `
+                    <button class="btn btn-sm btn-secondary manage-only" onclick="pauseSchedule(${schedule.id})">
+                        <i class="fas fa-pause"></i> Pause
+                    </button>` : ''}
+                ${schedule.status === 'paused' ? `
+                    <button class="btn btn-sm btn-primary manage-only" onclick="resumeSchedule(${schedule.id})">
+                        <i class="fas fa-play"></i> Resume
+                    </button>` : ''}
+                <button class="btn btn-sm btn-secondary" onclick="viewSchedule(${schedule.id})">
+                    <i class="fas fa-history"></i>
+                </button>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteSchedule(${schedule.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+async function setScheduleState(id, action) {
+    try {
+        const response = await apiFetch(`/api/schedules/${id}/${action}`, { method: 'POST' });
+        if (response.ok) {
+            loadSchedules();
+        } else {
+            const result = await response.json();
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        showNotification(`Error: ${error.message}`, 'error');
+    }
+}
+
+function pauseSchedule(id) {
+    setScheduleState(id, 'pause');
+}
+
+function resumeSchedule(id) {
+    setScheduleState(id, 'resume');
+}
+
+async function deleteSchedule(id) {
+    if (!confirm('Delete this recurring campaign? Campaigns it already sent are kept.')) return;
+    
+    try {
+        const response = await apiFetch(`/api/schedules/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadSchedules();
+        } else {
+            const result = await response.json();
+            showNotification('Error deleting recurring campaign: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting recurring campaign: ' + error.message, 'error');
+    }
+}
+
+async function viewSchedule(id) {
+    try {
+        const response = await apiFetch(`/api/schedules/${id}`);
+        const schedule = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error loading recurring campaign: ' + schedule.error, 'error');
+            return;
+        }
+        
+        const limits = [
+            schedule.starts_at ? `from ${formatDateTime(schedule.starts_at)}` : '',
+            schedule.ends_at ? `until ${formatDateTime(schedule.ends_at)}` : '',
+            schedule.max_runs ? `${schedule.max_runs} runs at most` : ''
+        ].filter(Boolean).join(', ');
+        
+        document.getElementById('scheduleDetailsName').textContent = schedule.name;
+        document.getElementById('scheduleDetailsSummary').textContent =
+            `${schedule.description} ${schedule.timezone || ''}${limits ? ` (${limits})` : ''}` +
+            `${schedule.send_window ? ` · sends ${describeSendWindow(schedule.send_window)}` : ''}` +
+            ` · ${schedule.run_count} run(s) so far · ${schedule.status}`;
+        document.getElementById('scheduleDetailsNextRuns').innerHTML = schedule.next_runs.length
+            ? schedule.next_runs.map(time => `<li>${new Date(time).toLocaleString()}</li>`).join('')
+            : '<li class="text-muted">No upcoming runs</li>';
+        document.getElementById('scheduleDetailsRuns').innerHTML = schedule.runs.length
+            ? schedule.runs.map(run => `
+                <tr>
+                    <td>${escapeHtml(run.name)}</td>
+                    <td>${getStatusBadge(run.status)}</td>
+                    <td>${run.sent_messages} / ${run.total_messages} sent${run.failed_messages ? `, ${run.failed_messages} failed` : ''}</td>
+                    <td>${formatDateTime(run.started_at)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-secondary" onclick="viewCampaign(${run.id})">
+                            <i class="fas fa-eye"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="5" class="text-center">No runs yet</td></tr>';
+        
+        document.getElementById('scheduleDetailsModal').style.display = 'block';
+    } catch (error) {
+        showNotification('Error loading recurring campaign: ' + error.message, 'error');
+    }
+}
+
+function toggleRecurring() {
+    const recurring = document.getElementById('recurringCheckbox').checked;
+    document.getElementById('recurringGroup').style.display = recurring ? 'block' : 'none';
+    if (recurring) {
+        document.getElementById('scheduleCheckbox').checked = false;
+        toggleSchedule();
+        toggleRecurringFields();
+    }
+}
+
+function toggleRecurringFields() {
+    const frequency = document.getElementById('recurringFrequency').value;
+    document.querySelectorAll('#recurringGroup [data-frequency]').forEach(group => {
+        group.style.display = group.dataset.frequency.split(' ').includes(frequency) ? 'block' : 'none';
+    });
+    scheduleRecurringPreview();
+}
+
+let recurringPreviewTimer = null;
+
+function scheduleRecurringPreview() {
+    clearTimeout(recurringPreviewTimer);
+    recurringPreviewTimer = setTimeout(updateRecurringPreview, 300);
+}
+
+async function updateRecurringPreview() {
+    const container = document.getElementById('recurringPreview');
+    const fields = recurringFields(new FormData(document.getElementById('createCampaignForm')));
+    
+    try {
+        const response = await apiFetch('/api/schedules/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...fields, count: 3 })
+        });
+        const result = await response.json();
+        
+        container.textContent = !response.ok
+            ? result.error
+            : result.next_runs.length
+                ? result.next_runs.map(time => new Date(time).toLocaleString()).join(' · ')
+                : 'No runs within these limits';
+    } catch (error) {
+        container.textContent = '-';
+    }
+}
+
+async function startCampaign(id) {
+    if (!confirm('Are you sure you want to start this campaign?')) return;
+    
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}/start`, {
+            method: 'POST'
+        });
+        
+        if (response.ok) {
+            loadCampaigns();
+            showNotification('Campaign started successfully', 'success');
+        }
+    } catch (error) {
+        showNotification('Error starting campaign: ' + error.message, 'error');
+    }
+}
+
+async function pauseCampaign(id) {
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}/pause`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error pausing campaign: ' + result.error, 'error');
+        }
+        loadCampaigns();
+    } catch (error) {
+        showNotification('Error pausing campaign: ' + error.message, 'error');
+    }
+}
+
+async function resumeCampaign(id) {
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}/resume`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error resuming campaign: ' + result.error, 'error');
+        }
+        loadCampaigns();
+    } catch (error) {
+        showNotification('Error resuming campaign: ' + error.message, 'error');
+    }
+}
+
+async function cancelCampaign(id) {
+    if (!confirm('Cancel this campaign? Messages not sent yet will be skipped.')) return;
+    
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}/cancel`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error cancelling campaign: ' + result.error, 'error');
+        }
+        loadCampaigns();
+    } catch (error) {
+        showNotification('Error cancelling campaign: ' + error.message, 'error');
+    }
+}
+
+async function deleteCampaign(id) {
+    if (!confirm('Are you sure you want to delete this campaign?')) return;
+    
+    try {
+        await apiFetch(`/api/campaigns/${id}`, { method: 'DELETE' });
+        loadCampaigns();
+        showNotification('Campaign deleted successfully', 'success');
+    } catch (error) {
+        showNotification('Error deleting campaign: ' + error.message, 'error');
+    }
+}
+
+function updateCampaignProgress(data) {
+    const campaign = campaigns.find(c => c.id === data.campaignId);
+    if (campaign) {
+        campaign.sent_messages = data.sent;
+        campaign.total_messages = data.total;
+        renderCampaigns();
+    }
+    if (data.campaignId === viewedCampaignId) viewCampaign(viewedCampaignId);
+}
+
+async function viewCampaign(id) {
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}`);
+        const campaign = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error loading campaign: ' + campaign.error, 'error');
+            return;
+        }
+        
+        viewedCampaignId = campaign.id;
+        const { stats } = campaign;
+        document.getElementById('campaignDetailsName').textContent = campaign.name;
+        document.getElementById('campaignDetailsTiming').textContent = [
+            campaign.scheduled_at ? `Scheduled for ${formatDateTime(campaign.scheduled_at)}` : '',
+            `Time zone: ${campaign.timezone || 'server default'}`,
+            campaign.send_window ? `Sends ${describeSendWindow(campaign.send_window)} (recipient's local time)` : 'Sends at any hour',
+            `Times shown in ${OPERATOR_TIMEZONE}`
+        ].filter(Boolean).join(' · ');
+        document.getElementById('campaignDetailsStats').innerHTML = [
+            ['Total', stats.total],
+            ['Sent', stats.sent],
+            ['Delivered', `${stats.delivered} (${stats.deliveryRate}%)`],
+            ['Read', `${stats.read} (${stats.readRate}%)`],
+            ['Failed', stats.failed],
+            ['Pending', stats.held ? `${stats.pending} (${stats.held} waiting for window)` : stats.pending],
+            ...(stats.waiting ? [['Waiting for A/B winner', stats.waiting]] : [])
+        ].map(([label, value]) => `
+            <div class="stat-card">
+                <div class="stat-info">
+                    <h3>${value}</h3>
+                    <p>${label}</p>
+                </div>
+            </div>
+        `).join('');
+        
+        loadCampaignAnalytics(campaign.id);
+
+        const variantLabels = Object.fromEntries((campaign.ab_test ? campaign.ab_test.variants : []).map(v => [v.id, v.label]));
+        document.getElementById('campaignDetailsMessages').innerHTML = campaign.messages.map(message => `
+            <tr>
+                <td>${message.phone}${variantLabels[message.variant_id] ? ` <span class="badge badge-info">${variantLabels[message.variant_id]}</span>` : ''}</td>
+                <td>${message.status}</td>
+                <td>${formatDateTime(message.sent_at)}</td>
+                <td>${formatDateTime(message.delivered_at)}</td>
+                <td>${formatDateTime(message.read_at)}</td>
+                <td>${message.attempts || 0}${message.status === 'pending' && message.next_attempt_at
+                    ? `<br><small class="text-muted">${message.attempts ? 'retry' : 'held until'} ${formatDateTime(message.next_attempt_at)}</small>` : ''}</td>
+                <td title="${escapeHtml(message.error_history.map(entry => `${formatDateTime(entry.at)} #${entry.attempt}: ${entry.error}`).join('\n'))}">
+                    ${message.error_class ? `<span class="badge badge-warning">${ERROR_CLASS_LABELS[message.error_class] || message.error_class}</span> ` : ''}${message.error ? escapeHtml(message.error) : '-'}
+                </td>
+            </tr>
+        `).join('');
+
+        renderRequeuePanel(stats.failedByClass);
+        renderABTest(campaign);
+        
+        document.getElementById('campaignDetailsModal').style.display = 'block';
+    } catch (error) {
+        showNotification('Error loading campaign: ' + error.message, 'error');
+    }
+}
+
+const ERROR_CLASS_LABELS = {
+    transient: 'Transient',
+    invalid_number: 'Invalid number',
+    media: 'Media error',
+    blocked: 'Blocked',
+    unknown: 'Other'
+};
+
+// Failed messages per error class, each with a checkbox; transient ones are ticked by default
+function renderRequeuePanel(failedByClass) {
+    const classes = Object.entries(failedByClass).filter(([, count]) => count > 0);
+    const panel = document.getElementById('campaignRequeue');
+    panel.style.display = classes.length ? 'flex' : 'none';
+    
+    document.getElementById('campaignRequeueClasses').innerHTML = classes.map(([name, count]) => `
+        <label>
+            <input type="checkbox" value="${name}" ${name === 'transient' ? 'checked' : ''}>
+            ${ERROR_CLASS_LABELS[name] || name} (${count})
+        </label>
+    `).join('');
+}
+
+async function requeueFailedMessages() {
+    const classes = Array.from(document.querySelectorAll('#campaignRequeueClasses input:checked')).map(input => input.value);
+    if (!classes.length) {
+        showNotification('Select at least one kind of error', 'error');
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(`/api/campaigns/${viewedCampaignId}/requeue`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ classes })
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            showNotification(`${result.requeued} message(s) requeued`, 'success');
+            viewCampaign(viewedCampaignId);
+            loadCampaigns();
+        } else {
+            showNotification('Error requeueing messages: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error requeueing messages: ' + error.message, 'error');
+    }
+}
+
+// ==================== A/B TESTS ====================
+
+const AB_TEST_FIELDS = ['ab_test_percent', 'ab_metric', 'ab_winner_after'];
+const AB_LABELS = ['A', 'B', 'C', 'D', 'E'];
+const AB_METRIC_LABELS = { delivery: 'delivery rate', read: 'read rate', reply: 'reply rate' };
+
+function toggleABTest() {
+    const checked = document.getElementById('abTestCheckbox').checked;
+    document.getElementById('abTestGroup').style.display = checked ? 'block' : 'none';
+    if (checked && !document.querySelector('.ab-variant')) addABVariant();
+}
+
+// Variant A is the campaign's message; B onwards are added here
+function addABVariant() {
+    const container = document.getElementById('abVariants');
+    const index = container.children.length + 1;
+    if (index >= AB_LABELS.length) return;
+    
+    container.insertAdjacentHTML('beforeend', `
+        <div class="form-group ab-variant">
+            <label>Variant ${AB_LABELS[index]}</label>
+            <textarea class="ab-variant-message" rows="4" placeholder="Hi {first_name|there}, ..."></textarea>
+            <input type="file" name="variant_media_${index}" accept="image/*,video/*,.pdf,.doc,.docx">
+        </div>
+    `);
+    document.getElementById('addVariantBtn').style.display = index + 1 >= AB_LABELS.length ? 'none' : '';
+}
+
+function renderABTest(campaign) {
+    const panel = document.getElementById('campaignABTest');
+    const test = campaign.ab_test;
+    panel.style.display = test ? 'block' : 'none';
+    if (!test) return;
+    
+    const winner = test.variants.find(variant => variant.id === test.winner_variant_id);
+    const canPick = !winner && ['running', 'paused', 'completed'].includes(campaign.status);
+    const summary = [
+        `${test.test_percent}% test group`,
+        `winner by ${AB_METRIC_LABELS[test.metric]}`,
+        winner
+            ? `variant ${winner.label} won ${formatDateTime(test.decided_at)}`
+            : test.winner_after ? `picked automatically ${test.winner_after} h after the last test message` : 'picked by hand',
+        test.holdout ? `${test.waiting} of ${test.holdout} other recipient(s) waiting` : ''
+    ].filter(Boolean).join(' · ');
+    
+    panel.innerHTML = `
+        <h4><i class="fas fa-flask"></i> A/B Test</h4>
+        <p class="text-muted">${summary}</p>
+        <table class="data-table">
+            <thead>
+                <tr>
+                    <th>Variant</th>
+                    <th>Message</th>
+                    <th>Recipients</th>
+                    <th>Sent</th>
+                    <th>Delivered</th>
+                    <th>Read</th>
+                    <th>Replied</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${test.variants.map(variant => `
+                    <tr>
+                        <td>
+                            <strong>${variant.label}</strong>
+                            ${variant.id === test.winner_variant_id ? '<span class="badge badge-success">Winner</span>' : ''}
+                            ${!winner && variant.id === test.leader_variant_id ? '<span class="badge badge-info">Leading</span>' : ''}
+                        </td>
+                        <td class="ab-message" title="${escapeHtml(variant.message)}">
+                            ${variant.media_url ? '<i class="fas fa-paperclip"></i> ' : ''}${escapeHtml(variant.message)}
+                        </td>
+                        <td>${variant.recipients}</td>
+                        <td>${variant.sent}</td>
+                        <td>${variant.deliveryRate}%</td>
+                        <td>${variant.readRate}%</td>
+                        <td>${variant.replyRate}%</td>
+                        <td>
+                            ${canPick ? `
+                                <button class="btn btn-sm btn-primary manage-only" onclick="pickABWinner(${variant.id}, '${variant.label}')">
+                                    <i class="fas fa-trophy"></i> Pick
+                                </button>` : ''}
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function pickABWinner(variantId, label) {
+    if (!confirm(`Pick variant ${label} as the winner and send it to the recipients still waiting?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/campaigns/${viewedCampaignId}/winner`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ variant_id: variantId })
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            showNotification(`Variant ${label} picked; ${result.released} message(s) queued`, 'success');
+            viewCampaign(viewedCampaignId);
+            loadCampaigns();
+        } else {
+            showNotification('Error picking the winner: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error picking the winner: ' + error.message, 'error');
+    }
+}
+
+function downloadCampaignReport(format, report = 'messages') {
+    const query = format === 'xlsx' ? 'format=xlsx' : `format=${format}&report=${report}`;
+    downloadFile(`/api/campaigns/${viewedCampaignId}?${query}`, `campaign-${viewedCampaignId}-${report}.${format}`);
+}
+
+// ==================== DRIP SEQUENCES ====================
+
+const SEQUENCE_UNITS = { minutes: 'minute(s)', hours: 'hour(s)', days: 'day(s)' };
+const SEQUENCE_CONDITIONS = {
+    replied: 'the contact replied',
+    not_replied: 'the contact has not replied',
+    read: 'the previous message was read',
+    not_read: 'the previous message was not read',
+    tag: 'the contact has the tag',
+    no_tag: 'the contact does not have the tag'
+};
+
+async function loadSequences() {
+    try {
+        const response = await apiFetch('/api/sequences');
+        sequences = await response.json();
+        renderSequences();
+    } catch (error) {
+        console.error('Error loading sequences:', error);
+    }
+}
+
+function renderSequences() {
+    const tbody = document.getElementById('sequencesList');
+    
+    if (sequences.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center">No sequences</td></tr>';
+        return;
+    }
+    
+    const badges = {
+        active: '<span class="badge badge-success">Active</span>',
+        paused: '<span class="badge badge-warning">Paused</span>'
+    };
+    
+    tbody.innerHTML = sequences.map(sequence => `
+        <tr>
+            <td>${escapeHtml(sequence.name)}</td>
+            <td>${sequence.steps.length}</td>
+            <td>${sequence.enrollments.active}</td>
+            <td>${sequence.enrollments.completed}</td>
+            <td>${sequence.enrollments.exited}</td>
+            <td>${badges[sequence.status] || sequence.status}</td>
+            <td>
+                <button class="btn btn-sm btn-primary manage-only" onclick="openEnrollModal(${sequence.id})">
+                    <i class="fas fa-user-plus"></i> Enroll
+                </button>
+                ${sequence.status === 'active' ? `
+                    <button class="btn btn-sm btn-secondary manage-only" onclick="pauseSequence(${sequence.id})">
+                        <i class="fas fa-pause"></i>
+                    </button>` : `
+                    <button class="btn btn-sm btn-primary manage-only" onclick="resumeSequence(${sequence.id})">
+                        <i class="fas fa-play"></i>
+                    </button>`}
+                <button class="btn btn-sm btn-secondary" onclick="viewSequence(${sequence.id})">
+                    <i class="fas fa-eye"></i>
+                </button>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteSequence(${sequence.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function openSequenceModal() {
+    const form = document.getElementById('sequenceForm');
+    form.reset();
+    document.getElementById('sequenceSteps').innerHTML = '';
+    addSequenceStep();
+    toggleSequenceWindow();
+    
+    document.getElementById('sequenceInstanceSelector').innerHTML = instances.map(instance => {
+        const name = instance.instanceName || instance.name;
+        return `
+            <label class="contact-item">
+                <input type="checkbox" class="sequence-instance-checkbox" value="${name}" ${name === defaultInstance ? 'checked' : ''}>
+                <span>${name} (${instance.state})</span>
+            </label>
+        `;
+    }).join('');
+    
+    document.getElementById('sequenceModal').style.display = 'block';
+}
+
+function addSequenceStep() {
+    const container = document.getElementById('sequenceSteps');
+    container.insertAdjacentHTML('beforeend', `
+        <div class="sequence-step">
+            <div class="tab-header">
+                <h4 class="sequence-step-title"></h4>
+                <button type="button" class="btn btn-sm btn-danger sequence-step-remove" onclick="removeSequenceStep(this)">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+            <div class="sequence-step-timing">
+                <span class="sequence-step-after"></span>
+                <input type="number" class="sequence-step-delay" min="0" step="any" value="${container.children.length ? 3 : 0}">
+                <select class="sequence-step-unit">
+                    ${Object.entries(SEQUENCE_UNITS).map(([unit, label]) => `<option value="${unit}" ${unit === 'days' ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </div>
+            <div class="sequence-step-timing">
+                <span>Only if</span>
+                <select class="sequence-step-condition" onchange="toggleSequenceStepTag(this)">
+                    <option value="">always</option>
+                    ${Object.entries(SEQUENCE_CONDITIONS).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+                </select>
+                <input type="text" class="sequence-step-tag" placeholder="tag" style="display:none;">
+                <span>otherwise</span>
+                <select class="sequence-step-otherwise">
+                    <option value="skip">skip this step</option>
+                    <option value="exit">end the sequence</option>
+                </select>
+            </div>
+            <textarea class="sequence-step-message" rows="3" required placeholder="Hi {first_name|there}, ..."></textarea>
+        </div>
+    `);
+    numberSequenceSteps();
+}
+
+function removeSequenceStep(button) {
+    button.closest('.sequence-step').remove();
+    numberSequenceSteps();
+}
+
+// Step titles, and "after enrolling" for the first step
+function numberSequenceSteps() {
+    const steps = document.querySelectorAll('#sequenceSteps .sequence-step');
+    steps.forEach((step, index) => {
+        step.querySelector('.sequence-step-title').textContent = `Step ${index + 1}`;
+        step.querySelector('.sequence-step-after').textContent = index === 0 ? 'Send after enrolling, wait' : 'Wait after the previous step';
+        step.querySelector('.sequence-step-remove').style.display = steps.length > 1 ? '' : 'none';
+    });
+}
+
+function toggleSequenceStepTag(select) {
+    const tag = select.parentElement.querySelector('.sequence-step-tag');
+    tag.style.display = ['tag', 'no_tag'].includes(select.value) ? '' : 'none';
+}
+
+function readSequenceSteps() {
+    return Array.from(document.querySelectorAll('#sequenceSteps .sequence-step')).map(step => {
+        const type = step.querySelector('.sequence-step-condition').value;
+        return {
+            message: step.querySelector('.sequence-step-message').value,
+            delay: step.querySelector('.sequence-step-delay').value,
+            unit: step.querySelector('.sequence-step-unit').value,
+            condition: type ? { type, tag: step.querySelector('.sequence-step-tag').value } : null,
+            otherwise: step.querySelector('.sequence-step-otherwise').value
+        };
+    });
+}
+
+function toggleSequenceWindow() {
+    const checked = document.getElementById('sequenceWindowCheckbox').checked;
+    document.getElementById('sequenceWindowGroup').style.display = checked ? 'flex' : 'none';
+}
+
+async function handleCreateSequence(e) {
+    e.preventDefault();
+    
+    const formData = new FormData(e.target);
+    const data = {
+        name: formData.get('name'),
+        description: formData.get('description'),
+        steps: readSequenceSteps(),
+        exit_on_reply: formData.get('exit_on_reply') === 'on',
+        instances: Array.from(document.querySelectorAll('.sequence-instance-checkbox:checked')).map(cb => cb.value),
+        timezone: formData.get('timezone'),
+        send_window: document.getElementById('sequenceWindowCheckbox').checked
+            ? { start: formData.get('window_start'), end: formData.get('window_end') }
+            : null
+    };
+    
+    try {
+        const response = await apiFetch('/api/sequences', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            closeModal('sequenceModal');
+            loadSequences();
+            showNotification(`Sequence "${result.name}" created; enroll contacts to start it`, 'success');
+        } else {
+            showNotification('Error creating sequence: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error creating sequence: ' + error.message, 'error');
+    }
+}
+
+async function setSequenceState(id, action) {
+    try {
+        const response = await apiFetch(`/api/sequences/${id}/${action}`, { method: 'POST' });
+        if (response.ok) {
+            loadSequences();
+        } else {
+            const result = await response.json();
+            showNotification(`Error: ${result.error}`, 'error');
+        }
+    } catch (error) {
+        showNotification(`Error: ${error.message}`, 'error');
+    }
+}
+
+function pauseSequence(id) {
+    setSequenceState(id, 'pause');
+}
+
+function resumeSequence(id) {
+    setSequenceState(id, 'resume');
+}
+
+async function deleteSequence(id) {
+    if (!confirm('Delete this sequence? Contacts still in it will not get its remaining steps.')) return;
+    
+    try {
+        const response = await apiFetch(`/api/sequences/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadSequences();
+        } else {
+            const result = await response.json();
+            showNotification('Error deleting sequence: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting sequence: ' + error.message, 'error');
+    }
+}
+
+async function openEnrollModal(id) {
+    const sequence = sequences.find(s => s.id === id);
+    enrollingSequenceId = id;
+    document.getElementById('enrollSequenceForm').reset();
+    document.getElementById('enrollSequenceName').textContent = sequence ? sequence.name : 'Sequence';
+    
+    await Promise.all([loadContacts(), loadSegments()]);
+    document.getElementById('enrollContactSelector').innerHTML = contacts.map(contact => `
+        <div class="contact-item">
+            <input type="checkbox" class="enroll-contact-checkbox" value="${contact.id}">
+            <span>${escapeHtml(contact.name)} - ${escapeHtml(contact.phone)}</span>
+        </div>
+    `).join('');
+    document.getElementById('enrollSegmentSelect').innerHTML = segments.length
+        ? segments.map(segment => `<option value="${segment.id}">${escapeHtml(segment.name)}</option>`).join('')
+        : '<option value="">No segments yet</option>';
+    toggleEnrollMode();
+    
+    document.getElementById('enrollSequenceModal').style.display = 'block';
+}
+
+function toggleEnrollMode() {
+    const bySegment = document.getElementById('enrollSequenceMode').value === 'segment';
+    document.getElementById('enrollContactsGroup').style.display = bySegment ? 'none' : 'block';
+    document.getElementById('enrollSegmentGroup').style.display = bySegment ? 'block' : 'none';
+}
+
+async function handleEnrollSequence(e) {
+    e.preventDefault();
+    
+    const data = document.getElementById('enrollSequenceMode').value === 'segment'
+        ? { segment_id: document.getElementById('enrollSegmentSelect').value }
+        : { contact_ids: Array.from(document.querySelectorAll('.enroll-contact-checkbox:checked')).map(cb => Number(cb.value)) };
+    
+    try {
+        const response = await apiFetch(`/api/sequences/${enrollingSequenceId}/enroll`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        const result = await response.json();
+        
+        if (response.ok) {
+            closeModal('enrollSequenceModal');
+            loadSequences();
+            const skipped = [
+                result.already_enrolled ? `${result.already_enrolled} already in it` : '',
+                result.suppressed ? `${result.suppressed} opted out` : ''
+            ].filter(Boolean).join(', ');
+            showNotification(`${result.enrolled} contact(s) enrolled${skipped ? ` (${skipped})` : ''}`, 'success');
+        } else {
+            showNotification('Error enrolling contacts: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error enrolling contacts: ' + error.message, 'error');
+    }
+}
+
+function describeSequenceStep(step, index) {
+    const wait = step.delay ? `${step.delay} ${SEQUENCE_UNITS[step.unit]} after ${index === 0 ? 'enrolling' : 'the previous step'}` : (index === 0 ? 'On enrolling' : 'Right after the previous step');
+    if (!step.condition) return wait;
+    const tag = step.condition.tag ? ` "${step.condition.tag}"` : '';
+    return `${wait}, if ${SEQUENCE_CONDITIONS[step.condition.type]}${tag} (otherwise ${step.otherwise === 'exit' ? 'end' : 'skip'})`;
+}
+
+async function viewSequence(id) {
+    try {
+        const response = await apiFetch(`/api/sequences/${id}`);
+        const sequence = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error loading sequence: ' + sequence.error, 'error');
+            return;
+        }
+        
+        viewedSequenceId = sequence.id;
+        document.getElementById('sequenceDetailsName').textContent = sequence.name;
+        document.getElementById('sequenceDetailsSummary').textContent = [
+            sequence.description,
+            `${sequence.enrollments.active} in progress, ${sequence.enrollments.completed} completed, ${sequence.enrollments.exited} exited`,
+            sequence.exit_on_reply ? 'contacts who reply leave it' : 'replies do not end it',
+            sequence.send_window ? `sends ${describeSendWindow(sequence.send_window)}${sequence.timezone ? ` (${sequence.timezone})` : ''}` : '',
+            sequence.status
+        ].filter(Boolean).join(' · ');
+        document.getElementById('sequenceDetailsSteps').innerHTML = sequence.steps.map((step, index) => `
+            <tr>
+                <td>${index + 1}</td>
+                <td class="ab-message" title="${escapeHtml(step.message)}">${escapeHtml(step.message)}</td>
+                <td>${escapeHtml(describeSequenceStep(step, index))}</td>
+                <td>${step.stats.sent}</td>
+                <td>${step.stats.read} (${step.stats.readRate}%)</td>
+                <td>${step.stats.replied} (${step.stats.replyRate}%)</td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('sequenceDetailsModal').style.display = 'block';
+        loadSequenceEnrollments();
+    } catch (error) {
+        showNotification('Error loading sequence: ' + error.message, 'error');
+    }
+}
+
+async function loadSequenceEnrollments() {
+    const status = document.getElementById('sequenceEnrollmentFilter').value;
+    const tbody = document.getElementById('sequenceDetailsEnrollments');
+    
+    try {
+        const response = await apiFetch(`/api/sequences/${viewedSequenceId}/enrollments${status ? `?status=${status}` : ''}`);
+        const enrollments = await response.json();
+        const steps = sequences.find(s => s.id === viewedSequenceId)?.steps.length;
+        const badges = {
+            active: '<span class="badge badge-info">In progress</span>',
+            completed: '<span class="badge badge-success">Completed</span>',
+            exited: '<span class="badge badge-warning">Exited</span>'
+        };
+        
+        tbody.innerHTML = enrollments.length
+            ? enrollments.map(enrollment => `
+                <tr>
+                    <td>${escapeHtml(enrollment.contact_name || '')} ${escapeHtml(enrollment.contact_phone || '')}</td>
+                    <td>${badges[enrollment.status] || enrollment.status}${enrollment.exit_reason ? ` <small class="text-muted">${escapeHtml(enrollment.exit_reason.replace('_', ' '))}</small>` : ''}</td>
+                    <td>${enrollment.current_step}${steps ? ` / ${steps}` : ''} (${enrollment.messages_sent} sent)</td>
+                    <td>${enrollment.status === 'active' ? formatDateTime(enrollment.next_run_at) : '-'}</td>
+                    <td>${formatDateTime(enrollment.enrolled_at)}</td>
+                    <td>
+                        ${enrollment.status === 'active' ? `
+                            <button class="btn btn-sm btn-danger manage-only" onclick="exitSequenceEnrollment(${enrollment.id})" title="Remove from the sequence">
+                                <i class="fas fa-sign-out-alt"></i>
+                            </button>` : ''}
+                    </td>
+                </tr>
+            `).join('')
+            : '<tr><td colspan="6" class="text-center">No contacts</td></tr>';
+    } catch (error) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center">Error loading contacts</td></tr>';
+    }
+}
+
+async function exitSequenceEnrollment(enrollmentId) {
+    if (!confirm('Remove this contact from the sequence? Its remaining steps are not sent.')) return;
+    
+    try {
+        const response = await apiFetch(`/api/sequences/${viewedSequenceId}/enrollments/${enrollmentId}/exit`, { method: 'POST' });
+        if (response.ok) {
+            viewSequence(viewedSequenceId);
+            loadSequences();
+        } else {
+            const result = await response.json();
+            showNotification('Error: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error: ' + error.message, 'error');
+    }
+}
+
+// ==================== INBOX ====================
+
+async function loadConversations() {
+    try {
+        const response = await apiFetch('/api/conversations');
+        conversations = await response.json();
+        renderConversations();
+    } catch (error) {
+        console.error('Error loading conversations:', error);
+    }
+}
+
+function renderConversations() {
+    const container = document.getElementById('conversationsList');
+    const unread = conversations.reduce((sum, c) => sum + c.unread_count, 0);
+    const badge = document.getElementById('inboxUnread');
+    badge.textContent = unread;
+    badge.style.display = unread ? 'inline-block' : 'none';
+    
+    if (conversations.length === 0) {
+        container.innerHTML = '<p class="text-muted">No conversations yet</p>';
+        return;
+    }
+    
+    container.innerHTML = conversations.map(conversation => `
+        <div class="conversation-item ${activeConversation && activeConversation.id === conversation.id ? 'active' : ''}"
+             onclick="openConversation(${conversation.id})">
+            <strong>${conversation.contact_name || conversation.contact_phone}</strong>
+            ${conversation.unread_count ? `<span class="badge badge-danger">${conversation.unread_count}</span>` : ''}
+            <small>${conversation.last_message_preview || ''}</small>
+            <small>${conversation.instance} · ${formatDateTime(conversation.last_message_at)}</small>
+        </div>
+    `).join('');
+}
+
+async function openConversation(id) {
+    try {
+        const response = await apiFetch(`/api/conversations/${id}/messages`);
+        const thread = await response.json();
+        
+        activeConversation = thread.conversation;
+        threadBefore = thread.nextBefore;
+        document.getElementById('threadTitle').textContent =
+            `${thread.contact ? thread.contact.name : ''} (${thread.contact ? thread.contact.phone : thread.conversation.chat_id})`;
+        document.getElementById('threadMessages').innerHTML = thread.messages.map(renderThreadMessage).join('');
+        document.getElementById('loadOlderBtn').style.display = thread.hasMore ? 'inline-block' : 'none';
+        document.getElementById('replyForm').style.display = 'flex';
+        
+        const list = document.getElementById('threadMessages');
+        list.scrollTop = list.scrollHeight;
+        
+        if (thread.conversation.unread_count > 0) {
+            await apiFetch(`/api/conversations/${id}/read`, { method: 'POST' });
+        }
+        renderConversations();
+    } catch (error) {
+        showNotification('Error loading conversation: ' + error.message, 'error');
+    }
+}
+
+async function loadOlderMessages() {
+    if (!activeConversation || !threadBefore) return;
+    
+    try {
+        const response = await apiFetch(`/api/conversations/${activeConversation.id}/messages?before=${threadBefore}`);
+        const thread = await response.json();
+        
+        threadBefore = thread.nextBefore;
+        document.getElementById('threadMessages').insertAdjacentHTML('afterbegin', thread.messages.map(renderThreadMessage).join(''));
+        document.getElementById('loadOlderBtn').style.display = thread.hasMore ? 'inline-block' : 'none';
+    } catch (error) {
+        showNotification('Error loading messages: ' + error.message, 'error');
+    }
+}
+
+function renderThreadMessage(message) {
+    return `
+        <div class="thread-message ${message.direction}">
+            ${escapeHtml(message.body)}
+            <small>${formatDateTime(message.created_at)}${message.direction === 'out' ? ' · ' + message.status : ''}</small>
+        </div>
+    `;
+}
+
+async function handleReply(e) {
+    e.preventDefault();
+    if (!activeConversation) return;
+    
+    const formData = new FormData(e.target);
+    
+    try {
+        const response = await apiFetch(`/api/conversations/${activeConversation.id}/reply`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ text: formData.get('text') })
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            showNotification('Error sending reply: ' + result.error, 'error');
+            return;
+        }
+        e.target.reset();
+        openConversation(activeConversation.id);
+    } catch (error) {
+        showNotification('Error sending reply: ' + error.message, 'error');
+    }
+}
+
+// ==================== AUTO-REPLIES ====================
+
+const AUTO_REPLY_MATCH_LABELS = {
+    contains: 'contains',
+    exact: 'is exactly',
+    regex: 'matches',
+    first_message: 'first message from the contact'
+};
+
+async function loadAutoReplies() {
     try {
-        const response = await fetch('/api/contacts');
-        contacts = await response.json();
-        renderContacts();
+        const response = await apiFetch('/api/auto-replies');
+        autoReplies = await response.json();
+        renderAutoReplies();
     } catch (error) {
-        console.error('Error loading contacts:', error);
+        console.error('Error loading auto-replies:', error);
     }
 }
 
-function renderContacts() {
-    const tbody = document.getElementById('contactsList');
+function describeAutoReplyMatch(rule) {
+    if (rule.match_type === 'first_message') return AUTO_REPLY_MATCH_LABELS.first_message;
+    const pattern = rule.match_type === 'regex' ? `/${rule.pattern}/` : `"${rule.pattern}"`;
+    const hours = rule.business_hours
+        ? `, ${rule.hours_mode} ${describeSendWindow(rule.business_hours)}${rule.timezone ? ` (${rule.timezone})` : ''}`
+        : '';
+    return `${AUTO_REPLY_MATCH_LABELS[rule.match_type]} ${pattern}${hours}`;
+}
+
+function describeAutoReplyActions(rule) {
+    return rule.actions.map(action => {
+        if (action.type === 'add_tag') return `tag "${action.tag}"`;
+        if (action.type === 'enroll') {
+            const sequence = sequences.find(s => s.id === action.sequence_id);
+            return `enroll in ${sequence ? `"${sequence.name}"` : `sequence ${action.sequence_id}`}`;
+        }
+        return 'notify operators';
+    }).join(', ') || '-';
+}
+
+function renderAutoReplies() {
+    const tbody = document.getElementById('autoRepliesList');
     
-    if (contacts.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No contacts found</td></tr>';
+    if (autoReplies.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="text-center">No auto-reply rules</td></tr>';
         return;
     }
     
-    tbody.innerHTML = contacts.map(contact => `
+    tbody.innerHTML = autoReplies.map(rule => `
         <tr>
-            <td><input type="checkbox" class="contact-checkbox" value="${contact.id}"></td>
-            <td>${contact.name}</td>
-            <td>${contact.phone}</td>
-            <td>${contact.email || '-'}</td>
-            <td>${contact.tags || '-'}</td>
+            <td>${rule.priority}</td>
+            <td>${escapeHtml(rule.name)}</td>
+            <td>${escapeHtml(describeAutoReplyMatch(rule))}</td>
+            <td class="ab-message" title="${escapeHtml(rule.response_text || '')}">
+                ${rule.response_type === 'none' ? '-' : rule.response_type === 'template'
+                    ? `Template ${escapeHtml((templates.find(t => t.id === rule.template_id) || {}).name || rule.template_id)}`
+                    : `${rule.response_type === 'media' ? '<i class="fas fa-paperclip"></i> ' : ''}${escapeHtml(rule.response_text || '')}`}
+            </td>
+            <td>${escapeHtml(describeAutoReplyActions(rule))}</td>
+            <td>${rule.fire_count}${rule.last_fired_at ? ` <small class="text-muted">last ${formatDateTime(rule.last_fired_at)}</small>` : ''}</td>
             <td>
-                <button class="btn btn-sm btn-secondary" onclick="editContact(${contact.id})">
-                    <i class="fas fa-edit"></i>
-                </button>
-                <button class="btn btn-sm btn-danger" onclick="deleteContact(${contact.id})">
+                <input type="checkbox" class="manage-only" ${rule.active ? 'checked' : ''} onchange="toggleAutoReply(${rule.id}, this.checked)">
+            </td>
+            <td>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteAutoReply(${rule.id})">
                     <i class="fas fa-trash"></i>
                 </button>
             </td>
@@ -160,201 +2787,244 @@ function renderContacts() {
     `).join('');
 }
 
-async function handleAddContact(e) {
+async function openAutoReplyModal() {
+    const form = document.getElementById('autoReplyForm');
+    form.reset();
+    document.getElementById('autoReplyHoursCheckbox').checked = false;
+    
+    await Promise.all([loadTemplates(), loadSequences()]);
+    document.getElementById('autoReplyTemplateSelect').innerHTML = templates.length
+        ? templates.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('')
+        : '<option value="">No templates yet</option>';
+    document.getElementById('autoReplySequenceSelect').innerHTML = sequences.length
+        ? sequences.map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`).join('')
+        : '<option value="">No sequences yet</option>';
+    toggleAutoReplyFields();
+    
+    document.getElementById('autoReplyModal').style.display = 'block';
+}
+
+function toggleAutoReplyFields() {
+    const matchType = document.getElementById('autoReplyMatchType').value;
+    const responseType = document.getElementById('autoReplyResponseType').value;
+    document.getElementById('autoReplyPatternGroup').style.display = matchType === 'first_message' ? 'none' : 'block';
+    document.getElementById('autoReplyTextGroup').style.display = ['text', 'media'].includes(responseType) ? 'block' : 'none';
+    document.getElementById('autoReplyMediaGroup').style.display = responseType === 'media' ? 'block' : 'none';
+    document.getElementById('autoReplyTemplateGroup').style.display = responseType === 'template' ? 'block' : 'none';
+    document.getElementById('autoReplyHoursGroup').style.display =
+        document.getElementById('autoReplyHoursCheckbox').checked ? 'block' : 'none';
+}
+
+async function handleCreateAutoReply(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
-    const data = {
-        name: formData.get('name'),
-        phone: formData.get('phone'),
-        email: formData.get('email'),
-        tags: formData.get('tags')?.split(',').map(t => t.trim()) || [],
-        custom_fields: {}
-    };
+    const form = e.target;
+    const formData = new FormData(form);
+    const actions = [];
+    if (document.getElementById('autoReplyTagAction').checked) {
+        actions.push({ type: 'add_tag', tag: document.getElementById('autoReplyTag').value });
+    }
+    if (document.getElementById('autoReplyEnrollAction').checked) {
+        actions.push({ type: 'enroll', sequence_id: document.getElementById('autoReplySequenceSelect').value });
+    }
+    if (document.getElementById('autoReplyNotifyAction').checked) {
+        actions.push({ type: 'notify', message: document.getElementById('autoReplyNotifyMessage').value });
+    }
+    formData.set('actions', JSON.stringify(actions));
+    formData.set('case_sensitive', formData.get('case_sensitive') === 'on');
+    if (document.getElementById('autoReplyHoursCheckbox').checked) {
+        formData.set('business_hours', JSON.stringify({
+            start: formData.get('hours_start'),
+            end: formData.get('hours_end'),
+            days: formData.getAll('hours_days').map(Number)
+        }));
+    } else {
+        formData.delete('timezone');
+    }
+    ['hours_start', 'hours_end', 'hours_days'].forEach(field => formData.delete(field));
     
     try {
-        const response = await fetch('/api/contacts', {
+        const response = await apiFetch('/api/auto-replies', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(data)
+            body: formData
         });
+        const result = await response.json();
         
         if (response.ok) {
-            closeModal('addContactModal');
-            e.target.reset();
-            loadContacts();
-            showNotification('Contact added successfully', 'success');
+            closeModal('autoReplyModal');
+            loadAutoReplies();
+            showNotification(`Auto-reply "${result.name}" created`, 'success');
+        } else {
+            showNotification('Error creating auto-reply: ' + result.error, 'error');
         }
     } catch (error) {
-        showNotification('Error adding contact: ' + error.message, 'error');
+        showNotification('Error creating auto-reply: ' + error.message, 'error');
     }
 }
 
-async function handleImportContacts(e) {
+async function toggleAutoReply(id, active) {
+    try {
+        const response = await apiFetch(`/api/auto-replies/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ active })
+        });
+        if (!response.ok) {
+            const result = await response.json();
+            showNotification('Error updating auto-reply: ' + result.error, 'error');
+        }
+        loadAutoReplies();
+    } catch (error) {
+        showNotification('Error updating auto-reply: ' + error.message, 'error');
+    }
+}
+
+async function deleteAutoReply(id) {
+    if (!confirm('Delete this auto-reply rule?')) return;
+    
+    try {
+        const response = await apiFetch(`/api/auto-replies/${id}`, { method: 'DELETE' });
+        if (response.ok) {
+            loadAutoReplies();
+        } else {
+            const result = await response.json();
+            showNotification('Error deleting auto-reply: ' + result.error, 'error');
+        }
+    } catch (error) {
+        showNotification('Error deleting auto-reply: ' + error.message, 'error');
+    }
+}
+
+// Which rule would answer a sample message; nothing is sent
+async function handleTestAutoReply(e) {
     e.preventDefault();
     
     const formData = new FormData(e.target);
+    const container = document.getElementById('autoReplyTestResult');
     
     try {
-        const response = await fetch('/api/contacts/import', {
+        const response = await apiFetch('/api/auto-replies/test', {
             method: 'POST',
-            body: formData
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                body: formData.get('body'),
+                phone: formData.get('phone') || undefined,
+                at: formData.get('at') || undefined
+            })
         });
-        
         const result = await response.json();
         
-        if (response.ok) {
-            closeModal('importModal');
-            e.target.reset();
-            loadContacts();
-            showNotification(`${result.imported} contacts imported successfully`, 'success');
+        if (!response.ok) {
+            container.innerHTML = `<p class="text-muted">${escapeHtml(result.error)}</p>`;
+            return;
         }
+        
+        const reply = result.response
+            ? `${result.response.media_url ? '<i class="fas fa-paperclip"></i> ' : ''}${escapeHtml(result.response.text || '')}`
+            : 'no reply';
+        container.innerHTML = `
+            <p><strong>${result.matched ? `"${escapeHtml(result.rule.name)}" answers:` : 'No rule answers this message.'}</strong>
+                ${result.matched ? `${reply}; then ${escapeHtml(describeAutoReplyActions(result))}` : ''}</p>
+            <ul class="text-muted">
+                ${result.checks.map(check => `<li>${escapeHtml(check.name)}: ${escapeHtml(check.result)}</li>`).join('')}
+            </ul>
+        `;
     } catch (error) {
-        showNotification('Error importing contacts: ' + error.message, 'error');
+        container.innerHTML = `<p class="text-muted">${escapeHtml(error.message)}</p>`;
     }
 }
 
-async function deleteContact(id) {
-    if (!confirm('Are you sure you want to delete this contact?')) return;
-    
-    try {
-        await fetch(`/api/contacts/${id}`, { method: 'DELETE' });
-        loadContacts();
-        showNotification('Contact deleted successfully', 'success');
-    } catch (error) {
-        showNotification('Error deleting contact: ' + error.message, 'error');
-    }
-}
+// ==================== MEDIA LIBRARY ====================
 
-// ==================== CAMPAIGNS ====================
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
 
-async function loadCampaigns() {
+async function loadMediaLibrary() {
     try {
-        const response = await fetch('/api/campaigns');
-        campaigns = await response.json();
-        renderCampaigns();
+        const response = await apiFetch('/api/media');
+        mediaLibrary = await response.json();
+        renderMediaLibrary();
+        updateMediaSelect();
     } catch (error) {
-        console.error('Error loading campaigns:', error);
+        console.error('Error loading media library:', error);
     }
 }
 
-function renderCampaigns() {
-    const tbody = document.getElementById('campaignsList');
+function renderMediaLibrary() {
+    const tbody = document.getElementById('mediaList');
     
-    if (campaigns.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="text-center">No campaigns found</td></tr>';
+    if (mediaLibrary.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center">No media uploaded</td></tr>';
         return;
     }
     
-    tbody.innerHTML = campaigns.map(campaign => {
-        const statusBadge = getStatusBadge(campaign.status);
-        return `
-            <tr>
-                <td>${campaign.name}</td>
-                <td>${statusBadge}</td>
-                <td>-</td>
-                <td>-</td>
-                <td>${new Date(campaign.created_at).toLocaleDateString()}</td>
-                <td>
-                    ${campaign.status === 'draft' || campaign.status === 'scheduled' ? 
-                        `<button class="btn btn-sm btn-primary" onclick="startCampaign(${campaign.id})">
-                            <i class="fas fa-play"></i> Start
-                        </button>` : ''}
-                    <button class="btn btn-sm btn-secondary" onclick="viewCampaign(${campaign.id})">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                    <button class="btn btn-sm btn-danger" onclick="deleteCampaign(${campaign.id})">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>
-            </tr>
-        `;
-    }).join('');
+    tbody.innerHTML = mediaLibrary.map(item => `
+        <tr>
+            <td><a href="${escapeHtml(item.url)}" target="_blank">${escapeHtml(item.original_name || item.filename)}</a></td>
+            <td>${escapeHtml(item.kind)} <small class="text-muted">${escapeHtml(item.mime_type)}</small></td>
+            <td>${formatFileSize(item.size)}</td>
+            <td>${formatDateTime(item.created_at)}</td>
+            <td>
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteMedia(${item.id})">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
 }
 
-function getStatusBadge(status) {
-    const badges = {
-        'draft': '<span class="badge badge-info">Draft</span>',
-        'scheduled': '<span class="badge badge-warning">Scheduled</span>',
-        'running': '<span class="badge badge-info">Running</span>',
-        'completed': '<span class="badge badge-success">Completed</span>',
-        'paused': '<span class="badge badge-warning">Paused</span>'
-    };
-    return badges[status] || status;
+function updateMediaSelect() {
+    document.getElementById('campaignMediaSelect').innerHTML = '<option value="">-- or pick from the media library --</option>' +
+        mediaLibrary.map(item => `<option value="${item.id}">${escapeHtml(item.original_name || item.filename)} (${formatFileSize(item.size)})</option>`).join('');
 }
 
-async function handleCreateCampaign(e) {
+async function handleUploadMedia(e) {
     e.preventDefault();
     
-    const formData = new FormData(e.target);
-    
-    // Get selected contacts
-    const checkboxes = document.querySelectorAll('.campaign-contact-checkbox:checked');
-    const contactIds = Array.from(checkboxes).map(cb => cb.value);
-    
-    if (contactIds.length === 0) {
-        alert('Please select at least one contact');
-        return;
-    }
-    
-    formData.append('contacts', JSON.stringify(contactIds));
-    
     try {
-        const response = await fetch('/api/campaigns', {
+        const response = await apiFetch('/api/media', {
             method: 'POST',
-            body: formData
+            body: new FormData(e.target)
         });
+        const result = await response.json();
         
         if (response.ok) {
-            closeModal('createCampaignModal');
             e.target.reset();
-            loadCampaigns();
-            showNotification('Campaign created successfully', 'success');
+            loadMediaLibrary();
+            showNotification(`Uploaded ${result.original_name}`, 'success');
+        } else {
+            showNotification('Error uploading media: ' + result.error, 'error');
         }
     } catch (error) {
-        showNotification('Error creating campaign: ' + error.message, 'error');
+        showNotification('Error uploading media: ' + error.message, 'error');
     }
 }
 
-async function startCampaign(id) {
-    if (!confirm('Are you sure you want to start this campaign?')) return;
+async function deleteMedia(id) {
+    if (!confirm('Delete this file from the media library?')) return;
     
     try {
-        const response = await fetch(`/api/campaigns/${id}/start`, {
-            method: 'POST'
-        });
-        
-        if (response.ok) {
-            loadCampaigns();
-            showNotification('Campaign started successfully', 'success');
+        const response = await apiFetch(`/api/media/${id}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const result = await response.json();
+            showNotification('Error deleting media: ' + result.error, 'error');
+            return;
         }
+        loadMediaLibrary();
+        showNotification('Media deleted', 'success');
     } catch (error) {
-        showNotification('Error starting campaign: ' + error.message, 'error');
-    }
-}
-
-async function deleteCampaign(id) {
-    if (!confirm('Are you sure you want to delete this campaign?')) return;
-    
-    try {
-        await fetch(`/api/campaigns/${id}`, { method: 'DELETE' });
-        loadCampaigns();
-        showNotification('Campaign deleted successfully', 'success');
-    } catch (error) {
-        showNotification('Error deleting campaign: ' + error.message, 'error');
+        showNotification('Error deleting media: ' + error.message, 'error');
     }
 }
 
-function updateCampaignProgress(data) {
-    console.log('Message sent:', data);
-    // You can update UI here to show real-time progress
-}
-
 // ==================== TEMPLATES ====================
 
 async function loadTemplates() {
     try {
-        const response = await fetch('/api/templates');
+        const response = await apiFetch('/api/templates');
         templates = await response.json();
         renderTemplates();
         updateTemplateSelect();
@@ -379,7 +3049,7 @@ function renderTemplates() {
                 <button class="btn btn-sm btn-secondary" onclick="useTemplate(${template.id})">
                     <i class="fas fa-check"></i> Use Template
                 </button>
-                <button class="btn btn-sm btn-danger" onclick="deleteTemplate(${template.id})">
+                <button class="btn btn-sm btn-danger manage-only" onclick="deleteTemplate(${template.id})">
                     <i class="fas fa-trash"></i>
                 </button>
             </div>
@@ -399,12 +3069,11 @@ async function handleCreateTemplate(e) {
     const formData = new FormData(e.target);
     const data = {
         name: formData.get('name'),
-        content: formData.get('content'),
-        variables: ['name', 'phone', 'email']
+        content: formData.get('content')
     };
     
     try {
-        const response = await fetch('/api/templates', {
+        const response = await apiFetch('/api/templates', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
@@ -415,6 +3084,9 @@ async function handleCreateTemplate(e) {
             e.target.reset();
             loadTemplates();
             showNotification('Template created successfully', 'success');
+        } else {
+            const result = await response.json();
+            showNotification('Error creating template: ' + result.error, 'error');
         }
     } catch (error) {
         showNotification('Error creating template: ' + error.message, 'error');
@@ -425,7 +3097,7 @@ async function deleteTemplate(id) {
     if (!confirm('Are you sure you want to delete this template?')) return;
     
     try {
-        await fetch(`/api/templates/${id}`, { method: 'DELETE' });
+        await apiFetch(`/api/templates/${id}`, { method: 'DELETE' });
         loadTemplates();
         showNotification('Template deleted successfully', 'success');
     } catch (error) {
@@ -442,25 +3114,217 @@ function loadTemplate() {
     const template = templates.find(t => t.id == templateId);
     if (template) {
         document.querySelector('[name="message"]').value = template.content;
+        scheduleCampaignPreview();
+    }
+}
+
+// ==================== TEMPLATE PREVIEW ====================
+
+let previewTimer = null;
+
+function scheduleCampaignPreview() {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updateCampaignPreview, 300);
+}
+
+async function updateCampaignPreview() {
+    const form = document.getElementById('createCampaignForm');
+    const container = document.getElementById('campaignPreview');
+    const content = form.elements.message.value;
+    
+    if (!content.trim()) {
+        container.innerHTML = '<p class="text-muted">Type a message to preview it</p>';
+        return;
+    }
+    
+    const segmentId = form.elements.recipient_mode.value === 'segment' ? form.elements.segment_id.value : null;
+    const contactIds = segmentId ? [] : Array.from(document.querySelectorAll('.campaign-contact-checkbox:checked'))
+        .slice(0, 3)
+        .map(cb => Number(cb.value));
+    
+    try {
+        const response = await apiFetch('/api/templates/preview', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                content,
+                contact_ids: contactIds,
+                segment_id: segmentId || undefined,
+                sample_size: 3,
+                has_media: form.elements.media.files.length > 0
+            })
+        });
+        renderCampaignPreview(await response.json());
+    } catch (error) {
+        console.error('Error rendering preview:', error);
+    }
+}
+
+function renderCampaignPreview(result) {
+    const container = document.getElementById('campaignPreview');
+    
+    if (!result.valid) {
+        container.innerHTML = `<p class="preview-warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(result.error)}</p>`;
+        return;
+    }
+    
+    const warnings = [];
+    if (result.unknown.length) {
+        warnings.push(`Not a field of these contacts: ${result.unknown.map(name => `{${escapeHtml(name)}}`).join(', ')}`);
     }
+    if (result.tooLong.length) {
+        warnings.push(`Longer than WhatsApp allows (${result.maxLength} characters)`);
+    }
+    
+    container.innerHTML = warnings.map(w => `<p class="preview-warning"><i class="fas fa-exclamation-triangle"></i> ${w}</p>`).join('') +
+        result.previews.map(preview => `
+            <div class="preview-item">
+                <small>${preview.contact_id ? `${escapeHtml(preview.name)} - ${escapeHtml(preview.phone)}` : 'No contacts yet'}
+                    · ${preview.length}/${result.maxLength} characters</small>
+                <div class="thread-message out">${formatWhatsApp(preview.text)}</div>
+                ${preview.missing.length ? `<small class="preview-warning">Empty: ${preview.missing.map(name => `{${escapeHtml(name)}}`).join(', ')}</small>` : ''}
+            </div>
+        `).join('');
+}
+
+// Show WhatsApp *bold*, _italic_, ~strike~ and ```mono``` the way the recipient will see them
+function formatWhatsApp(text) {
+    return escapeHtml(text)
+        .replace(/```([\s\S]+?)```/g, '<code>$1</code>')
+        .replace(/\*([^*\n]+)\*/g, '<strong>$1</strong>')
+        .replace(/\b_([^_\n]+)_\b/g, '<em>$1</em>')
+        .replace(/~([^~\n]+)~/g, '<del>$1</del>');
 }
 
 // ==================== ANALYTICS ====================
 
 async function loadAnalytics() {
     try {
-        const response = await fetch('/api/analytics');
+        const days = Number(document.getElementById('analyticsRange').value) || 7;
+        const from = new Date(Date.now() - days * 24 * 3600 * 1000).toISOString();
+        const response = await apiFetch(`/api/analytics?from=${encodeURIComponent(from)}`);
         const stats = await response.json();
         
         document.getElementById('totalContacts').textContent = stats.totalContacts || 0;
         document.getElementById('totalCampaigns').textContent = stats.totalCampaigns || 0;
         document.getElementById('messagesSent').textContent = stats.messagesSent || 0;
         document.getElementById('messagesFailed').textContent = stats.messagesFailed || 0;
+        renderAnalytics(document.getElementById('recentActivity'), stats);
     } catch (error) {
         console.error('Error loading analytics:', error);
     }
 }
 
+// Only while the details modal still shows that campaign
+async function loadCampaignAnalytics(id) {
+    try {
+        const response = await apiFetch(`/api/campaigns/${id}/analytics`);
+        const data = await response.json();
+        if (response.ok && viewedCampaignId === id) {
+            renderAnalytics(document.getElementById('campaignDetailsAnalytics'), data);
+        }
+    } catch (error) {
+        console.error('Error loading campaign analytics:', error);
+    }
+}
+
+function renderAnalytics(container, data) {
+    const { totals } = data;
+    if (!totals.sent && !totals.failed) {
+        container.innerHTML = '<p class="text-muted">No sending activity in this period</p>';
+        return;
+    }
+
+    const figures = [
+        ['Delivery rate', `${totals.deliveryRate}%`],
+        ['Read rate', `${totals.readRate}%`],
+        ['Reply rate', `${totals.replyRate}%`],
+        ['Failure rate', `${totals.failureRate}%`],
+        ['Avg. send time', data.avgLatencySeconds === null ? '-' : `${data.avgLatencySeconds}s`],
+        ['Throughput', data.throughputPerMinute === null ? '-' : `${data.throughputPerMinute}/min`]
+    ];
+
+    container.innerHTML = `
+        <div class="analytics-figures">
+            ${figures.map(([label, value]) => `
+                <div class="analytics-figure">
+                    <strong>${value}</strong>
+                    <span>${label}</span>
+                </div>
+            `).join('')}
+        </div>
+        ${analyticsChart(data.series, data.interval)}
+        <div class="analytics-legend">
+            <span class="legend-sent">Sent</span>
+            <span class="legend-failed">Failed</span>
+            <span class="legend-delivered">Delivered</span>
+            <span class="legend-read">Read</span>
+        </div>
+        <h4>Failures by reason</h4>
+        ${data.failures.length ? `
+            <ul class="analytics-failures">
+                ${data.failures.map(failure => `
+                    <li title="${escapeHtml(failure.example || '')}">
+                        <span>${escapeHtml(failure.reason)}</span>
+                        <strong>${failure.count}</strong>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '<p class="text-muted">No failures</p>'}
+    `;
+}
+
+// Stacked bars for sent and failed messages, lines for deliveries and reads
+function analyticsChart(series, interval) {
+    const width = 800;
+    const height = 200;
+    const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+    const plotWidth = width - padding.left - padding.right;
+    const plotHeight = height - padding.top - padding.bottom;
+
+    const max = Math.max(1, ...series.map(point => Math.max(point.sent + point.failed, point.delivered, point.read)));
+    const slot = plotWidth / Math.max(series.length, 1);
+    const y = (value) => padding.top + plotHeight - (value / max) * plotHeight;
+    const x = (index) => padding.left + index * slot + slot / 2;
+    const label = (time) => interval === 'hour'
+        ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : new Date(time).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+    const bars = series.map((point, index) => {
+        const barWidth = Math.max(slot * 0.7, 1);
+        const left = x(index) - barWidth / 2;
+        const tooltip = `${new Date(point.time).toLocaleString()}: ${point.sent} sent, ${point.failed} failed, ` +
+            `${point.delivered} delivered, ${point.read} read`;
+        return `
+            <g>
+                <title>${escapeHtml(tooltip)}</title>
+                <rect class="chart-sent" x="${left}" y="${y(point.sent)}" width="${barWidth}" height="${y(0) - y(point.sent)}"></rect>
+                <rect class="chart-failed" x="${left}" y="${y(point.sent + point.failed)}" width="${barWidth}" height="${y(0) - y(point.failed)}"></rect>
+            </g>
+        `;
+    }).join('');
+
+    const line = (key) => `<polyline class="chart-${key}" points="${series.map((point, index) => `${x(index)},${y(point[key])}`).join(' ')}"></polyline>`;
+
+    // Around eight labels along the time axis
+    const every = Math.max(1, Math.ceil(series.length / 8));
+    const labels = series.map((point, index) => index % every === 0
+        ? `<text x="${x(index)}" y="${height - 6}" text-anchor="middle">${label(point.time)}</text>`
+        : '').join('');
+
+    return `
+        <svg class="analytics-chart" viewBox="0 0 ${width} ${height}" role="img">
+            <line class="chart-axis" x1="${padding.left}" y1="${y(0)}" x2="${width - padding.right}" y2="${y(0)}"></line>
+            <text x="${padding.left - 6}" y="${y(max) + 4}" text-anchor="end">${max}</text>
+            <text x="${padding.left - 6}" y="${y(0) + 4}" text-anchor="end">0</text>
+            ${bars}
+            ${line('delivered')}
+            ${line('read')}
+            ${labels}
+        </svg>
+    `;
+}
+
 // ==================== MODALS ====================
 
 function openAddContactModal() {
@@ -468,6 +3332,10 @@ function openAddContactModal() {
 }
 
 function openImportModal() {
+    currentImport = null;
+    document.getElementById('importForm').reset();
+    document.getElementById('importMappingForm').reset();
+    showImportStep('importForm');
     document.getElementById('importModal').style.display = 'block';
 }
 
@@ -482,21 +3350,50 @@ async function openCreateCampaignModal() {
         </div>
     `).join('');
     
+    document.getElementById('campaignInstanceSelector').innerHTML = instances.map(instance => {
+        const name = instance.instanceName || instance.name;
+        return `
+            <label class="contact-item">
+                <input type="checkbox" class="campaign-instance-checkbox" value="${name}" ${name === defaultInstance ? 'checked' : ''}>
+                <span>${name} (${instance.state})</span>
+            </label>
+        `;
+    }).join('');
+    
+    await loadSegments();
+    const segmentSelect = document.getElementById('campaignSegmentSelect');
+    segmentSelect.innerHTML = segments.length
+        ? segments.map(segment => `<option value="${segment.id}">${escapeHtml(segment.name)}</option>`).join('')
+        : '<option value="">No segments yet</option>';
+    toggleCampaignRecipients();
+    
+    await loadMediaLibrary();
+    
+    updateCampaignPreview();
     document.getElementById('createCampaignModal').style.display = 'block';
 }
 
+function toggleCampaignRecipients() {
+    const bySegment = document.getElementById('campaignRecipientMode').value === 'segment';
+    document.getElementById('campaignContactsGroup').style.display = bySegment ? 'none' : 'block';
+    document.getElementById('campaignSegmentGroup').style.display = bySegment ? 'block' : 'none';
+    scheduleCampaignPreview();
+}
+
 function openCreateTemplateModal() {
     document.getElementById('createTemplateModal').style.display = 'block';
 }
 
 function closeModal(modalId) {
     document.getElementById(modalId).style.display = 'none';
+    if (modalId === 'campaignDetailsModal') viewedCampaignId = null;
+    if (modalId === 'sequenceDetailsModal') viewedSequenceId = null;
 }
 
 // Close modal when clicking outside
 window.onclick = function(event) {
     if (event.target.classList.contains('modal')) {
-        event.target.style.display = 'none';
+        closeModal(event.target.id);
     }
 }
 
@@ -504,15 +3401,97 @@ function toggleSchedule() {
     const checkbox = document.getElementById('scheduleCheckbox');
     const group = document.getElementById('scheduleGroup');
     group.style.display = checkbox.checked ? 'block' : 'none';
+    if (checkbox.checked && document.getElementById('recurringCheckbox').checked) {
+        document.getElementById('recurringCheckbox').checked = false;
+        toggleRecurring();
+    }
+}
+
+// ==================== TIME ZONES ====================
+
+// Times are shown in the operator's (browser's) zone
+const OPERATOR_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fill the time zone pickers; campaigns, sequences and auto-replies default to the operator's zone
+function populateTimezoneSelects() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+    if (!zones.includes(OPERATOR_TIMEZONE)) zones.unshift(OPERATOR_TIMEZONE);
+    
+    document.querySelectorAll('.timezone-select').forEach(select => {
+        if (select.dataset.filled) return;
+        select.dataset.filled = 'true';
+        zones.forEach(zone => {
+            const option = new Option(zone, zone);
+            if (['campaignTimezone', 'sequenceTimezone', 'autoReplyTimezone'].includes(select.id) && zone === OPERATOR_TIMEZONE) {
+                option.defaultSelected = option.selected = true;
+            }
+            select.add(option);
+        });
+    });
+}
+
+function toggleSendWindow() {
+    const checked = document.getElementById('sendWindowCheckbox').checked;
+    document.getElementById('sendWindowGroup').style.display = checked ? 'block' : 'none';
+}
+
+// The sending window of the campaign form as sent to the API, or null to send at any hour
+function sendWindowField(formData) {
+    if (!document.getElementById('sendWindowCheckbox').checked) return null;
+    return JSON.stringify({
+        start: formData.get('window_start'),
+        end: formData.get('window_end'),
+        days: formData.getAll('window_days').map(Number)
+    });
+}
+
+function describeSendWindow(window) {
+    const days = window.days.length === 7 ? 'every day' : window.days.map(day => WEEKDAY_NAMES[day]).join(', ');
+    return `${window.start}-${window.end}, ${days}`;
 }
 
 // ==================== UTILITIES ====================
 
+// Save a file from an authenticated endpoint, under the name the server suggests
+async function downloadFile(url, fallbackName) {
+    try {
+        const response = await apiFetch(url);
+        if (!response.ok) {
+            const result = await response.json();
+            showNotification('Error downloading file: ' + result.error, 'error');
+            return;
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="?([^";]+)"?/);
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = match ? match[1] : fallbackName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    } catch (error) {
+        showNotification('Error downloading file: ' + error.message, 'error');
+    }
+}
+
 function showNotification(message, type = 'info') {
     // Simple alert for now - you can implement a better notification system
     alert(message);
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function formatDateTime(value) {
+    if (!value) return '-';
+    return new Date(value.replace(' ', 'T') + 'Z').toLocaleString();
+}
+
 function copyToClipboard(elementId) {
     const element = document.getElementById(elementId);
     const text = element.textContent;
@@ -1,11 +1,8 @@
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
-const qrcode = require('qrcode');
 const sqlite3 = require('sqlite3').verbose();
 const multer = require('multer');
-const csv = require('csv-parser');
 const fs = require('fs');
 const cron = require('node-cron');
 const path = require('path');
@@ -13,6 +10,30 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 require('dotenv').config();
+const { InstanceManager } = require('./lib/instances');
+const CampaignQueue = require('./lib/queue');
+const { ERROR_CLASSES } = require('./lib/retries');
+const { recordAck, receiptStats, SENT_STATUSES, ACK_STATUS } = require('./lib/receipts');
+const inbox = require('./lib/inbox');
+const optout = require('./lib/optout');
+const auth = require('./lib/auth');
+const apikeys = require('./lib/apikeys');
+const template = require('./lib/template');
+const segments = require('./lib/segments');
+const phones = require('./lib/phones');
+const imports = require('./lib/imports');
+const contactExport = require('./lib/exports');
+const analytics = require('./lib/analytics');
+const reports = require('./lib/reports');
+const schedules = require('./lib/schedules');
+const timezones = require('./lib/timezones');
+const abtests = require('./lib/abtests');
+const sequences = require('./lib/sequences');
+const autoreplies = require('./lib/autoreplies');
+const media = require('./lib/media');
+const { getSetting, setSetting } = require('./lib/settings');
+const { WebhookDispatcher, EVENTS: WEBHOOK_EVENTS, ACK_STATUS: WEBHOOK_ACK_STATUS } = require('./lib/webhooks');
+const { addColumn, parseJSON, run, get, all } = require('./lib/db');
 
 const app = express();
 const server = http.createServer(app);
@@ -25,12 +46,21 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Rate limiting
+// Rate limiting, per API key (its own limit) or per signed-in user; applied after authentication
+const USER_RATE_LIMIT = parseInt(process.env.USER_RATE_LIMIT, 10) || 120;
 const limiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => req.apiKey ? req.apiKey.rate_limit : USER_RATE_LIMIT,
+    keyGenerator: (req) => req.apiKey ? `key:${req.apiKey.id}` : `user:${req.user.id}`,
+    message: { error: 'Too many requests, slow down' }
+});
+
+// Stricter limit on login attempts
+const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
-    max: 100
+    max: 10,
+    message: { error: 'Too many login attempts, try again later' }
 });
-app.use('/api/', limiter);
 
 // File upload configuration
 const storage = multer.diskStorage({
@@ -38,17 +68,46 @@ const storage = multer.diskStorage({
         cb(null, 'public/uploads/');
     },
     filename: (req, file, cb) => {
-        cb(null, Date.now() + '-' + file.originalname);
+        cb(null, Date.now() + '-' + media.originalName(file));
     }
 });
-const upload = multer({ storage: storage });
+const upload = multer({ storage: storage, limits: { fileSize: media.MAX_UPLOAD_BYTES } });
+
+// Add a request's uploads to the media library. The files then point at the library copy,
+// which is an earlier upload when the same file was uploaded before.
+async function addUploadsToLibrary(req) {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    for (const file of files) {
+        const item = await media.register(db, file, { createdBy: req.user ? req.user.id : null });
+        file.filename = item.filename;
+        file.mimetype = item.mime_type;
+    }
+}
+
+// The media of a request with a single 'media' upload or a library media_id, or null for none
+async function requestMedia(req) {
+    await addUploadsToLibrary(req);
+    if (req.file) return { media_url: `/uploads/${req.file.filename}`, media_type: req.file.mimetype };
+    if (!req.body.media_id) return null;
+    const item = await media.find(db, req.body.media_id);
+    return { media_url: item.url, media_type: item.mime_type };
+}
 
 // Database setup
+if (!fs.existsSync('./database')) {
+    fs.mkdirSync('./database');
+}
+
 const db = new sqlite3.Database('./database/database.db', (err) => {
     if (err) console.error(err);
     console.log('✅ Database connected');
 });
 
+// Promise versions of db.run/get/all for async route handlers
+const dbRun = (sql, params) => run(db, sql, params);
+const dbGet = (sql, params) => get(db, sql, params);
+const dbAll = (sql, params) => all(db, sql, params);
+
 // Create tables
 db.serialize(() => {
     db.run(`CREATE TABLE IF NOT EXISTS contacts (
@@ -100,161 +159,722 @@ db.serialize(() => {
         key TEXT PRIMARY KEY,
         value TEXT
     )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS instances (
+        name TEXT PRIMARY KEY,
+        driver TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Campaigns send through one instance or a rotation of several (JSON array of names)
+    addColumn(db, 'campaigns', 'instances', 'TEXT');
+    addColumn(db, 'messages', 'instance', 'TEXT');
+
+    // Queue bookkeeping: worker lease on in-flight messages, start time for FIFO ordering
+    addColumn(db, 'messages', 'locked_by', 'TEXT');
+    addColumn(db, 'messages', 'locked_until', 'DATETIME');
+    addColumn(db, 'campaigns', 'started_at', 'DATETIME');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_campaign_status ON messages (campaign_id, status)`);
+
+    // Receipts: WhatsApp message id links acks back to the row
+    addColumn(db, 'messages', 'wa_message_id', 'TEXT');
+    addColumn(db, 'messages', 'played_at', 'DATETIME');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_wa_message_id ON messages (wa_message_id)`);
+
+    // Inbox: one conversation per contact chat and instance
+    db.run(`CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        contact_id INTEGER,
+        instance TEXT,
+        chat_id TEXT,
+        unread_count INTEGER DEFAULT 0,
+        last_message_at DATETIME,
+        last_message_preview TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (instance, chat_id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id)
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS conversation_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER,
+        direction TEXT,
+        wa_message_id TEXT UNIQUE,
+        body TEXT,
+        type TEXT,
+        status TEXT,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (conversation_id) REFERENCES conversations (id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_conversation_messages_thread ON conversation_messages (conversation_id, id)`);
+
+    // Numbers that asked us to stop (digits only)
+    db.run(`CREATE TABLE IF NOT EXISTS suppression_list (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        phone TEXT UNIQUE,
+        reason TEXT,
+        source TEXT,
+        contact_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Dashboard users; token_version is bumped to revoke refresh tokens
+    db.run(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        name TEXT,
+        password_hash TEXT NOT NULL,
+        role TEXT DEFAULT 'viewer',
+        active INTEGER DEFAULT 1,
+        token_version INTEGER DEFAULT 0,
+        last_login_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Keys for the Evolution-compatible API (instances/scopes are JSON arrays, [] instances = all)
+    db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        prefix TEXT,
+        key_hash TEXT UNIQUE NOT NULL,
+        instances TEXT DEFAULT '[]',
+        scopes TEXT,
+        rate_limit INTEGER,
+        daily_quota INTEGER,
+        usage_date TEXT,
+        usage_count INTEGER DEFAULT 0,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        revoked_at DATETIME
+    )`);
+
+    // Outgoing webhooks (events is a JSON array of event names, [] = all) and their delivery log
+    db.run(`CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        events TEXT DEFAULT '[]',
+        instance TEXT,
+        secret TEXT NOT NULL,
+        active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        instance TEXT,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME,
+        response_status INTEGER,
+        error TEXT,
+        replay_of INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks (id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status ON webhook_deliveries (status, next_attempt_at)`);
+
+    // Saved contact segments (rules is the JSON definition evaluated by lib/segments)
+    db.run(`CREATE TABLE IF NOT EXISTS segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        rules TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    // Guided CSV imports: the parsed rows wait in data until the mapping is confirmed
+    db.run(`CREATE TABLE IF NOT EXISTS contact_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT,
+        headers TEXT,
+        data TEXT,
+        total INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'pending',
+        mapping TEXT,
+        mode TEXT,
+        report TEXT,
+        inserted INTEGER DEFAULT 0,
+        updated INTEGER DEFAULT 0,
+        invalid INTEGER DEFAULT 0,
+        duplicate INTEGER DEFAULT 0,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME
+    )`);
+
+    // Campaigns can target a segment, resolved when created or when started ('creation' | 'send')
+    addColumn(db, 'campaigns', 'segment_id', 'INTEGER');
+    addColumn(db, 'campaigns', 'resolve_at', "TEXT DEFAULT 'creation'");
+    addColumn(db, 'campaigns', 'recipients_resolved_at', 'DATETIME');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_contact ON messages (contact_id)`);
+
+    // Analytics: when a worker picked the message up, for send latency
+    addColumn(db, 'messages', 'send_started_at', 'DATETIME');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_sent_at ON messages (sent_at)`);
+
+    // Retries: attempts made, when the next one is due, the class of the last error and
+    // every failed attempt (JSON array)
+    addColumn(db, 'messages', 'attempts', 'INTEGER DEFAULT 0');
+    addColumn(db, 'messages', 'next_attempt_at', 'DATETIME');
+    addColumn(db, 'messages', 'error_class', 'TEXT');
+    addColumn(db, 'messages', 'error_history', 'TEXT');
+
+    // Recurring campaigns; each run is a campaign with schedule_id set
+    db.run(`CREATE TABLE IF NOT EXISTS campaign_schedules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        message TEXT,
+        media_url TEXT,
+        media_type TEXT,
+        instances TEXT,
+        segment_id INTEGER,
+        contact_ids TEXT,
+        frequency TEXT NOT NULL,
+        time TEXT,
+        days TEXT,
+        day_of_month INTEGER,
+        cron TEXT NOT NULL,
+        starts_at DATETIME,
+        ends_at DATETIME,
+        max_runs INTEGER,
+        run_count INTEGER DEFAULT 0,
+        status TEXT DEFAULT 'active',
+        next_run_at DATETIME,
+        last_run_at DATETIME,
+        last_campaign_id INTEGER,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (segment_id) REFERENCES segments (id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_campaign_schedules_due ON campaign_schedules (status, next_run_at)`);
+    addColumn(db, 'campaigns', 'schedule_id', 'INTEGER');
+
+    // Time zones (IANA names) and sending windows
+    addColumn(db, 'campaigns', 'timezone', 'TEXT');
+    addColumn(db, 'campaigns', 'send_window', 'TEXT');
+    addColumn(db, 'contacts', 'timezone', 'TEXT');
+    addColumn(db, 'campaign_schedules', 'timezone', 'TEXT');
+    addColumn(db, 'campaign_schedules', 'send_window', 'TEXT');
+
+    // A/B tests: message variants of a campaign; holdout messages wait for the winner
+    db.run(`CREATE TABLE IF NOT EXISTS campaign_variants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        campaign_id INTEGER NOT NULL,
+        label TEXT NOT NULL,
+        message TEXT NOT NULL,
+        media_url TEXT,
+        media_type TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (campaign_id) REFERENCES campaigns (id)
+    )`);
+    addColumn(db, 'messages', 'variant_id', 'INTEGER');
+    addColumn(db, 'messages', 'ab_holdout', 'INTEGER');
+    addColumn(db, 'campaigns', 'ab_test_percent', 'INTEGER');
+    addColumn(db, 'campaigns', 'ab_metric', 'TEXT');
+    addColumn(db, 'campaigns', 'ab_winner_after', 'REAL');
+    addColumn(db, 'campaigns', 'ab_winner_variant_id', 'INTEGER');
+    addColumn(db, 'campaigns', 'ab_decided_at', 'DATETIME');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_variant ON messages (variant_id)`);
+
+    // Drip sequences: steps sent after delays, with per-contact progress
+    db.run(`CREATE TABLE IF NOT EXISTS sequences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        steps TEXT NOT NULL,
+        exit_on_reply INTEGER DEFAULT 1,
+        instances TEXT,
+        timezone TEXT,
+        send_window TEXT,
+        status TEXT DEFAULT 'active',
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS sequence_enrollments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sequence_id INTEGER NOT NULL,
+        contact_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'active',
+        current_step INTEGER DEFAULT 0,
+        next_run_at DATETIME,
+        source TEXT,
+        exit_reason TEXT,
+        last_message_id INTEGER,
+        last_step_at DATETIME,
+        enrolled_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        completed_at DATETIME,
+        FOREIGN KEY (sequence_id) REFERENCES sequences (id),
+        FOREIGN KEY (contact_id) REFERENCES contacts (id)
+    )`);
+    // A contact is in a sequence at most once at a time
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_sequence_enrollments_active
+        ON sequence_enrollments (sequence_id, contact_id) WHERE status = 'active'`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_sequence_enrollments_due ON sequence_enrollments (status, next_run_at)`);
+    addColumn(db, 'messages', 'enrollment_id', 'INTEGER');
+    addColumn(db, 'messages', 'sequence_step', 'INTEGER');
+    db.run(`CREATE INDEX IF NOT EXISTS idx_messages_enrollment ON messages (enrollment_id)`);
+
+    // Auto-reply rules for inbound messages, and when each answered a contact (for cooldowns)
+    db.run(`CREATE TABLE IF NOT EXISTS autoreply_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        match_type TEXT NOT NULL,
+        pattern TEXT,
+        case_sensitive INTEGER DEFAULT 0,
+        response_type TEXT NOT NULL,
+        response_text TEXT,
+        template_id INTEGER,
+        media_url TEXT,
+        media_type TEXT,
+        actions TEXT,
+        business_hours TEXT,
+        hours_mode TEXT DEFAULT 'inside',
+        timezone TEXT,
+        cooldown_minutes INTEGER DEFAULT 0,
+        priority INTEGER DEFAULT 100,
+        active INTEGER DEFAULT 1,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE TABLE IF NOT EXISTS autoreply_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        contact_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (rule_id) REFERENCES autoreply_rules (id)
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_autoreply_events_contact ON autoreply_events (rule_id, contact_id, created_at)`);
+
+    // Media library: uploaded files under public/uploads
+    db.run(`CREATE TABLE IF NOT EXISTS media (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT NOT NULL UNIQUE,
+        original_name TEXT,
+        mime_type TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        size INTEGER NOT NULL,
+        checksum TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    db.run(`CREATE INDEX IF NOT EXISTS idx_media_checksum ON media (checksum)`);
+
+    // A contact gets a campaign once, so adding recipients again (a retried send-time
+    // resolution) skips those already added
+    db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_campaign_contact
+        ON messages (campaign_id, contact_id) WHERE campaign_id IS NOT NULL AND contact_id IS NOT NULL`, (err) => {
+        if (err) console.error('Error creating unique campaign recipients index:', err.message);
+    });
+});
+
+// Resolves once the schema statements queued above have run
+const schemaReady = new Promise(resolve => db.serialize(() => db.get('SELECT 1', () => resolve())));
+
+// Bring stored numbers to E.164 and keep a report of the ones that need a human
+async function normalizeContactPhones() {
+    const report = await phones.migrateContacts(db);
+    await setSetting(db, 'phone_report', report);
+    if (report.normalized || report.invalid.length || report.duplicates.length) {
+        console.log(`📞 Phone numbers: ${report.normalized} normalized, ${report.invalid.length} invalid, ` +
+            `${report.duplicates.length} shared by several contacts`);
+    }
+    return report;
+}
+
+schemaReady.then(normalizeContactPhones).catch(error => {
+    console.error('Error normalizing phone numbers:', error);
+});
+
+// Signing secret and first admin account
+const authReady = schemaReady
+    .then(() => auth.loadSecret(db))
+    .then(() => auth.bootstrapAdmin(db));
+
+// Roles allowed to change things; viewers can only read
+const canManage = auth.authorize('admin', 'manager');
+const adminOnly = auth.authorize('admin');
+
+// Socket.IO clients must present a valid access token
+io.use(async (socket, next) => {
+    try {
+        socket.user = await auth.userFromToken(db, socket.handshake.auth && socket.handshake.auth.token);
+        next();
+    } catch (error) {
+        next(new Error(error.message));
+    }
+});
+
+// WhatsApp instances
+const DEFAULT_INSTANCE = process.env.DEFAULT_INSTANCE || 'whatsapp-bulk-sender';
+const instances = new InstanceManager({ db, defaultInstance: DEFAULT_INSTANCE });
+
+// Outgoing webhooks
+const webhooks = new WebhookDispatcher({
+    db,
+    options: {
+        maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10)
+    }
 });
 
-// WhatsApp client initialization
-let client;
-let isClientReady = false;
-let qrCodeData = null;
+schemaReady.then(() => webhooks.start());
+
+// whatsapp-web.js message ids look like "true_<chatId>_<hash>"
+function remoteJidFromId(waMessageId) {
+    return String(waMessageId || '').split('_')[1] || null;
+}
+
+// Evolution-style SEND_MESSAGE payload
+function sentMessagePayload(chatId, waMessageId, text, extra = {}) {
+    return {
+        key: { remoteJid: chatId, fromMe: true, id: waMessageId },
+        message: { conversation: text },
+        messageTimestamp: Math.floor(Date.now() / 1000),
+        ...extra
+    };
+}
 
 function initializeWhatsApp() {
-    client = new Client({
-        authStrategy: new LocalAuth({
-            clientId: "whatsapp-bulk-sender"
-        }),
-        puppeteer: {
-            headless: true,
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-accelerated-2d-canvas',
-                '--no-first-run',
-                '--no-zygote',
-                '--single-process',
-                '--disable-gpu'
-            ]
-        }
+    instances.on('qr', (instance, qr) => {
+        console.log(`📱 [${instance}] QR Code received`);
+        io.emit('qr', { instance, qr });
+        webhooks.emit('QRCODE_UPDATED', instance, { qrcode: { instance, base64: qr } });
     });
 
-    client.on('qr', async (qr) => {
-        console.log('📱 QR Code received');
-        qrCodeData = await qrcode.toDataURL(qr);
-        io.emit('qr', qrCodeData);
+    instances.on('ready', (instance) => {
+        console.log(`✅ [${instance}] WhatsApp Client is ready!`);
+        io.emit('ready', { instance, status: 'connected' });
+        webhooks.emit('CONNECTION_UPDATE', instance, { instance, state: 'open', statusReason: 200 });
     });
 
-    client.on('ready', () => {
-        console.log('✅ WhatsApp Client is ready!');
-        isClientReady = true;
-        io.emit('ready', { status: 'connected' });
+    instances.on('authenticated', (instance) => {
+        console.log(`🔐 [${instance}] WhatsApp authenticated`);
+        io.emit('authenticated', { instance });
     });
 
-    client.on('authenticated', () => {
-        console.log('🔐 WhatsApp authenticated');
-        io.emit('authenticated');
+    instances.on('auth_failure', (instance, msg) => {
+        console.error(`❌ [${instance}] Authentication failure:`, msg);
+        io.emit('auth_failure', { instance, message: msg });
     });
 
-    client.on('auth_failure', (msg) => {
-        console.error('❌ Authentication failure:', msg);
-        io.emit('auth_failure', msg);
+    instances.on('disconnected', (instance, reason) => {
+        console.log(`⚠️ [${instance}] WhatsApp disconnected:`, reason);
+        io.emit('disconnected', { instance, reason });
+        webhooks.emit('CONNECTION_UPDATE', instance, { instance, state: 'close', statusReason: reason });
     });
 
-    client.on('disconnected', (reason) => {
-        console.log('⚠️ WhatsApp disconnected:', reason);
-        isClientReady = false;
-        io.emit('disconnected', reason);
+    instances.on('ack', (instance, { id, ack }) => {
+        handleAck(instance, id, ack);
+        webhooks.emit('MESSAGES_UPDATE', instance, {
+            key: { remoteJid: remoteJidFromId(id), fromMe: true, id },
+            status: WEBHOOK_ACK_STATUS[ack] || String(ack)
+        });
     });
 
-    client.on('message_create', (msg) => {
-        // Handle incoming messages if needed
-        io.emit('message_received', {
-            from: msg.from,
-            body: msg.body,
-            timestamp: msg.timestamp
+    instances.on('inbound', (instance, msg) => {
+        handleInbound(instance, msg);
+        webhooks.emit('MESSAGES_UPSERT', instance, {
+            key: { remoteJid: msg.from, fromMe: false, id: msg.id },
+            pushName: msg.senderName || null,
+            message: { conversation: msg.body },
+            messageType: msg.type === 'chat' ? 'conversation' : msg.type,
+            messageTimestamp: msg.timestamp
         });
     });
 
-    client.initialize();
+    schemaReady.then(() => instances.load()).catch(error => {
+        console.error('Error loading instances:', error);
+    });
+}
+
+// Acks can race the queue storing the WhatsApp id, so an unmatched ack is retried once
+function handleAck(instance, waMessageId, ack, retried = false) {
+    recordAck(db, waMessageId, ack)
+        .then(async message => {
+            if (!message) {
+                const reply = ACK_STATUS[ack] && await inbox.recordReplyAck(db, waMessageId, ACK_STATUS[ack]);
+                if (reply) {
+                    io.emit('conversation_message_ack', { instance, conversationId: reply.conversation_id, messageId: reply.id, status: reply.status });
+                } else if (!retried) {
+                    setTimeout(() => handleAck(instance, waMessageId, ack, true), 2000);
+                }
+                return;
+            }
+            
+            io.emit('message_ack', {
+                instance,
+                campaignId: message.campaign_id,
+                messageId: message.id,
+                phone: message.phone,
+                status: message.status,
+                ack
+            });
+        })
+        .catch(error => console.error('Error recording ack:', error));
+}
+
+// Store inbound messages in the inbox and notify the UI. Handled one at a time so a
+// burst from a new sender creates a single contact and keeps the thread in order.
+let inboundChain = Promise.resolve();
+
+function handleInbound(instance, msg) {
+    inboundChain = inboundChain
+        .then(() => inbox.recordInbound(db, instance, msg))
+        .then(async result => {
+            if (!result) return;
+            
+            io.emit('message_received', {
+                instance,
+                from: msg.from,
+                body: msg.body,
+                timestamp: msg.timestamp,
+                contactId: result.contact.id,
+                conversationId: result.conversation.id,
+                messageId: result.message.id
+            });
+            io.emit('conversation_updated', result.conversation);
+            
+            const optedOut = await handleOptOut(instance, msg, result);
+            
+            const left = await sequences.exitContact(db, result.contact.id, optedOut ? 'opted_out' : 'replied');
+            if (left.length) io.emit('sequence_progress', { sequenceIds: left });
+            
+            if (!optedOut) {
+                await handleAutoReply(instance, msg, result).catch(error => console.error('Auto-reply error:', error));
+            }
+        })
+        .catch(error => console.error('Error storing inbound message:', error));
+}
+
+// Suppress senders who reply with an opt-out keyword, optionally confirming it; true when they did
+async function handleOptOut(instance, msg, { contact, conversation }) {
+    const optOut = await optout.handleInbound(db, {
+        phone: inbox.phoneFromChatId(msg.from),
+        body: msg.body,
+        contactId: contact.id
+    });
+    if (!optOut) return false;
+    
+    console.log(`🚫 ${optOut.entry.phone} opted out`);
+    io.emit('contact_opted_out', { contactId: contact.id, phone: optOut.entry.phone, suppression: optOut.entry });
+    
+    // Campaigns whose last queued message was the sender's are done now
+    for (const campaignId of optOut.campaignIds) {
+        await queue.checkCompletion(campaignId);
+        io.emit('campaign_progress', await queue.progress(campaignId));
+    }
+    
+    // A failed confirmation must not keep the caller from handling the opt-out
+    if (optOut.confirmation && instances.isReady(instance)) {
+        try {
+            const sent = await instances.get(instance).transport.sendText(msg.from, optOut.confirmation);
+            await inbox.recordOutbound(db, conversation.id, { id: sent.id, body: optOut.confirmation });
+            webhooks.emit('SEND_MESSAGE', instance, sentMessagePayload(msg.from, sent.id, optOut.confirmation));
+        } catch (error) {
+            console.error('Error sending opt-out confirmation:', error);
+        }
+    }
+    return true;
+}
+
+// Answer with the first matching auto-reply rule and run its actions
+async function handleAutoReply(instance, msg, { contact, conversation, message }) {
+    const outcome = await autoreplies.evaluate(db, {
+        body: msg.body,
+        contact,
+        firstMessage: await autoreplies.isFirstMessage(db, contact.id, message.id)
+    });
+    if (!outcome.rule) return;
+    
+    await autoreplies.recordFire(db, outcome.rule.id, contact.id);
+    console.log(`🤖 Auto-reply "${outcome.rule.name}" for ${contact.phone}`);
+    
+    const reply = outcome.response;
+    if (reply && instances.isReady(instance)) {
+        const transport = instances.get(instance).transport;
+        const sent = reply.media_url
+            ? await transport.sendMedia(msg.from, await media.load(db, reply.media_url), { caption: reply.text })
+            : await transport.sendText(msg.from, reply.text);
+        await inbox.recordOutbound(db, conversation.id, { id: sent.id, body: reply.text || `[${reply.media_type || 'media'}]` });
+        webhooks.emit('SEND_MESSAGE', instance, sentMessagePayload(msg.from, sent.id, reply.text));
+        io.emit('conversation_updated', await dbGet('SELECT * FROM conversations WHERE id = ?', [conversation.id]));
+    } else if (reply) {
+        console.log(`Auto-reply "${outcome.rule.name}" not sent: instance ${instance} is not ready`);
+    }
+    
+    for (const action of await autoreplies.runActions(db, outcome.rule, contact)) {
+        if (action.error) {
+            console.error(`Auto-reply "${outcome.rule.name}" action ${action.type} failed:`, action.error);
+        } else if (action.type === 'enroll') {
+            io.emit('sequence_progress', { sequenceIds: [action.sequence_id] });
+        } else if (action.type === 'notify') {
+            io.emit('operator_notification', {
+                ruleId: outcome.rule.id,
+                rule: outcome.rule.name,
+                message: action.message,
+                contactId: contact.id,
+                phone: contact.phone,
+                name: contact.name,
+                body: msg.body,
+                conversationId: conversation.id
+            });
+        }
+    }
 }
 
 // Initialize WhatsApp on server start
 initializeWhatsApp();
 
-// Helper function to delay between messages
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Durable send queue: one worker per instance, resumes interrupted campaigns on boot
+const queue = new CampaignQueue({
+    db,
+    instances,
+    defaultInstance: DEFAULT_INSTANCE,
+    options: {
+        delayMin: parseInt(process.env.SEND_DELAY_MIN || '3000', 10),
+        delayMax: parseInt(process.env.SEND_DELAY_MAX || '8000', 10),
+        maxAttempts: parseInt(process.env.SEND_MAX_ATTEMPTS || '3', 10),
+        backoffBase: parseInt(process.env.SEND_RETRY_BACKOFF || '60000', 10)
+    }
+});
 
-// Function to send bulk messages
-async function sendBulkMessages(campaignId) {
-    return new Promise((resolve, reject) => {
-        db.all(
-            `SELECT m.*, c.name FROM messages m 
-             LEFT JOIN contacts c ON m.contact_id = c.id 
-             WHERE m.campaign_id = ? AND m.status = 'pending'`,
-            [campaignId],
-            async (err, messages) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+queue.on('sent', ({ campaignId, message, instance, sent, total, waMessageId }) => {
+    io.emit('message_sent', {
+        campaignId,
+        instance,
+        messageId: message.id,
+        phone: message.phone,
+        sent,
+        total
+    });
+    webhooks.emit('SEND_MESSAGE', instance, sentMessagePayload(remoteJidFromId(waMessageId), waMessageId, message.message, {
+        campaignId,
+        contactId: message.contact_id
+    }));
+});
 
-                let sent = 0;
-                let failed = 0;
-
-                for (const msg of messages) {
-                    try {
-                        if (!isClientReady) {
-                            throw new Error('WhatsApp client not ready');
-                        }
-
-                        let formattedPhone = msg.phone.replace(/\D/g, '');
-                        if (!formattedPhone.includes('@c.us')) {
-                            formattedPhone = formattedPhone + '@c.us';
-                        }
-
-                        // Get campaign details for media
-                        const campaign = await new Promise((res, rej) => {
-                            db.get('SELECT * FROM campaigns WHERE id = ?', [campaignId], (err, row) => {
-                                if (err) rej(err);
-                                else res(row);
-                            });
-                        });
-
-                        // Send message
-                        if (campaign.media_url) {
-                            const media = await MessageMedia.fromUrl(campaign.media_url);
-                            await client.sendMessage(formattedPhone, media, {
-                                caption: msg.message
-                            });
-                        } else {
-                            await client.sendMessage(formattedPhone, msg.message);
-                        }
-
-                        // Update message status
-                        db.run(
-                            `UPDATE messages SET status = 'sent', sent_at = CURRENT_TIMESTAMP WHERE id = ?`,
-                            [msg.id]
-                        );
-
-                        sent++;
-                        io.emit('message_sent', {
-                            campaignId,
-                            messageId: msg.id,
-                            phone: msg.phone,
-                            sent,
-                            total: messages.length
-                        });
-
-                        // Delay to avoid spam detection (random 3-8 seconds)
-                        await delay(3000 + Math.random() * 5000);
-
-                    } catch (error) {
-                        console.error('Error sending to', msg.phone, ':', error);
-                        db.run(
-                            `UPDATE messages SET status = 'failed', error = ? WHERE id = ?`,
-                            [error.message, msg.id]
-                        );
-                        failed++;
-                    }
-                }
+queue.on('retry', ({ campaignId, message, instance, error, errorClass, retryIn }) => {
+    io.emit('message_retry', { campaignId, instance, messageId: message.id, phone: message.phone, error, errorClass, retryIn });
+});
 
-                // Update campaign status
-                db.run(
-                    `UPDATE campaigns SET status = 'completed', completed_at = CURRENT_TIMESTAMP WHERE id = ?`,
-                    [campaignId]
-                );
+queue.on('failed', ({ campaignId, message, instance, error, errorClass }) => {
+    io.emit('message_failed', { campaignId, instance, messageId: message.id, phone: message.phone, error, errorClass });
+    webhooks.emit('MESSAGES_FAILED', instance, {
+        key: { remoteJid: phones.tryNormalize(message.phone) ? phones.toChatId(message.phone) : null, fromMe: true },
+        message: { conversation: message.message },
+        error,
+        campaignId,
+        contactId: message.contact_id
+    });
+});
+
+queue.on('campaign_completed', ({ campaignId }) => {
+    console.log('Campaign completed:', campaignId);
+    io.emit('campaign_completed', { campaignId });
+    webhooks.emit('CAMPAIGN_COMPLETED', null, { campaignId, status: 'completed' });
+});
+
+schemaReady.then(() => queue.start()).catch(error => {
+    console.error('Error starting send queue:', error);
+});
+
+// Move a campaign to a new status, but only from one of the expected current statuses
+function setCampaignStatus(campaignId, status, fromStatuses, callback) {
+    const timestamps = {
+        running: ', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)',
+        cancelled: ', completed_at = CURRENT_TIMESTAMP'
+    };
+    
+    db.run(
+        `UPDATE campaigns SET status = ?${timestamps[status] || ''}
+         WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(',')})`,
+        [status, campaignId, ...fromStatuses],
+        function(err) {
+            callback(err, this && this.changes);
+        }
+    );
+}
+
+// Create the personalized messages of a campaign, leaving out suppressed numbers
+async function addRecipients(campaign, contacts) {
+    const suppressed = await optout.suppressedPhones(db);
+    const recipients = contacts.filter(contact => !suppressed.has(optout.normalizePhone(contact.phone)));
+    // A/B tests: a variant each for the test group; the holdout waits for the winner
+    const assigned = await abtests.assign(db, campaign.id, recipients);
+    
+    await new Promise((resolve, reject) => {
+        let failure = null;
+        const stmt = db.prepare(
+            `INSERT OR IGNORE INTO messages (campaign_id, contact_id, phone, message, status, variant_id, ab_holdout) 
+             VALUES (?, ?, ?, ?, ?, ?, ?)`
+        );
+        assigned.forEach(({ contact, variant, holdout }) => {
+            const personalizedMessage = variant || !holdout
+                ? template.render(variant ? variant.message : campaign.message, template.contactContext(contact))
+                : null;
+            stmt.run(campaign.id, contact.id, contact.phone, personalizedMessage, personalizedMessage === null ? 'waiting' : 'pending',
+                variant ? variant.id : null, holdout ? 1 : null, (err) => {
+                    if (err && !failure) failure = err;
+                });
+        });
+        stmt.finalize(err => err || failure ? reject(err || failure) : resolve());
+    });
+    
+    return { recipients: recipients.length, suppressed: contacts.length - recipients.length };
+}
+
+// Campaigns that resolve their segment at send time get their messages when they start. They
+// count as resolved once the messages are in; after a failed insert the next start adds the
+// contacts that are still missing.
+async function resolveRecipientsAtSend(campaignId, fromStatuses) {
+    const campaign = await dbGet(
+        `SELECT * FROM campaigns WHERE id = ? AND status IN (${fromStatuses.map(() => '?').join(',')})`,
+        [campaignId, ...fromStatuses]
+    );
+    if (!campaign || campaign.resolve_at !== 'send' || campaign.recipients_resolved_at) return;
+    
+    const contacts = await segments.resolveSegment(db, campaign.segment_id);
+    const result = await addRecipients(campaign, contacts);
+    await dbRun(
+        'UPDATE campaigns SET recipients_resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND recipients_resolved_at IS NULL',
+        [campaignId]
+    );
+    console.log(`🎯 Campaign ${campaignId}: ${result.recipients} recipient(s) from segment ${campaign.segment_id}`);
+}
 
-                resolve({ sent, failed, total: messages.length });
+// Mark a campaign running and hand it to the queue
+function startCampaign(campaignId, fromStatuses, callback) {
+    resolveRecipientsAtSend(campaignId, fromStatuses).then(() => {
+        setCampaignStatus(campaignId, 'running', fromStatuses, (err, changed) => {
+            if (!err && changed) {
+                queue.enqueue(campaignId).catch(error => console.error('Queue error:', error));
+                webhooks.emit('CAMPAIGN_STARTED', null, { campaignId: Number(campaignId), status: 'running' });
             }
+            callback(err, changed);
+        });
+    }, err => callback(err));
+}
+
+// Cancel a campaign; messages not yet picked up by a worker are skipped
+function cancelCampaign(campaignId, callback) {
+    setCampaignStatus(campaignId, 'cancelled', ['draft', 'scheduled', 'running', 'paused'], (err, changed) => {
+        if (err || !changed) {
+            callback(err, changed);
+            return;
+        }
+        
+        db.run(
+            `UPDATE messages SET status = 'skipped', error = 'Campaign cancelled' 
+             WHERE campaign_id = ? AND status IN ('pending', 'waiting')`,
+            [campaignId],
+            (err) => callback(err, changed)
         );
     });
 }
@@ -266,74 +886,290 @@ app.get('/', (req, res) => {
     res.sendFile(__dirname + '/index.html');
 });
 
-// Get WhatsApp status
-app.get('/api/status', (req, res) => {
-    res.json({
-        ready: isClientReady,
-        qr: qrCodeData
-    });
+// ==================== AUTH ====================
+
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+    try {
+        res.json(await auth.login(db, req.body.email, req.body.password));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Logout WhatsApp
-app.post('/api/logout', async (req, res) => {
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        res.json(await auth.refresh(db, req.body.refreshToken));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Everything below requires a signed-in user, or an API key for the Evolution routes
+app.use('/api/evolution', apikeys.authenticate(db));
+app.use('/api', auth.authenticate(db));
+app.use('/api', limiter);
+app.use('/api/evolution', apikeys.trackUsage(db));
+
+// API keys may be limited to some instances
+app.param('instance', (req, res, next, name) => {
+    if (!apikeys.allowsInstance(req.apiKey, name)) {
+        res.status(403).json({ error: `This API key may not use instance ${name}` });
+        return;
+    }
+    next();
+});
+
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+app.post('/api/auth/logout', async (req, res) => {
     try {
-        await client.logout();
-        isClientReady = false;
+        await auth.logout(db, req.user.id);
         res.json({ success: true });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 });
 
-// ==================== CONTACTS ====================
+// ==================== USERS ====================
 
-// Get all contacts
-app.get('/api/contacts', (req, res) => {
-    db.all('SELECT * FROM contacts ORDER BY created_at DESC', [], (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        res.json(rows);
-    });
+app.get('/api/users', adminOnly, async (req, res) => {
+    try {
+        res.json(await auth.listUsers(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Add contact
-app.post('/api/contacts', (req, res) => {
-    const { name, phone, email, tags, custom_fields } = req.body;
-    
-    db.run(
-        `INSERT INTO contacts (name, phone, email, tags, custom_fields) VALUES (?, ?, ?, ?, ?)`,
-        [name, phone, email, JSON.stringify(tags), JSON.stringify(custom_fields)],
-        function(err) {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            res.json({ id: this.lastID, success: true });
+app.post('/api/users', adminOnly, async (req, res) => {
+    try {
+        res.status(201).json(await auth.createUser(db, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/users/:id', adminOnly, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        if (id === req.user.id && ((req.body.role && req.body.role !== 'admin') || req.body.active === false)) {
+            res.status(400).json({ error: 'You cannot demote or disable your own account' });
+            return;
         }
-    );
+        res.json(await auth.updateUser(db, id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Update contact
-app.put('/api/contacts/:id', (req, res) => {
-    const { name, phone, email, tags, custom_fields } = req.body;
-    
-    db.run(
-        `UPDATE contacts SET name = ?, phone = ?, email = ?, tags = ?, custom_fields = ? WHERE id = ?`,
-        [name, phone, email, JSON.stringify(tags), JSON.stringify(custom_fields), req.params.id],
-        function(err) {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            res.json({ success: true });
+app.delete('/api/users/:id', adminOnly, async (req, res) => {
+    try {
+        if (Number(req.params.id) === req.user.id) {
+            res.status(400).json({ error: 'You cannot delete your own account' });
+            return;
         }
-    );
+        await auth.deleteUser(db, Number(req.params.id));
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Get WhatsApp status (default instance, plus every instance)
+app.get('/api/status', (req, res) => {
+    const instance = instances.get(DEFAULT_INSTANCE);
+    const status = instance ? instance.transport.status() : { ready: false, qr: null };
+    res.json({
+        ready: status.ready,
+        qr: status.qr,
+        instance: DEFAULT_INSTANCE,
+        instances: instances.list()
+    });
+});
+
+// Logout WhatsApp
+app.post('/api/logout', adminOnly, async (req, res) => {
+    try {
+        await instances.logout(req.body.instance || DEFAULT_INSTANCE);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== API KEYS ====================
+
+app.get('/api/api-keys', adminOnly, async (req, res) => {
+    try {
+        res.json(await apikeys.listKeys(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/api-keys', adminOnly, async (req, res) => {
+    try {
+        res.status(201).json(await apikeys.createKey(db, req.body, req.user.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/api-keys/:id', adminOnly, async (req, res) => {
+    try {
+        res.json(await apikeys.updateKey(db, req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Revoke (the key is kept for its usage history)
+app.delete('/api/api-keys/:id', adminOnly, async (req, res) => {
+    try {
+        await apikeys.revokeKey(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== WEBHOOKS ====================
+
+app.get('/api/webhooks', adminOnly, async (req, res) => {
+    try {
+        res.json({ events: WEBHOOK_EVENTS, webhooks: await webhooks.list() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.post('/api/webhooks', adminOnly, async (req, res) => {
+    try {
+        res.status(201).json(await webhooks.create(req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/webhooks/:id', adminOnly, async (req, res) => {
+    try {
+        res.json(await webhooks.update(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/webhooks/:id', adminOnly, async (req, res) => {
+    try {
+        await webhooks.remove(req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Delivery log, newest first (?status=pending|delivered|failed&limit=)
+app.get('/api/webhooks/:id/deliveries', adminOnly, async (req, res) => {
+    try {
+        await webhooks.find(req.params.id);
+        res.json(await webhooks.deliveries(req.params.id, req.query));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/webhooks/deliveries/:deliveryId', adminOnly, async (req, res) => {
+    try {
+        res.json(await webhooks.delivery(req.params.deliveryId));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/webhooks/deliveries/:deliveryId/replay', adminOnly, async (req, res) => {
+    try {
+        res.json(await webhooks.replay(req.params.deliveryId));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== CONTACTS ====================
+
+// Get all contacts
+app.get('/api/contacts', (req, res) => {
+    db.all('SELECT * FROM contacts ORDER BY created_at DESC', [], (err, rows) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        res.json(rows);
+    });
+});
+
+function sendContactError(res, error) {
+    if (/UNIQUE constraint failed: contacts.phone/.test(error.message)) {
+        res.status(409).json({ error: 'A contact with this phone number already exists' });
+        return;
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+// Numbers the last normalization could not parse, or that several contacts share
+app.get('/api/contacts/phone-report', async (req, res) => {
+    try {
+        res.json(await getSetting(db, 'phone_report', null));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Run the normalization again, e.g. after fixing numbers or changing DEFAULT_COUNTRY
+app.post('/api/contacts/normalize-phones', canManage, async (req, res) => {
+    try {
+        res.json(await normalizeContactPhones());
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Add contact
+app.post('/api/contacts', canManage, async (req, res) => {
+    const { name, email, tags, custom_fields } = req.body;
+    
+    try {
+        const phone = phones.normalize(req.body.phone);
+        const timezone = timezones.validateZone(req.body.timezone);
+        const { lastID } = await dbRun(
+            `INSERT INTO contacts (name, phone, email, tags, custom_fields, timezone) VALUES (?, ?, ?, ?, ?, ?)`,
+            [name, phone, email, JSON.stringify(tags), JSON.stringify(custom_fields), timezone]
+        );
+        res.json({ id: lastID, phone, success: true });
+    } catch (error) {
+        sendContactError(res, error);
+    }
+});
+
+// Update contact
+app.put('/api/contacts/:id', canManage, async (req, res) => {
+    const { name, email, tags, custom_fields } = req.body;
+    
+    try {
+        const phone = phones.normalize(req.body.phone);
+        const timezone = timezones.validateZone(req.body.timezone);
+        await dbRun(
+            `UPDATE contacts SET name = ?, phone = ?, email = ?, tags = ?, custom_fields = ?, timezone = ? WHERE id = ?`,
+            [name, phone, email, JSON.stringify(tags), JSON.stringify(custom_fields), timezone, req.params.id]
+        );
+        res.json({ phone, success: true });
+    } catch (error) {
+        sendContactError(res, error);
+    }
 });
 
 // Delete contact
-app.delete('/api/contacts/:id', (req, res) => {
+app.delete('/api/contacts/:id', canManage, (req, res) => {
     db.run('DELETE FROM contacts WHERE id = ?', [req.params.id], function(err) {
         if (err) {
             res.status(500).json({ error: err.message });
@@ -343,183 +1179,910 @@ app.delete('/api/contacts/:id', (req, res) => {
     });
 });
 
-// Import contacts from CSV
-app.post('/api/contacts/import', upload.single('file'), (req, res) => {
-    const results = [];
+// Import contacts from a CSV or vCard file, step 1: returns the headers, a preview and a suggested mapping
+app.post('/api/contacts/import', canManage, upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        res.status(400).json({ error: 'A CSV file is required' });
+        return;
+    }
     
-    fs.createReadStream(req.file.path)
-        .pipe(csv())
-        .on('data', (data) => results.push(data))
-        .on('end', () => {
-            const stmt = db.prepare(
-                `INSERT OR IGNORE INTO contacts (name, phone, email, tags) VALUES (?, ?, ?, ?)`
-            );
-            
-            results.forEach(row => {
-                stmt.run(row.name || '', row.phone || '', row.email || '', row.tags || '');
+    try {
+        res.json(await imports.upload(db, { path: req.file.path, filename: req.file.originalname }, req.user ? req.user.id : null));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    } finally {
+        fs.unlink(req.file.path, () => {});
+    }
+});
+
+// Export all contacts, or ?ids=1,2 / ?tag= / ?search= / ?segment_id=, as ?format=csv | vcf | json
+// (vCards in ?version=3.0 or 4.0)
+app.get('/api/contacts/export', async (req, res) => {
+    try {
+        await contactExport.write(db, res, req.query);
+    } catch (error) {
+        if (res.headersSent) {
+            console.error('Error exporting contacts:', error);
+            res.destroy();
+            return;
+        }
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/contacts/imports', async (req, res) => {
+    try {
+        res.json(await imports.list(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/contacts/imports/:id', async (req, res) => {
+    try {
+        res.json(await imports.find(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Step 2: import the rows with the confirmed { mapping, mode: 'skip' | 'update' | 'merge' }
+app.post('/api/contacts/imports/:id/commit', canManage, async (req, res) => {
+    try {
+        res.json(await imports.commit(db, req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/contacts/imports/:id/report.csv', async (req, res) => {
+    try {
+        const report = await imports.reportCsv(db, req.params.id);
+        res.attachment(`import-${req.params.id}-report.csv`).type('text/csv').send(report);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== SEGMENTS ====================
+
+// Matching count plus the first few contacts
+function segmentPreview(contacts, limit) {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 10, 0), 100);
+    return {
+        count: contacts.length,
+        contacts: contacts.slice(0, size).map(({ id, name, phone, email, tags }) => ({ id, name, phone, email, tags }))
+    };
+}
+
+app.get('/api/segments', async (req, res) => {
+    try {
+        // Without counts: each one evaluates the segment against every contact, so they come
+        // from GET /api/segments/:id/preview when asked for
+        res.json(await segments.list(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Count and sample for unsaved rules ({ rules: { match, rules: [...] }, limit })
+app.post('/api/segments/preview', async (req, res) => {
+    try {
+        res.json(segmentPreview(await segments.resolve(db, req.body.rules), req.body.limit));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/segments/:id/preview', async (req, res) => {
+    try {
+        res.json(segmentPreview(await segments.resolveSegment(db, req.params.id), req.query.limit));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/segments', canManage, async (req, res) => {
+    try {
+        res.status(201).json(await segments.create(db, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/segments/:id', canManage, async (req, res) => {
+    try {
+        res.json(await segments.update(db, req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/segments/:id', canManage, async (req, res) => {
+    try {
+        const used = await dbGet(
+            `SELECT id FROM campaigns WHERE segment_id = ? AND resolve_at = 'send' AND recipients_resolved_at IS NULL
+             AND status IN ('draft', 'scheduled')`,
+            [req.params.id]
+        );
+        if (used) {
+            res.status(409).json({ error: `Campaign ${used.id} still needs this segment when it starts` });
+            return;
+        }
+        const schedule = await dbGet(
+            `SELECT name FROM campaign_schedules WHERE segment_id = ? AND status IN ('active', 'paused')`,
+            [req.params.id]
+        );
+        if (schedule) {
+            res.status(409).json({ error: `The recurring campaign "${schedule.name}" sends to this segment` });
+            return;
+        }
+        await segments.remove(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== CAMPAIGNS ====================
+
+// Get all campaigns
+app.get('/api/campaigns', (req, res) => {
+    const sent = SENT_STATUSES.map(() => '?').join(',');
+    db.all(
+        `SELECT c.*,
+            COUNT(m.id) AS total_messages,
+            COALESCE(SUM(m.status IN (${sent})), 0) AS sent_messages,
+            COALESCE(SUM(m.status = 'failed'), 0) AS failed_messages,
+            COALESCE(SUM(m.status = 'skipped'), 0) AS skipped_messages
+         FROM campaigns c
+         LEFT JOIN messages m ON m.campaign_id = c.id
+         GROUP BY c.id
+         ORDER BY c.created_at DESC`,
+        SENT_STATUSES,
+        (err, rows) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            res.json(rows);
+        }
+    );
+});
+
+// Sending analytics of one campaign (?from=&to=&interval=hour|day)
+app.get('/api/campaigns/:id/analytics', async (req, res) => {
+    try {
+        res.json(await analytics.report(db, req.query, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Get campaign details (?format=csv|xlsx&report=messages|summary for a report file)
+app.get('/api/campaigns/:id', (req, res) => {
+    db.get('SELECT * FROM campaigns WHERE id = ?', [req.params.id], (err, campaign) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!campaign) {
+            res.status(404).json({ error: 'Campaign not found' });
+            return;
+        }
+
+        // ?format=csv|xlsx downloads the campaign report instead
+        if (req.query.format) {
+            reports.write(db, res, campaign, req.query).catch(error => {
+                if (res.headersSent) {
+                    console.error('Error writing campaign report:', error);
+                    res.destroy();
+                    return;
+                }
+                res.status(error.status || 500).json({ error: error.message });
             });
-            
-            stmt.finalize();
-            fs.unlinkSync(req.file.path);
-            
-            res.json({ success: true, imported: results.length });
+            return;
+        }
+        
+        db.all(
+            'SELECT * FROM messages WHERE campaign_id = ?',
+            [req.params.id],
+            async (err, messages) => {
+                if (err) {
+                    res.status(500).json({ error: err.message });
+                    return;
+                }
+                
+                let abTest;
+                try {
+                    abTest = await abtests.results(db, campaign);
+                } catch (error) {
+                    res.status(500).json({ error: error.message });
+                    return;
+                }
+                
+                const failedByClass = Object.fromEntries(ERROR_CLASSES.map(name => [name, 0]));
+                messages.filter(m => m.status === 'failed').forEach(m => { failedByClass[m.error_class || 'unknown']++; });
+
+                res.json({
+                    ...campaign,
+                    send_window: parseJSON(campaign.send_window, null),
+                    ab_test: abTest,
+                    messages: messages.map(m => ({ ...m, error_history: parseJSON(m.error_history, []) })),
+                    stats: {
+                        total: messages.length,
+                        ...receiptStats(messages),
+                        failed: messages.filter(m => m.status === 'failed').length,
+                        pending: messages.filter(m => m.status === 'pending').length,
+                        skipped: messages.filter(m => m.status === 'skipped').length,
+                        // A/B test holdout, until the winner is picked
+                        waiting: messages.filter(m => m.status === 'waiting').length,
+                        retrying: messages.filter(m => m.status === 'pending' && m.next_attempt_at && m.attempts).length,
+                        // Waiting for the recipient's sending window to open
+                        held: messages.filter(m => m.status === 'pending' && m.next_attempt_at && !m.attempts).length,
+                        failedByClass
+                    }
+                });
+            }
+        );
+    });
+});
+
+// Create campaign
+app.post('/api/campaigns', canManage, upload.fields([{ name: 'media', maxCount: 1 }, ...abtests.MEDIA_FIELDS]), async (req, res) => {
+    const { name, contacts, scheduled_at } = req.body;
+    const mediaFile = req.files && req.files.media ? req.files.media[0] : null;
+    const campaignInstanceNames = parseJSON(req.body.instances, []);
+    const segmentId = parseInt(req.body.segment_id, 10) || null;
+    const resolveAt = segmentId && req.body.resolve_at === 'send' ? 'send' : 'creation';
+
+    const unknown = campaignInstanceNames.filter(n => !instances.get(n));
+    if (unknown.length) {
+        res.status(400).json({ error: `Unknown instance(s): ${unknown.join(', ')}` });
+        return;
+    }
+
+    // With variants the campaign is an A/B test, and variant A is its message. Media is an
+    // upload or a library item (media_id).
+    let abTest;
+    let libraryItem = null;
+    try {
+        await addUploadsToLibrary(req);
+        if (!mediaFile && req.body.media_id) libraryItem = await media.find(db, req.body.media_id);
+        abTest = abtests.parse(req.body, req.files || {});
+        if (abTest && libraryItem && !abTest.variants[0].media_url) {
+            abTest.variants[0].media_url = libraryItem.url;
+            abTest.variants[0].media_type = libraryItem.mime_type;
+        }
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+        return;
+    }
+    const message = abTest ? abTest.variants[0].message : req.body.message;
+    const media_url = abTest ? abTest.variants[0].media_url
+        : (mediaFile ? `/uploads/${mediaFile.filename}` : (libraryItem ? libraryItem.url : null));
+    const media_type = abTest ? abTest.variants[0].media_type
+        : (mediaFile ? mediaFile.mimetype : (libraryItem ? libraryItem.mime_type : null));
+
+    try {
+        template.validate(message);
+    } catch (error) {
+        res.status(400).json({ error: `Message template: ${error.message}` });
+        return;
+    }
+    
+    try {
+        // scheduled_at is a local time in the campaign's time zone
+        const timezone = timezones.validateZone(req.body.timezone) || timezones.defaultZone();
+        const sendWindow = timezones.parseWindow(req.body.send_window);
+        const scheduledAt = timezones.toUtc(scheduled_at, timezone);
+
+        // Recipients: a segment (now, or when the campaign starts) or hand-picked contacts
+        let recipients = null;
+        if (segmentId) {
+            const segment = await segments.find(db, segmentId);
+            if (resolveAt === 'creation') {
+                recipients = await segments.resolve(db, segment.rules);
+            }
+        } else {
+            const contactIds = (parseJSON(contacts, []) || []).map(Number).filter(Boolean);
+            if (!contactIds.length) {
+                res.status(400).json({ error: 'Select at least one contact or a segment' });
+                return;
+            }
+            recipients = await dbAll(
+                `SELECT * FROM contacts WHERE id IN (${contactIds.map(() => '?').join(',')})`,
+                contactIds
+            );
+        }
+        
+        const { lastID: campaignId } = await dbRun(
+            `INSERT INTO campaigns (name, message, media_url, media_type, status, scheduled_at, instances,
+                 segment_id, resolve_at, timezone, send_window, recipients_resolved_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${resolveAt === 'send' ? 'NULL' : 'CURRENT_TIMESTAMP'})`,
+            [name, message, media_url, media_type, scheduledAt ? 'scheduled' : 'draft', scheduledAt,
+                campaignInstanceNames.length ? JSON.stringify(campaignInstanceNames) : null, segmentId, resolveAt,
+                timezone, sendWindow ? JSON.stringify(sendWindow) : null]
+        );
+        if (abTest) await abtests.create(db, campaignId, abTest);
+        
+        if (!recipients) {
+            res.json({ id: campaignId, success: true, recipients: null, resolve_at: 'send' });
+            return;
+        }
+        
+        const result = await addRecipients({ id: campaignId, message }, recipients);
+        res.json({ id: campaignId, success: true, ...result });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Start campaign
+app.post('/api/campaigns/:id/start', canManage, (req, res) => {
+    startCampaign(req.params.id, ['draft', 'scheduled'], (err, changed) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!changed) {
+            res.status(409).json({ error: 'Campaign not found or already running' });
+            return;
+        }
+        
+        res.json({ success: true, message: 'Campaign started' });
+    });
+});
+
+// Pause campaign (the worker finishes the message in flight, then stops)
+app.post('/api/campaigns/:id/pause', canManage, (req, res) => {
+    setCampaignStatus(req.params.id, 'paused', ['running'], (err, changed) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!changed) {
+            res.status(409).json({ error: 'Only running campaigns can be paused' });
+            return;
+        }
+        
+        io.emit('campaign_paused', { campaignId: Number(req.params.id) });
+        webhooks.emit('CAMPAIGN_PAUSED', null, { campaignId: Number(req.params.id), status: 'paused' });
+        res.json({ success: true });
+    });
+});
+
+// Resume campaign (continues with the remaining pending messages)
+app.post('/api/campaigns/:id/resume', canManage, (req, res) => {
+    startCampaign(req.params.id, ['paused'], (err, changed) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!changed) {
+            res.status(409).json({ error: 'Only paused campaigns can be resumed' });
+            return;
+        }
+        
+        io.emit('campaign_resumed', { campaignId: Number(req.params.id) });
+        webhooks.emit('CAMPAIGN_RESUMED', null, { campaignId: Number(req.params.id), status: 'running' });
+        res.json({ success: true });
+    });
+});
+
+// Send failed messages again, selected by error class ({ classes: [...] }) and/or id ({ message_ids: [...] })
+app.post('/api/campaigns/:id/requeue', canManage, async (req, res) => {
+    try {
+        const result = await queue.requeue(req.params.id, {
+            classes: req.body.classes,
+            messageIds: req.body.message_ids
+        });
+        if (result.requeued) io.emit('campaign_requeued', { campaignId: Number(req.params.id), requeued: result.requeued });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Pick the winning variant of an A/B test; the holdout recipients get its message
+app.post('/api/campaigns/:id/winner', canManage, async (req, res) => {
+    try {
+        const result = await abtests.pickWinner(db, req.params.id, req.body.variant_id);
+        queue.wake();
+        io.emit('ab_winner', { campaignId: Number(req.params.id), variantId: result.winner.id, released: result.released, automatic: false });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Cancel campaign
+app.post('/api/campaigns/:id/cancel', canManage, (req, res) => {
+    cancelCampaign(req.params.id, (err, changed) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        if (!changed) {
+            res.status(409).json({ error: 'Campaign not found or already finished' });
+            return;
+        }
+        
+        io.emit('campaign_cancelled', { campaignId: Number(req.params.id) });
+        webhooks.emit('CAMPAIGN_CANCELLED', null, { campaignId: Number(req.params.id), status: 'cancelled' });
+        res.json({ success: true });
+    });
+});
+
+// Delete campaign
+app.delete('/api/campaigns/:id', canManage, (req, res) => {
+    db.run('DELETE FROM messages WHERE campaign_id = ?', [req.params.id], (err) => {
+        if (err) {
+            res.status(500).json({ error: err.message });
+            return;
+        }
+        
+        db.run('DELETE FROM campaign_variants WHERE campaign_id = ?', [req.params.id]);
+        db.run('DELETE FROM campaigns WHERE id = ?', [req.params.id], (err) => {
+            if (err) {
+                res.status(500).json({ error: err.message });
+                return;
+            }
+            res.json({ success: true });
+        });
+    });
+});
+
+// ==================== RECURRING CAMPAIGNS ====================
+
+app.get('/api/schedules', async (req, res) => {
+    try {
+        res.json(await schedules.list(db));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Next run times of an unsaved definition ({ frequency, time, days, day_of_month, cron, ... })
+app.post('/api/schedules/preview', async (req, res) => {
+    try {
+        res.json(schedules.preview(req.body, req.body.count));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Schedule with its next runs and the campaigns it has created
+app.get('/api/schedules/:id', async (req, res) => {
+    try {
+        res.json({
+            ...(await schedules.find(db, req.params.id)),
+            runs: await schedules.history(db, req.params.id)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Instance names from a form field; throws for unknown ones
+function scheduleInstances(value) {
+    const names = parseJSON(value, []) || [];
+    const unknown = names.filter(n => !instances.get(n));
+    if (unknown.length) {
+        throw new schedules.ScheduleError(`Unknown instance(s): ${unknown.join(', ')}`);
+    }
+    return names;
+}
+
+app.post('/api/schedules', canManage, upload.single('media'), async (req, res) => {
+    try {
+        const schedule = await schedules.create(db, req.body, {
+            ...(await requestMedia(req) || { media_url: null, media_type: null }),
+            instances: scheduleInstances(req.body.instances),
+            createdBy: req.user ? req.user.id : null
+        });
+        res.status(201).json(schedule);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/schedules/:id', canManage, upload.single('media'), async (req, res) => {
+    try {
+        res.json(await schedules.update(db, req.params.id, req.body, {
+            ...(await requestMedia(req)),
+            instances: req.body.instances !== undefined ? scheduleInstances(req.body.instances) : undefined
+        }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/schedules/:id/pause', canManage, async (req, res) => {
+    try {
+        res.json(await schedules.pause(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/schedules/:id/resume', canManage, async (req, res) => {
+    try {
+        res.json(await schedules.resume(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/schedules/:id', canManage, async (req, res) => {
+    try {
+        await schedules.remove(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== SEQUENCES ====================
+
+app.get('/api/sequences', async (req, res) => {
+    try {
+        res.json(await sequences.list(db));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Sequence with its enrollment counts and per-step delivery stats
+app.get('/api/sequences/:id', async (req, res) => {
+    try {
+        res.json(await sequences.find(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Instance names from a list or its JSON; throws for unknown ones
+function sequenceInstances(value) {
+    const names = (Array.isArray(value) ? value : parseJSON(value, [])) || [];
+    const unknown = names.filter(n => !instances.get(n));
+    if (unknown.length) {
+        throw new sequences.SequenceError(`Unknown instance(s): ${unknown.join(', ')}`);
+    }
+    return names;
+}
+
+app.post('/api/sequences', canManage, async (req, res) => {
+    try {
+        const sequence = await sequences.create(db, req.body, {
+            instances: sequenceInstances(req.body.instances),
+            createdBy: req.user ? req.user.id : null
+        });
+        res.status(201).json(sequence);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/sequences/:id', canManage, async (req, res) => {
+    try {
+        res.json(await sequences.update(db, req.params.id, req.body, {
+            instances: req.body.instances !== undefined ? sequenceInstances(req.body.instances) : undefined
+        }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/sequences/:id/pause', canManage, async (req, res) => {
+    try {
+        res.json(await sequences.pause(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/sequences/:id/resume', canManage, async (req, res) => {
+    try {
+        const sequence = await sequences.resume(db, req.params.id);
+        queue.wake();
+        res.json(sequence);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/sequences/:id', canManage, async (req, res) => {
+    try {
+        await sequences.remove(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Enrollments with their contact and progress (?status=active|completed|exited&limit=&offset=)
+app.get('/api/sequences/:id/enrollments', async (req, res) => {
+    try {
+        res.json(await sequences.enrollments(db, req.params.id, req.query));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Enroll { contact_ids: [...] }, { segment_id } or { phones: [...] }; unknown numbers become contacts
+app.post('/api/sequences/:id/enroll', canManage, async (req, res) => {
+    try {
+        const result = await sequences.enroll(db, req.params.id, req.body);
+        io.emit('sequence_progress', { sequenceIds: [Number(req.params.id)] });
+        res.json(result);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/sequences/:id/enrollments/:enrollmentId/exit', canManage, async (req, res) => {
+    try {
+        await sequences.exitEnrollment(db, req.params.id, req.params.enrollmentId);
+        io.emit('sequence_progress', { sequenceIds: [Number(req.params.id)] });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== AUTO-REPLIES ====================
+
+app.get('/api/auto-replies', async (req, res) => {
+    try {
+        res.json(await autoreplies.list(db));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Which rule would answer a sample message, and with what, without sending anything:
+// { body, contact_id | phone, first_message, at }
+app.post('/api/auto-replies/test', async (req, res) => {
+    try {
+        let contact = null;
+        if (req.body.contact_id) {
+            contact = await dbGet('SELECT * FROM contacts WHERE id = ?', [req.body.contact_id]);
+            if (!contact) throw new autoreplies.AutoReplyError('Contact not found', 404);
+        } else if (req.body.phone) {
+            const phone = phones.tryNormalize(req.body.phone);
+            contact = (phone && await dbGet('SELECT * FROM contacts WHERE phone = ?', [phone])) || { name: '', phone: phone || req.body.phone };
+        }
+        
+        const firstMessage = req.body.first_message !== undefined
+            ? ['true', '1', true, 1].includes(req.body.first_message)
+            : !contact || !contact.id || await autoreplies.isFirstMessage(db, contact.id);
+        const now = req.body.at ? new Date(timezones.toUtc(req.body.at, null, 'at').replace(' ', 'T') + 'Z') : new Date();
+        
+        const outcome = await autoreplies.evaluate(db, { body: req.body.body || '', contact, firstMessage, now });
+        res.json({
+            matched: Boolean(outcome.rule),
+            rule: outcome.rule ? { id: outcome.rule.id, name: outcome.rule.name } : null,
+            response: outcome.response,
+            actions: outcome.actions,
+            first_message: firstMessage,
+            contact: contact ? { id: contact.id || null, name: contact.name, phone: contact.phone } : null,
+            checks: outcome.checks
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/auto-replies/:id', async (req, res) => {
+    try {
+        res.json(await autoreplies.find(db, req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/auto-replies', canManage, upload.single('media'), async (req, res) => {
+    try {
+        const rule = await autoreplies.create(db, req.body, {
+            media: await requestMedia(req) || {},
+            createdBy: req.user ? req.user.id : null
+        });
+        res.status(201).json(rule);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.put('/api/auto-replies/:id', canManage, upload.single('media'), async (req, res) => {
+    try {
+        res.json(await autoreplies.update(db, req.params.id, req.body, {
+            media: await requestMedia(req) || {}
+        }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/auto-replies/:id', canManage, async (req, res) => {
+    try {
+        await autoreplies.remove(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== INBOX ====================
+
+// List conversations (optionally ?instance=name&unread=1)
+app.get('/api/conversations', async (req, res) => {
+    try {
+        res.json(await inbox.listConversations(db, {
+            instance: req.query.instance,
+            unread: req.query.unread === '1' || req.query.unread === 'true'
+        }));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Fetch a page of a conversation thread (?before=<message id>&limit=50)
+app.get('/api/conversations/:id/messages', async (req, res) => {
+    try {
+        const conversation = await dbGet('SELECT * FROM conversations WHERE id = ?', [req.params.id]);
+        if (!conversation) {
+            res.status(404).json({ error: 'Conversation not found' });
+            return;
+        }
+        
+        const contact = await dbGet('SELECT * FROM contacts WHERE id = ?', [conversation.contact_id]);
+        const thread = await inbox.getThread(db, conversation.id, req.query);
+        res.json({ conversation, contact, ...thread });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Reply from the thread through the conversation's instance
+app.post('/api/conversations/:id/reply', canManage, async (req, res) => {
+    try {
+        const conversation = await dbGet('SELECT * FROM conversations WHERE id = ?', [req.params.id]);
+        if (!conversation) {
+            res.status(404).json({ error: 'Conversation not found' });
+            return;
+        }
+        if (!req.body.text) {
+            res.status(400).json({ error: 'Reply text is required' });
+            return;
+        }
+        
+        const instance = instances.require(conversation.instance);
+        const sent = await instance.transport.sendText(conversation.chat_id, req.body.text);
+        const message = await inbox.recordOutbound(db, conversation.id, { id: sent.id, body: req.body.text });
+        webhooks.emit('SEND_MESSAGE', conversation.instance, sentMessagePayload(conversation.chat_id, sent.id, req.body.text));
+        
+        io.emit('conversation_updated', await dbGet('SELECT * FROM conversations WHERE id = ?', [conversation.id]));
+        res.json({ success: true, message });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Mark a conversation as read (locally and on WhatsApp)
+app.post('/api/conversations/:id/read', canManage, async (req, res) => {
+    try {
+        const conversation = await dbGet('SELECT * FROM conversations WHERE id = ?', [req.params.id]);
+        if (!conversation) {
+            res.status(404).json({ error: 'Conversation not found' });
+            return;
+        }
+        
+        await inbox.markRead(db, conversation.id);
+        
+        if (instances.isReady(conversation.instance)) {
+            instances.get(conversation.instance).transport.sendSeen(conversation.chat_id)
+                .catch(error => console.error('Error sending seen:', error.message));
+        }
+        
+        io.emit('conversation_updated', { ...conversation, unread_count: 0 });
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ==================== SUPPRESSION LIST ====================
+
+// Get suppressed numbers
+app.get('/api/suppressions', async (req, res) => {
+    try {
+        res.json(await optout.listSuppressions(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Suppress a number manually
+app.post('/api/suppressions', canManage, async (req, res) => {
+    try {
+        const contact = req.body.contact_id
+            ? await dbGet('SELECT * FROM contacts WHERE id = ?', [req.body.contact_id])
+            : null;
+        const entry = await optout.suppress(db, {
+            phone: req.body.phone || (contact && contact.phone),
+            reason: req.body.reason,
+            source: 'manual',
+            contactId: contact ? contact.id : null
         });
+        res.json({ success: true, suppression: entry });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
 });
 
-// ==================== CAMPAIGNS ====================
+// Remove a number from the suppression list
+app.delete('/api/suppressions/:id', canManage, async (req, res) => {
+    try {
+        await optout.unsuppress(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
 
-// Get all campaigns
-app.get('/api/campaigns', (req, res) => {
-    db.all('SELECT * FROM campaigns ORDER BY created_at DESC', [], (err, rows) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        res.json(rows);
-    });
+// Opt-out keywords and confirmation reply
+app.get('/api/settings/optout', async (req, res) => {
+    try {
+        res.json(await optout.getConfig(db));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Get campaign details
-app.get('/api/campaigns/:id', (req, res) => {
-    db.get('SELECT * FROM campaigns WHERE id = ?', [req.params.id], (err, campaign) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        
-        db.all(
-            'SELECT * FROM messages WHERE campaign_id = ?',
-            [req.params.id],
-            (err, messages) => {
-                if (err) {
-                    res.status(500).json({ error: err.message });
-                    return;
-                }
-                
-                res.json({
-                    ...campaign,
-                    messages,
-                    stats: {
-                        total: messages.length,
-                        sent: messages.filter(m => m.status === 'sent').length,
-                        failed: messages.filter(m => m.status === 'failed').length,
-                        pending: messages.filter(m => m.status === 'pending').length
-                    }
-                });
-            }
-        );
-    });
+app.put('/api/settings/optout', adminOnly, async (req, res) => {
+    try {
+        res.json(await optout.saveConfig(db, req.body));
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
 });
 
-// Create campaign
-app.post('/api/campaigns', upload.single('media'), (req, res) => {
-    const { name, message, contacts, scheduled_at } = req.body;
-    const media_url = req.file ? `/uploads/${req.file.filename}` : null;
-    const media_type = req.file ? req.file.mimetype : null;
-    
-    db.run(
-        `INSERT INTO campaigns (name, message, media_url, media_type, status, scheduled_at) 
-         VALUES (?, ?, ?, ?, ?, ?)`,
-        [name, message, media_url, media_type, scheduled_at ? 'scheduled' : 'draft', scheduled_at],
-        function(err) {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            
-            const campaignId = this.lastID;
-            const contactIds = JSON.parse(contacts);
-            
-            // Create message entries for each contact
-            const stmt = db.prepare(
-                `INSERT INTO messages (campaign_id, contact_id, phone, message, status) 
-                 VALUES (?, ?, ?, ?, 'pending')`
-            );
-            
-            db.all(
-                `SELECT * FROM contacts WHERE id IN (${contactIds.join(',')})`,
-                [],
-                (err, rows) => {
-                    if (err) {
-                        res.status(500).json({ error: err.message });
-                        return;
-                    }
-                    
-                    rows.forEach(contact => {
-                        // Replace variables in message
-                        let personalizedMessage = message
-                            .replace(/\{name\}/g, contact.name)
-                            .replace(/\{phone\}/g, contact.phone)
-                            .replace(/\{email\}/g, contact.email);
-                        
-                        stmt.run(campaignId, contact.id, contact.phone, personalizedMessage);
-                    });
-                    
-                    stmt.finalize();
-                    res.json({ id: campaignId, success: true });
-                }
-            );
-        }
-    );
+// ==================== MEDIA LIBRARY ====================
+
+app.get('/api/media', async (req, res) => {
+    try {
+        res.json(await media.list(db, { kind: req.query.kind }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Start campaign
-app.post('/api/campaigns/:id/start', async (req, res) => {
-    const campaignId = req.params.id;
-    
-    db.run(
-        `UPDATE campaigns SET status = 'running' WHERE id = ?`,
-        [campaignId],
-        async (err) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            
-            res.json({ success: true, message: 'Campaign started' });
-            
-            // Start sending messages in background
-            try {
-                const result = await sendBulkMessages(campaignId);
-                console.log('Campaign completed:', result);
-            } catch (error) {
-                console.error('Campaign error:', error);
-            }
-        }
-    );
+app.post('/api/media', canManage, upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) throw new media.MediaError('No file uploaded');
+        res.status(201).json(await media.register(db, req.file, { createdBy: req.user ? req.user.id : null }));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Pause campaign
-app.post('/api/campaigns/:id/pause', (req, res) => {
-    db.run(
-        `UPDATE campaigns SET status = 'paused' WHERE id = ?`,
-        [req.params.id],
-        (err) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            res.json({ success: true });
-        }
-    );
+app.get('/api/media/:id', async (req, res) => {
+    try {
+        const item = await media.find(db, req.params.id);
+        res.json({ ...item, used_by: await media.usage(db, item.url) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
-// Delete campaign
-app.delete('/api/campaigns/:id', (req, res) => {
-    db.run('DELETE FROM messages WHERE campaign_id = ?', [req.params.id], (err) => {
-        if (err) {
-            res.status(500).json({ error: err.message });
-            return;
-        }
-        
-        db.run('DELETE FROM campaigns WHERE id = ?', [req.params.id], (err) => {
-            if (err) {
-                res.status(500).json({ error: err.message });
-                return;
-            }
-            res.json({ success: true });
-        });
-    });
+app.delete('/api/media/:id', canManage, async (req, res) => {
+    try {
+        await media.remove(db, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
 // ==================== TEMPLATES ====================
@@ -536,8 +2099,84 @@ app.get('/api/templates', (req, res) => {
 });
 
 // Create template
-app.post('/api/templates', (req, res) => {
-    const { name, content, variables } = req.body;
+// Render a template or campaign message for a few contacts before sending. Reports the
+// fields it uses versus the ones contacts have, contacts with empty fields, and lengths.
+app.post('/api/templates/preview', async (req, res) => {
+    try {
+        let content = req.body.content;
+        if (req.body.template_id || req.body.campaign_id) {
+            const row = req.body.template_id
+                ? await dbGet('SELECT content FROM templates WHERE id = ?', [req.body.template_id])
+                : await dbGet('SELECT message as content FROM campaigns WHERE id = ?', [req.body.campaign_id]);
+            if (!row) {
+                res.status(404).json({ error: req.body.template_id ? 'Template not found' : 'Campaign not found' });
+                return;
+            }
+            content = row.content;
+        }
+        if (typeof content !== 'string') {
+            res.status(400).json({ error: 'content, template_id or campaign_id is required' });
+            return;
+        }
+        
+        let variables;
+        try {
+            variables = template.variables(content);
+        } catch (error) {
+            res.json({ valid: false, error: error.message, variables: [], previews: [] });
+            return;
+        }
+        
+        const ids = (Array.isArray(req.body.contact_ids) ? req.body.contact_ids : [req.body.contact_id])
+            .map(Number).filter(Boolean).slice(0, 20);
+        const sampleSize = Math.min(Math.max(parseInt(req.body.sample_size, 10) || 5, 1), 20);
+        let sample;
+        if (ids.length) {
+            sample = await dbAll(`SELECT * FROM contacts WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+        } else if (req.body.segment_id) {
+            sample = (await segments.resolveSegment(db, req.body.segment_id)).slice(0, sampleSize);
+        } else {
+            sample = await dbAll('SELECT * FROM contacts ORDER BY id LIMIT ?', [sampleSize]);
+        }
+        
+        const available = new Set(template.CONTACT_FIELDS);
+        sample.forEach(contact => Object.keys(parseJSON(contact.custom_fields, {}) || {}).forEach(key => available.add(key)));
+        const availableLower = new Set(Array.from(available).map(name => name.toLowerCase()));
+        const unknown = variables.filter(name => !availableLower.has(name.replace(/^custom\./, '').split('.')[0].toLowerCase()));
+        
+        const previews = (sample.length ? sample : [null]).map(contact => ({
+            contact_id: contact ? contact.id : null,
+            name: contact ? contact.name : null,
+            phone: contact ? contact.phone : null,
+            ...template.preview(content, template.contactContext(contact || {}))
+        }));
+        const maxLength = req.body.has_media ? template.MAX_LENGTH.caption : template.MAX_LENGTH.text;
+        
+        res.json({
+            valid: true,
+            variables,
+            available: Array.from(available),
+            unknown,
+            previews,
+            contactsWithMissing: previews.filter(p => p.contact_id && p.missing.length).length,
+            maxLength,
+            tooLong: previews.filter(p => p.length > maxLength).map(p => p.contact_id)
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/templates', canManage, (req, res) => {
+    const { name, content } = req.body;
+    
+    let variables;
+    try {
+        variables = template.variables(content);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+    }
     
     db.run(
         `INSERT INTO templates (name, content, variables) VALUES (?, ?, ?)`,
@@ -553,7 +2192,7 @@ app.post('/api/templates', (req, res) => {
 });
 
 // Delete template
-app.delete('/api/templates/:id', (req, res) => {
+app.delete('/api/templates/:id', canManage, (req, res) => {
     db.run('DELETE FROM templates WHERE id = ?', [req.params.id], (err) => {
         if (err) {
             res.status(500).json({ error: err.message });
@@ -565,26 +2204,20 @@ app.delete('/api/templates/:id', (req, res) => {
 
 // ==================== ANALYTICS ====================
 
-app.get('/api/analytics', (req, res) => {
-    const stats = {};
-    
-    db.get('SELECT COUNT(*) as total FROM contacts', [], (err, row) => {
-        stats.totalContacts = row.total;
-        
-        db.get('SELECT COUNT(*) as total FROM campaigns', [], (err, row) => {
-            stats.totalCampaigns = row.total;
-            
-            db.get('SELECT COUNT(*) as total FROM messages WHERE status = "sent"', [], (err, row) => {
-                stats.messagesSent = row.total;
-                
-                db.get('SELECT COUNT(*) as total FROM messages WHERE status = "failed"', [], (err, row) => {
-                    stats.messagesFailed = row.total;
-                    
-                    res.json(stats);
-                });
-            });
+app.get('/api/analytics', async (req, res) => {
+    try {
+        const count = async (sql, params = []) => (await get(db, sql, params)).total;
+        res.json({
+            totalContacts: await count('SELECT COUNT(*) as total FROM contacts'),
+            totalCampaigns: await count('SELECT COUNT(*) as total FROM campaigns'),
+            messagesSent: await count(`SELECT COUNT(*) as total FROM messages WHERE status IN (${SENT_STATUSES.map(() => '?').join(',')})`, SENT_STATUSES),
+            messagesFailed: await count(`SELECT COUNT(*) as total FROM messages WHERE status = 'failed'`),
+            // Time series, rates, failures and timing for ?from=&to=&interval=hour|day
+            ...(await analytics.report(db, req.query))
         });
-    });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
 // ==================== SCHEDULER ====================
@@ -596,7 +2229,7 @@ cron.schedule('* * * * *', () => {
          WHERE status = 'scheduled' 
          AND datetime(scheduled_at) <= datetime('now')`,
         [],
-        async (err, campaigns) => {
+        (err, campaigns) => {
             if (err) {
                 console.error('Scheduler error:', err);
                 return;
@@ -604,99 +2237,319 @@ cron.schedule('* * * * *', () => {
             
             for (const campaign of campaigns) {
                 console.log('Starting scheduled campaign:', campaign.id);
-                db.run(
-                    `UPDATE campaigns SET status = 'running' WHERE id = ?`,
-                    [campaign.id]
-                );
-                
-                try {
-                    await sendBulkMessages(campaign.id);
-                } catch (error) {
-                    console.error('Error in scheduled campaign:', error);
-                }
+                startCampaign(campaign.id, ['scheduled'], (err) => {
+                    if (err) console.error('Error in scheduled campaign:', err);
+                });
             }
         }
     );
 });
 
+// Start a new campaign for every recurring schedule that is due
+async function runDueSchedules() {
+    for (const schedule of await schedules.claimDue(db)) {
+        try {
+            const runName = `${schedule.name} #${schedule.run_count}`;
+            const { lastID: campaignId } = await dbRun(
+                `INSERT INTO campaigns (name, message, media_url, media_type, status, instances, segment_id, resolve_at,
+                     schedule_id, timezone, send_window)
+                 VALUES (?, ?, ?, ?, 'draft', ?, ?, ?, ?, ?, ?)`,
+                [runName, schedule.message, schedule.media_url, schedule.media_type,
+                    schedule.instances.length ? JSON.stringify(schedule.instances) : null,
+                    schedule.segment_id, schedule.segment_id ? 'send' : 'creation', schedule.id,
+                    schedule.timezone, schedule.send_window ? JSON.stringify(schedule.send_window) : null]
+            );
+            
+            // Segments are matched when the campaign starts, right below; contact lists now
+            if (!schedule.segment_id && schedule.contact_ids.length) {
+                const contacts = await dbAll(
+                    `SELECT * FROM contacts WHERE id IN (${schedule.contact_ids.map(() => '?').join(',')})`,
+                    schedule.contact_ids
+                );
+                await dbRun('UPDATE campaigns SET recipients_resolved_at = CURRENT_TIMESTAMP WHERE id = ?', [campaignId]);
+                await addRecipients({ id: campaignId, message: schedule.message }, contacts);
+            }
+            await schedules.recordRun(db, schedule.id, campaignId);
+            
+            console.log(`🔁 Schedule ${schedule.id} ("${schedule.name}"): starting run ${schedule.run_count} as campaign ${campaignId}`);
+            startCampaign(campaignId, ['draft'], (err) => {
+                if (err) console.error(`Error starting run of schedule ${schedule.id}:`, err);
+            });
+            io.emit('schedule_run', { scheduleId: schedule.id, campaignId });
+        } catch (error) {
+            console.error(`Error running schedule ${schedule.id}:`, error);
+        }
+    }
+}
+
+cron.schedule('* * * * *', () => {
+    runDueSchedules().catch(error => console.error('Recurring campaign error:', error));
+});
+
+// Pick the winners of A/B tests that decide on their own
+async function decideABTests() {
+    const decided = await abtests.decideDue(db);
+    for (const decision of decided) {
+        console.log(`🧪 Campaign ${decision.campaignId}: variant ${decision.winner.label} won, ` +
+            `sending it to ${decision.released} more recipient(s)`);
+        io.emit('ab_winner', { campaignId: decision.campaignId, variantId: decision.winner.id, released: decision.released, automatic: true });
+    }
+    if (decided.length) queue.wake();
+}
+
+cron.schedule('* * * * *', () => {
+    decideABTests().catch(error => console.error('A/B test error:', error));
+});
+
+// Queue the due steps of drip sequences
+async function runSequences() {
+    const result = await sequences.runDue(db);
+    for (const { enrollmentId, error } of result.errors) {
+        console.error(`Error running sequence enrollment ${enrollmentId}:`, error);
+    }
+    if (result.queued) {
+        console.log(`💧 Queued ${result.queued} sequence message(s)`);
+        queue.wake();
+    }
+    if (result.sequenceIds.length) io.emit('sequence_progress', { sequenceIds: result.sequenceIds });
+}
+
+cron.schedule('* * * * *', () => {
+    runSequences().catch(error => console.error('Sequence error:', error));
+});
+
 // ==================== EVOLUTION API COMPATIBILITY ====================
 
+function evolutionInstance(instance) {
+    return {
+        instanceName: instance.name,
+        state: instance.state,
+        status: instance.ready ? 'open' : 'close',
+        driver: instance.driver
+    };
+}
+
+// Personalize an API message for the contact with this number, if we know it
+async function renderForNumber(text, number) {
+    const contact = await inbox.findContactByPhone(db, number);
+    return template.render(text, template.contactContext(contact || { phone: number }));
+}
+
+// Evolution API - Create instance
+app.post('/api/evolution/instance/create', adminOnly, async (req, res) => {
+    try {
+        if (!apikeys.allowsInstance(req.apiKey, req.body.instanceName)) {
+            res.status(403).json({ error: `This API key may not use instance ${req.body.instanceName}` });
+            return;
+        }
+        const instance = await instances.create(req.body.instanceName, { driver: req.body.driver });
+        res.status(201).json({ instance: evolutionInstance(instances.describe(instance.name)) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evolution API - List instances
+app.get('/api/evolution/instance/fetchInstances', (req, res) => {
+    res.json(instances.list()
+        .filter(instance => apikeys.allowsInstance(req.apiKey, instance.name))
+        .map(instance => ({ instance: evolutionInstance(instance) })));
+});
+
+// Evolution API - Connect (returns the current QR code while pairing)
+app.get('/api/evolution/instance/connect/:instance', adminOnly, (req, res) => {
+    try {
+        const instance = instances.describe(req.params.instance);
+        if (instance.state === 'close') {
+            instances.connect(req.params.instance);
+        }
+        res.json({ instance: evolutionInstance(instance), base64: instance.qr });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evolution API - Connection state
+app.get('/api/evolution/instance/connectionState/:instance', (req, res) => {
+    try {
+        const instance = instances.describe(req.params.instance);
+        res.json({ instance: { instanceName: instance.name, state: instance.state } });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evolution API - Restart instance
+app.put('/api/evolution/instance/restart/:instance', adminOnly, async (req, res) => {
+    try {
+        await instances.restart(req.params.instance);
+        res.json({ instance: evolutionInstance(instances.describe(req.params.instance)) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evolution API - Logout instance
+app.delete('/api/evolution/instance/logout/:instance', adminOnly, async (req, res) => {
+    try {
+        await instances.logout(req.params.instance);
+        res.json({ status: 'SUCCESS', error: false, response: { message: 'Instance logged out' } });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Evolution API - Delete instance
+app.delete('/api/evolution/instance/delete/:instance', adminOnly, async (req, res) => {
+    try {
+        await instances.remove(req.params.instance);
+        res.json({ status: 'SUCCESS', error: false, response: { message: 'Instance deleted' } });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // Evolution API - Instance info
 app.get('/api/evolution/instance/:instance', (req, res) => {
-    res.json({
-        instance: req.params.instance,
-        status: isClientReady ? 'open' : 'close',
-        qrcode: qrCodeData
-    });
+    try {
+        const instance = instances.describe(req.params.instance);
+        res.json({
+            instance: instance.name,
+            status: instance.ready ? 'open' : 'close',
+            qrcode: instance.qr
+        });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
 });
 
 // Evolution API - Send text
-app.post('/api/evolution/message/sendText/:instance', async (req, res) => {
+app.post('/api/evolution/message/sendText/:instance', canManage, async (req, res) => {
     const { number, textMessage } = req.body;
+    if (!number || !textMessage || !textMessage.text) {
+        res.status(400).json({ error: 'number and textMessage.text are required' });
+        return;
+    }
     
     try {
-        if (!isClientReady) {
+        const instance = instances.require(req.params.instance);
+        if (!instances.isReady(instance.name)) {
             throw new Error('Instance not ready');
         }
         
-        let formattedPhone = number.replace(/\D/g, '');
-        if (!formattedPhone.includes('@c.us')) {
-            formattedPhone = formattedPhone + '@c.us';
-        }
+        const formattedPhone = phones.toChatId(number);
         
-        await client.sendMessage(formattedPhone, textMessage.text);
+        const text = await renderForNumber(textMessage.text, number);
+        const sent = await instance.transport.sendText(formattedPhone, text);
+        webhooks.emit('SEND_MESSAGE', instance.name, sentMessagePayload(formattedPhone, sent.id, text));
         
         res.json({
             key: {
                 remoteJid: formattedPhone,
                 fromMe: true,
-                id: Date.now().toString()
+                id: sent.id
             },
-            message: { conversation: textMessage.text },
+            message: { conversation: text },
             messageTimestamp: Date.now()
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
 // Evolution API - Send media
-app.post('/api/evolution/message/sendMedia/:instance', async (req, res) => {
+app.post('/api/evolution/message/sendMedia/:instance', canManage, async (req, res) => {
     const { number, mediaMessage } = req.body;
+    if (!number || !mediaMessage) {
+        res.status(400).json({ error: 'number and mediaMessage are required' });
+        return;
+    }
     
     try {
-        if (!isClientReady) {
+        const instance = instances.require(req.params.instance);
+        if (!instances.isReady(instance.name)) {
             throw new Error('Instance not ready');
         }
         
-        let formattedPhone = number.replace(/\D/g, '');
-        if (!formattedPhone.includes('@c.us')) {
-            formattedPhone = formattedPhone + '@c.us';
-        }
+        const formattedPhone = phones.toChatId(number);
         
-        const media = await MessageMedia.fromUrl(mediaMessage.mediaUrl);
-        await client.sendMessage(formattedPhone, media, {
-            caption: mediaMessage.caption
-        });
+        // A library item (mediaId) or a URL; "/uploads/..." URLs are read from disk
+        const mediaUrl = mediaMessage.mediaId ? (await media.find(db, mediaMessage.mediaId)).url : mediaMessage.mediaUrl;
+        if (!mediaUrl) throw new media.MediaError('mediaMessage.mediaId or mediaMessage.mediaUrl is required');
+        const file = await media.load(db, mediaUrl);
+        
+        const caption = mediaMessage.caption ? await renderForNumber(mediaMessage.caption, number) : mediaMessage.caption;
+        const sent = await instance.transport.sendMedia(formattedPhone, mediaMessage.fileName ? { ...file, filename: mediaMessage.fileName } : file, { caption });
+        webhooks.emit('SEND_MESSAGE', instance.name, sentMessagePayload(formattedPhone, sent.id, caption || '', {
+            mediaUrl
+        }));
         
         res.json({
             key: {
                 remoteJid: formattedPhone,
                 fromMe: true,
-                id: Date.now().toString()
+                id: sent.id
             },
             messageTimestamp: Date.now()
         });
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ==================== MOCK DRIVER ====================
+
+// Simulation hooks for instances running on the offline mock driver
+function mockInstance(req, res) {
+    const instance = instances.get(req.body.instance || req.query.instance || DEFAULT_INSTANCE);
+    if (!instance || !instance.transport.simulateInbound) {
+        res.status(404).json({ error: 'Mock instance not found' });
+        return null;
     }
+    return instance.transport;
+}
+
+app.get('/api/mock/sent', adminOnly, (req, res) => {
+    const transport = mockInstance(req, res);
+    if (transport) res.json(transport.sent);
+});
+
+app.post('/api/mock/inbound', adminOnly, (req, res) => {
+    const transport = mockInstance(req, res);
+    if (!transport) return;
+    const { from, body } = req.body;
+    const chatId = phones.toChatId(from);
+    res.json(transport.simulateInbound(chatId, body, req.body.senderName ? { senderName: req.body.senderName } : {}));
+});
+
+app.post('/api/mock/ack', adminOnly, (req, res) => {
+    const transport = mockInstance(req, res);
+    if (!transport) return;
+    transport.simulateAck(req.body.id, parseInt(req.body.ack, 10));
+    res.json({ success: true });
+});
+
+app.post('/api/mock/disconnect', adminOnly, (req, res) => {
+    const transport = mockInstance(req, res);
+    if (!transport) return;
+    transport.simulateDisconnect(req.body.reason);
+    res.json({ success: true });
+});
+
+// Upload errors (file too large, unexpected field) as JSON
+app.use((error, req, res, next) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+    const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Files can be at most ${media.MAX_UPLOAD_BYTES / (1024 * 1024)} MB`
+        : error.message;
+    res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: message });
 });
 
 // ==================== SERVER START ====================
 
 const PORT = process.env.PORT || 3000;
 
-server.listen(PORT, () => {
+authReady.then(() => server.listen(PORT, () => {
     console.log(`
 ╔════════════════════════════════════════════╗
 ║   🚀 WhatsApp Bulk Sender Pro Started     ║
@@ -704,6 +2557,9 @@ server.listen(PORT, () => {
 ║   ⚡ Status: Ready                         ║
 ╚════════════════════════════════════════════╝
     `);
+})).catch(error => {
+    console.error('Error setting up authentication:', error);
+    process.exit(1);
 });
 
 // Create uploads directory if not exists
@@ -711,7 +2567,12 @@ if (!fs.existsSync('./public/uploads')) {
     fs.mkdirSync('./public/uploads', { recursive: true });
 }
 
-// Create database directory if not exists
-if (!fs.existsSync('./database')) {
-    fs.mkdirSync('./database');
-}
+// Let in-flight sends finish before exiting so no message is left mid-send
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, async () => {
+        console.log(`${signal} received, stopping send queue...`);
+        await queue.stop();
+        webhooks.stop();
+        db.close(() => process.exit(0));
+    });
+});